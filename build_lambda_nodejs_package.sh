@@ -20,14 +20,17 @@ mkdir -p "${BUILD_DIR}/src"
 
 # JavaScript-Dateien und package.json kopieren
 cp "${SRC_DIR}/bazaraki_lambda_scraper.js" "${BUILD_DIR}/src/"
+cp "${SRC_DIR}/storage_backend.js" "${BUILD_DIR}/src/"
+cp "${SRC_DIR}/sqlite_store.js" "${BUILD_DIR}/src/"
 cp "${SRC_DIR}/package.json" "${BUILD_DIR}/"
 
 # Nach build_dir wechseln
 cd "${BUILD_DIR}"
 
 # Node.js-Abhängigkeiten installieren (nur Produktionsabhängigkeiten)
+# sharp (Foto-Hashes) enthält native Binärdateien, daher für die Lambda-Plattform (Linux x64) installieren
 echo "Installiere Node.js-Abhängigkeiten..."
-npm install --production
+npm install --production --os=linux --cpu=x64
 
 # Pakete bereinigen, um Größe zu reduzieren
 echo "Optimiere Paketgröße..."
@@ -7,128 +7,102 @@
 
 const axios = require('axios');
 const { JSDOM } = require('jsdom');
-const AWS = require('aws-sdk');
-
-// Überprüfen, ob wir uns im Testmodus befinden
-const isLocalTest = process.env.NODE_ENV === 'test' || !process.env.AWS_LAMBDA_FUNCTION_NAME;
-
-// S3-Client initialisieren (mit Mock für lokales Testen)
-let s3;
-if (isLocalTest) {
-  console.log('Lokaler Testmodus: Verwende S3-Mock-Funktionalität');
-  // Mock S3 für lokale Tests mit Persistenz
-  const fs = require('fs');
-  const path = require('path');
-  
-  // Lokaler Speicherort für S3-Daten
-  const LOCAL_STORAGE_DIR = path.join(process.cwd(), 'local_s3_storage');
-  const STORAGE_FILE = path.join(LOCAL_STORAGE_DIR, 's3_storage.json');
-  
-  // Stelle sicher, dass das Verzeichnis existiert
-  if (!fs.existsSync(LOCAL_STORAGE_DIR)) {
-    fs.mkdirSync(LOCAL_STORAGE_DIR, { recursive: true });
-    console.log(`[S3-MOCK] Verzeichnis erstellt: ${LOCAL_STORAGE_DIR}`);
-  }
-  
-  // Lade vorhandene Daten oder initialisiere ein leeres Objekt
-  let localS3Storage = {};
-  try {
-    if (fs.existsSync(STORAGE_FILE)) {
-      const data = fs.readFileSync(STORAGE_FILE, 'utf8');
-      localS3Storage = JSON.parse(data);
-      console.log(`[S3-MOCK] Daten geladen aus: ${STORAGE_FILE}`);
-      console.log(`[S3-MOCK] Anzahl gespeicherter Objekte: ${Object.keys(localS3Storage).length}`);
-    }
-  } catch (error) {
-    console.error(`[S3-MOCK] Fehler beim Laden der Daten: ${error.message}`);
-    localS3Storage = {};
-  }
-  
-  // Funktion zum Speichern des aktuellen Zustands
-  const saveStorage = () => {
-    try {
-      fs.writeFileSync(STORAGE_FILE, JSON.stringify(localS3Storage, null, 2));
-      console.log(`[S3-MOCK] Daten gespeichert in: ${STORAGE_FILE}`);
-    } catch (error) {
-      console.error(`[S3-MOCK] Fehler beim Speichern der Daten: ${error.message}`);
-    }
-  };
-  
-  s3 = {
-    getObject: (params) => ({
-      promise: () => {
-        return new Promise((resolve, reject) => {
-          const key = `${params.Bucket}/${params.Key}`;
-          if (localS3Storage[key]) {
-            console.log(`[S3-MOCK] Datei geladen: ${key}`);
-            resolve({
-              Body: Buffer.from(localS3Storage[key])
-            });
-          } else {
-            const error = new Error('Die Datei existiert nicht.');
-            error.code = 'NoSuchKey';
-            console.log(`[S3-MOCK] Datei nicht gefunden: ${key}`);
-            reject(error);
-          }
-        });
-      }
-    }),
-    putObject: (params) => ({
-      promise: () => {
-        return new Promise((resolve) => {
-          const key = `${params.Bucket}/${params.Key}`;
-          localS3Storage[key] = params.Body.toString();
-          console.log(`[S3-MOCK] Datei gespeichert: ${key}`);
-          saveStorage(); // Persistentes Speichern
-          resolve({ ETag: 'mock-etag' });
-        });
-      }
-    }),
-    listObjectsV2: (params) => ({
-      promise: () => {
-        return new Promise((resolve) => {
-          const prefix = params.Prefix || '';
-          const contents = [];
-          
-          // Alle Schlüssel durchgehen, die mit dem Präfix beginnen
-          Object.keys(localS3Storage).forEach(fullKey => {
-            // Format: "bucket/key" aufteilen
-            const parts = fullKey.split('/');
-            const bucket = parts[0];
-            const key = parts.slice(1).join('/');
-            
-            if (bucket === params.Bucket && key.startsWith(prefix)) {
-              contents.push({
-                Key: key,
-                Size: localS3Storage[fullKey].length,
-                LastModified: new Date()
-              });
-            }
-          });
-          
-          console.log(`[S3-MOCK] Gefundene Dateien für Präfix '${prefix}': ${contents.length}`);
-          resolve({ Contents: contents });
-        });
-      }
-    })
-  };
-} else {
-  // Echter S3-Client für Lambda
-  s3 = new AWS.S3();
-}
+const crypto = require('crypto');
+const path = require('path');
+const { createStorageBackend } = require('./storage_backend');
 
 // Konfiguration aus Umgebungsvariablen
 const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || 'bazaraki-scraper-results';
 const RESULTS_PREFIX = process.env.RESULTS_PREFIX || 'results/';
+// Speicher-Backend: s3 (Lambda), local (Verzeichnis mit einer Datei pro Schlüssel) oder memory (nur für Tests)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 's3';
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'local_s3_storage');
+// Zustandsspeicher: json (state.json über das Speicher-Backend) oder sqlite (abfragbare Tabellen, z.B. auf einem Heimserver)
+const STATE_STORE = process.env.STATE_STORE || 'json';
+const SQLITE_DB_PATH = process.env.SQLITE_DB_PATH || path.join(LOCAL_STORAGE_DIR, 'bazaraki.sqlite');
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '';
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID || '';
+// Health-Alarme gehen an einen eigenen Admin-Chat, ohne diesen an den normalen Chat
+const TELEGRAM_ADMIN_CHAT_ID = process.env.TELEGRAM_ADMIN_CHAT_ID || '';
 
-// Preisfilter-Konfiguration (Standard: 1500€)
+// Preisfilter-Konfiguration (Standard: 1500€ Miete, Kauf ohne Obergrenze)
 const DEFAULT_PRICE_MAX = process.env.DEFAULT_PRICE_MAX || '1500';
+const DEFAULT_SALE_PRICE_MAX = process.env.DEFAULT_SALE_PRICE_MAX || '';
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
 
+// Preissenkungs-Konfiguration
+const PRICE_DROP_MIN_PERCENT = parseFloat(process.env.PRICE_DROP_MIN_PERCENT || '3');           // Mindestsenkung in Prozent für eine Benachrichtigung
+const PRICE_DROP_MIN_AMOUNT = parseFloat(process.env.PRICE_DROP_MIN_AMOUNT || '0');             // Mindestsenkung als Betrag (z.B. 50 = 50€)
+const PRICE_WATCH_MARGIN_PERCENT = parseFloat(process.env.PRICE_WATCH_MARGIN_PERCENT || '10'); // Anzeigen bis X% über dem Budget werden auf Preissenkungen beobachtet
+
+// Erneutes Laden bekannter Anzeigen (Beschreibung, Fotos und Merkmale ändern sich nach dem ersten Scan)
+const RECRAWL_BUDGET = parseInt(process.env.RECRAWL_BUDGET || '5', 10);           // Maximale Anzahl bekannter Anzeigen, die pro Lauf neu geladen werden (0 = aus)
+const RECRAWL_MIN_AGE_DAYS = parseFloat(process.env.RECRAWL_MIN_AGE_DAYS || '7'); // Details werden frühestens nach so vielen Tagen erneut geladen
+const LISTING_REVISIONS_LENGTH = 10;                                               // Anzahl gespeicherter Überarbeitungen pro Anzeige
+
+// Entfernte Anzeigen bleiben für Auswertungen (z.B. Tage am Markt) so lange im Zustand
+const REMOVED_RETENTION_DAYS = parseFloat(process.env.REMOVED_RETENTION_DAYS || '90');
+
+// Bestätigung entfernter Anzeigen (ein abgebrochener Scan soll keine Anzeigen als entfernt melden)
+const REMOVAL_CONFIRM_RUNS = parseInt(process.env.REMOVAL_CONFIRM_RUNS || '2', 10);  // Anzahl aufeinanderfolgender Läufe, die eine Anzeige fehlen muss (1 = sofort entfernt)
+const REMOVAL_CHECK_BUDGET = parseInt(process.env.REMOVAL_CHECK_BUDGET || '10', 10); // Maximale Anzahl fehlender Anzeigen, deren Detailseite pro Lauf geprüft wird
+
+// Gleichzeitige Läufe (z.B. geplanter Lauf und manueller Aufruf): Versuche, den Zustand nach einem Schreibkonflikt neu zu vergleichen und zu speichern
+const STATE_WRITE_MAX_ATTEMPTS = parseInt(process.env.STATE_WRITE_MAX_ATTEMPTS || '3', 10);
+
+// Erkennung erneut eingestellter Anzeigen (gleiche Wohnung unter neuer ID)
+const REPOST_MATCH_THRESHOLD = parseFloat(process.env.REPOST_MATCH_THRESHOLD || '0.6'); // Mindestpunktzahl (0-1) für einen Treffer
+const REPOST_LOOKBACK_DAYS = parseFloat(process.env.REPOST_LOOKBACK_DAYS || '30');      // Entfernte Anzeigen so viele Tage zurück berücksichtigen
+
+// Foto-Hashes für Objekt-Cluster (dieselbe Wohnung von mehreren Maklern mit denselben Fotos)
+const IMAGE_HASH_MAX_IMAGES = parseInt(process.env.IMAGE_HASH_MAX_IMAGES || '6', 10);          // Anzahl Fotos pro Anzeige, die geladen und gehasht werden (0 = aus)
+const IMAGE_HASH_MAX_DISTANCE = parseInt(process.env.IMAGE_HASH_MAX_DISTANCE || '8', 10);      // Maximale Hamming-Distanz (von 64 Bit) für fast identische Fotos
+const CLUSTER_MIN_SHARED_IMAGES = parseInt(process.env.CLUSTER_MIN_SHARED_IMAGES || '2', 10); // Mindestanzahl gemeinsamer Fotos für dasselbe Objekt
+
+// Snapshots pro Lauf (results/<filterKey>/runs/<runId>.json) und deren Aufbewahrung
+const SNAPSHOT_KEEP_HOURLY_HOURS = parseFloat(process.env.SNAPSHOT_KEEP_HOURLY_HOURS || '48'); // Neuester Snapshot pro Stunde für so viele Stunden
+const SNAPSHOT_KEEP_DAILY_DAYS = parseFloat(process.env.SNAPSHOT_KEEP_DAILY_DAYS || '30');     // Danach neuester Snapshot pro Tag für so viele Tage
+const SNAPSHOT_KEEP_WEEKLY_WEEKS = parseFloat(process.env.SNAPSHOT_KEEP_WEEKLY_WEEKS || '26'); // Danach neuester Snapshot pro Woche für so viele Wochen, ältere werden gelöscht
+
+// Health-Check-Konfiguration (Erkennung von Markup-Änderungen auf Bazaraki)
+const HEALTH_FILL_RATE_DROP = parseFloat(process.env.HEALTH_FILL_RATE_DROP || '0.5'); // Rückgang der Füllrate (0-1), ab dem alarmiert wird
+const HEALTH_MIN_SAMPLES = parseInt(process.env.HEALTH_MIN_SAMPLES || '3', 10);       // Mindestanzahl neuer Anzeigen für einen Füllraten-Vergleich
+const HEALTH_MIN_LINK_RATIO = parseFloat(process.env.HEALTH_MIN_LINK_RATIO || '0.8'); // Mindestanteil gefundener Links an der Ergebniszahl der Website
+const HEALTH_HISTORY_LENGTH = 20;                                                     // Anzahl gespeicherter Läufe in health.json
+
+// Anomalie-Schutz: verdächtige Läufe werden nicht übernommen, sondern unter results/<filterKey>/quarantine.json zurückgehalten
+const ANOMALY_GUARD_ENABLED = process.env.ANOMALY_GUARD_ENABLED !== 'false';
+const ANOMALY_MAX_TOTAL_DROP = parseFloat(process.env.ANOMALY_MAX_TOTAL_DROP || '0.5');       // Maximaler Rückgang der Anzeigenzahl (0-1)
+const ANOMALY_MAX_NEW_RATIO = parseFloat(process.env.ANOMALY_MAX_NEW_RATIO || '0.5');         // Maximaler Anteil neuer Anzeigen am aktuellen Lauf
+const ANOMALY_MAX_REMOVED_RATIO = parseFloat(process.env.ANOMALY_MAX_REMOVED_RATIO || '0.5'); // Maximaler Anteil fehlender Anzeigen am bisherigen Bestand
+const ANOMALY_MIN_CHANGES = parseInt(process.env.ANOMALY_MIN_CHANGES || '10', 10);            // Mindestanzahl geänderter Anzeigen, ab der Anteile geprüft werden
+const ANOMALY_REQUIRED_FIELDS = (process.env.ANOMALY_REQUIRED_FIELDS ?? 'id,url,title,price')
+  .split(',').map(field => field.trim()).filter(Boolean);                                    // Pflichtfelder jeder Anzeige (Punkt für verschachtelte Felder)
+const ANOMALY_MAX_MISSING_FIELD_RATIO = parseFloat(process.env.ANOMALY_MAX_MISSING_FIELD_RATIO || '0.5'); // Maximaler Anteil Anzeigen ohne ein Pflichtfeld
+
+// Gemeinsames Backend für Zustand, Snapshots, Health-Verlauf und Debug-HTML
+const storage = createStorageBackend({ type: STORAGE_BACKEND, bucket: S3_BUCKET_NAME, directory: LOCAL_STORAGE_DIR });
+console.log(`Speicher-Backend: ${storage.type}${storage.type === 'local' ? ` (${path.join(LOCAL_STORAGE_DIR, S3_BUCKET_NAME)})` : ''}`);
+
 // Bazaraki-Konfiguration
 const BASE_URL = 'https://www.bazaraki.com';
+const BEDROOMS_SEGMENT_PREFIX = 'number-of-bedrooms---';
+
+// Angebotsarten: Kategorie-Pfad auf Bazaraki, Preisperiode und Standard-Preisobergrenze
+const DEAL_TYPES = {
+  'rent': {
+    path: '/real-estate-to-rent',
+    pricePeriod: 'month',
+    defaultPriceMax: DEFAULT_PRICE_MAX,
+    label: 'Miete'
+  },
+  'sale': {
+    path: '/real-estate-for-sale',
+    pricePeriod: 'total',
+    defaultPriceMax: DEFAULT_SALE_PRICE_MAX,
+    label: 'Kauf'
+  }
+};
 const GEO_LOCATIONS = {
   'paphos': {
     lat: 34.797537264230336,
@@ -144,93 +118,360 @@ const GEO_LOCATIONS = {
 
 // Basisfilter für Immobiliensuche
 const DEFAULT_FILTERS = {
+  dealType: 'rent',                  // Angebotsart (rent oder sale)
   propertyType: 'apartments-flats',  // Art der Immobilie (apartments-flats, houses, etc.)
   district: 'pafos-district-paphos', // Bezirk/Stadt
+  city: '',                          // Optional: Schlüssel aus GEO_LOCATIONS für die Umkreissuche
   radius: '20',                      // Umkreis in km
+  price_min: '',                     // Minimaler Preis (optional)
   price_max: DEFAULT_PRICE_MAX,      // Maximaler Preis (konfigurierbar)
   bedrooms: '2-3'                    // Anzahl Schlafzimmer (Bereich oder exakt)
 };
 
+// CSS-Selektoren für Such- und Anzeigenseiten
+// Zentral definiert, damit der Health-Check bei Markup-Änderungen die betroffenen Selektoren benennen kann
+const CSS_SELECTORS = {
+  resultCount: '.search-header__count',
+  listingLinks: 'a[href*="/adv/"], .announcement__link, .announcement-container a, div.announcement a',
+  card: '.announcement-container, .announcement-block, li.announcement',
+  cardPrice: '.announcement-block__price, .announcement-price, .price',
+  nextPage: '.pagination-wrapper a.next-page, .pagination a[rel="next"], .pagination__next, a.next-page',
+  pageNumbers: '.pagination a',
+  title: 'h1.announcement-title, h1.title-announcement, .adv-title, .title',
+  price: [
+    '.announcement-price__cost',
+    '.announcement__price',
+    '.price-large',
+    '[itemprop="price"]',
+    '.price'
+  ],
+  location: [
+    '.announcement-address',
+    '.announcement__location',
+    '[itemprop="address"]',
+    '.location'
+  ],
+  details: {
+    bedrooms: ['.bedrooms', '[data-type="bedrooms"]', '.announcement-parameters__bedrooms'],
+    bathrooms: ['.bathrooms', '[data-type="bathrooms"]', '.announcement-parameters__bathrooms'],
+    area: ['.area', '[data-type="area"]', '.announcement-parameters__area'],
+    propertyType: ['.property-type', '[data-type="type"]']
+  },
+  detailItems: '.announcement-parameters__item, .detail-item',
+  description: [
+    '.announcement-description',
+    '[itemprop="description"]',
+    '.description'
+  ],
+  images: [
+    '.announcement-gallery img',
+    '.swiper-slide img',
+    '.announcement-slider img',
+    '[data-src]', 
+    '[data-lazy]',
+    '.carousel img'
+  ],
+  characteristics: '.announcement-characteristics .chars-column li',
+  map: '[data-default-lat], [data-lat], [data-latitude], img[src*="maps.googleapis.com"], a[href*="google.com/maps"], a[href*="maps.google."]'
+};
+
+/**
+ * Ermittelt die Angebotsart (rent/sale) aus dem Filter
+ * 
+ * @param {Object} filters - Suchfilter
+ * @returns {string} - Gültige Angebotsart, Standard ist 'rent'
+ */
+function resolveDealType(filters = {}) {
+  const dealType = String(filters.dealType || DEFAULT_FILTERS.dealType).trim().toLowerCase();
+  if (!DEAL_TYPES[dealType]) {
+    throw new Error(`Unbekannte Angebotsart '${filters.dealType}'. Erlaubt: ${Object.keys(DEAL_TYPES).join(', ')}`);
+  }
+  return dealType;
+}
+
+/**
+ * Ermittelt die zu durchsuchenden Immobilientypen aus dem Filter
+ * Ohne Angabe werden Wohnungen und Häuser durchsucht, '' steht für eine Suche über alle Typen
+ * 
+ * @param {Object} filters - Suchfilter
+ * @returns {Array<string>} - Immobilientypen
+ */
+function resolvePropertyTypes(filters = {}) {
+  if (filters.propertyTypes && Array.isArray(filters.propertyTypes)) {
+    return filters.propertyTypes;
+  } else if (filters.propertyType) {
+    return [filters.propertyType];
+  } else if (filters.propertyType === '') {
+    return ['']; // Eingefügte Such-URL ohne Immobilientyp: alle Typen in einer Suche
+  }
+  return ['apartments-flats', 'houses'];
+}
+
+/**
+ * Erzeugt den Schlüssel für die Ergebnisse im S3-Bucket aus allen Filtern der Suche
+ * Dieselbe Suche ergibt unabhängig von Reihenfolge, Schreibweise und weggelassenen Standardwerten denselben Schlüssel,
+ * z.B. rent_apartments-flats+houses_pafos-district-paphos_bed-2-3_max-1500
+ * 
+ * @param {Object} filters - Suchfilter wie in scrapeListings
+ * @returns {string} - Lesbarer Schlüssel aus Angebotsart, Typen, Ort, Schlafzimmern und Preisbereich
+ */
+function buildFilterKey(filters = {}) {
+  const dealType = resolveDealType(filters);
+  const cities = resolveCities(filters).filter(Boolean).sort();
+  const slug = (value) => String(value).trim().toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, '');
+  
+  // Gleiche Zusammenführung wie in scrapeListings: Standardwerte, bei einer Umkreissuche um Städte ohne Standardbezirk
+  const effective = {
+    ...DEFAULT_FILTERS,
+    price_max: DEAL_TYPES[dealType].defaultPriceMax,
+    ...(cities.length > 0 ? { district: '' } : {}),
+    ...filters
+  };
+  
+  const segments = [dealType];
+  segments.push([...new Set(resolvePropertyTypes(filters).map(type => slug(type) || 'alle-typen'))].sort().join('+'));
+  
+  // Ort: Bezirk, Städte der Umkreissuche oder eigene Koordinaten (mit Radius)
+  const location = [];
+  if (effective.district) location.push(slug(effective.district));
+  if (cities.length > 0) {
+    location.push(cities.join('+'));
+  } else if (effective.lat !== undefined && effective.lat !== '' && effective.lng !== undefined && effective.lng !== '') {
+    location.push(`geo-${parseFloat(effective.lat).toFixed(4)}-${parseFloat(effective.lng).toFixed(4)}`);
+  }
+  if (location.length > (effective.district ? 1 : 0) && effective.radius) {
+    location.push(`r${parseFloat(effective.radius)}`);
+  }
+  segments.push(location.length > 0 ? location.join('_') : 'alle-orte');
+  
+  // Schlafzimmer und Preisbereich nur, wenn gesetzt
+  const bedrooms = formatBedroomFilter(parseBedroomFilter(effective.bedrooms));
+  if (bedrooms) segments.push(`bed-${bedrooms.replace(/,/g, '+')}`);
+  if (effective.price_min) segments.push(`min-${parseFloat(effective.price_min)}`);
+  if (effective.price_max) segments.push(`max-${parseFloat(effective.price_max)}`);
+  
+  return segments.join('_');
+}
+
+/**
+ * Schlüssel früherer Versionen, die nur den Höchstpreis berücksichtigten (z.B. price_max_1500)
+ * Wird nur noch gelesen, um einen vorhandenen Zustand zu übernehmen
+ */
+function buildLegacyFilterKey(filters = {}) {
+  const dealType = resolveDealType(filters);
+  const priceMax = filters.price_max || DEAL_TYPES[dealType].defaultPriceMax || 'any';
+  return dealType === 'rent' ? `price_max_${priceMax}` : `${dealType}_price_max_${priceMax}`;
+}
+
+/**
+ * S3-Schlüssel des Zustands eines Suchfilters, z.B. results/rent_apartments-flats+houses_pafos-district-paphos_bed-2-3_max-1500/state.json
+ */
+function getStateKey(filterKey = '') {
+  return `${RESULTS_PREFIX}${filterKey ? filterKey+'/' : ''}state.json`;
+}
+
+// Tagesdateien des früheren Speicherformats direkt unter results/<filterKey>/
+const LEGACY_RESULTS_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Aktuelle Version des Zustandsformats (state.json, Snapshots, SQLite), wird in jedem Zustand als schemaVersion gespeichert
+const STATE_SCHEMA_VERSION = 1;
+
+/**
+ * Einheitliche Anzeigen-ID: String ohne Leerzeichen und führende Nullen
+ */
+function normalizeListingId(id) {
+  const trimmed = String(id ?? '').trim();
+  return /^\d+$/.test(trimmed) ? String(parseInt(trimmed, 10)) : trimmed;
+}
+
+/**
+ * Migrationen des Zustandsformats: STATE_MIGRATIONS[n] hebt einen Zustand von Version n auf n + 1
+ * Jede Formatänderung bekommt hier einen Eintrag und erhöht STATE_SCHEMA_VERSION
+ */
+const STATE_MIGRATIONS = {
+  // Zustände ohne schemaVersion (Tagesdateien, frühe state.json) enthalten teils numerische IDs
+  // und Preise als { amount, currency, text } in ganzen Euro ohne amountCents
+  0: (state) => {
+    const migrateListing = (listing) => {
+      const migrated = listing.id ? { ...listing, id: normalizeListingId(listing.id) } : { ...listing };
+      if (listing.price && !('amountCents' in listing.price)) {
+        const period = DEAL_TYPES[listing.dealType]?.pricePeriod || 'month';
+        migrated.price = createPriceObject(getPriceCents(listing.price), listing.price.currency || '€', period, listing.price.text || 'Preis auf Anfrage');
+      }
+      return migrated;
+    };
+    return {
+      ...state,
+      listings: state.listings.map(migrateListing),
+      removedListings: state.removedListings.map(migrateListing)
+    };
+  }
+};
+
+/**
+ * Bringt einen geladenen Zustand auf die aktuelle Schema-Version
+ * Zustände einer neueren, unbekannten Version werden abgelehnt, statt sie falsch zu lesen und beim Speichern zu überschreiben
+ * 
+ * @returns {Object|null} - { schemaVersion, timestamp, listings, removedListings, ... } oder null bei ungültigem Inhalt
+ * @throws {Error} - code 'UnsupportedStateSchema' bei unbekannter schemaVersion
+ */
+function migrateState(rawState, fallbackTimestamp = '') {
+  if (!rawState || !Array.isArray(rawState.listings)) return null;
+  
+  const schemaVersion = rawState.schemaVersion ?? 0;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 0 || schemaVersion > STATE_SCHEMA_VERSION) {
+    const error = new Error(`Zustand hat die unbekannte Schema-Version ${schemaVersion} (unterstützt bis ${STATE_SCHEMA_VERSION}). Bitte den Scraper aktualisieren.`);
+    error.code = 'UnsupportedStateSchema';
+    throw error;
+  }
+  
+  let state = {
+    ...rawState,
+    timestamp: rawState.timestamp || fallbackTimestamp,
+    removedListings: Array.isArray(rawState.removedListings) ? rawState.removedListings : []
+  };
+  for (let version = schemaVersion; version < STATE_SCHEMA_VERSION; version++) {
+    state = STATE_MIGRATIONS[version](state);
+    console.log(`Zustand von Schema-Version ${version} auf ${version + 1} migriert`);
+  }
+  return { ...state, schemaVersion: STATE_SCHEMA_VERSION };
+}
+
+// SQLite-Datenbank erst beim ersten Zugriff öffnen (better-sqlite3 ist optional)
+let sqliteStore = null;
+
+/**
+ * Liefert den SQLite-Zustandsspeicher oder null, wenn der Zustand als state.json gespeichert wird
+ */
+function getSqliteStore() {
+  if (STATE_STORE !== 'sqlite') return null;
+  if (!sqliteStore) {
+    // Erst hier laden, damit Läufe mit state.json das Modul nicht benötigen
+    const { createSqliteStore } = require('./sqlite_store');
+    sqliteStore = createSqliteStore({ file: SQLITE_DB_PATH });
+    console.log(`Zustandsspeicher: SQLite (${SQLITE_DB_PATH})`);
+  }
+  return sqliteStore;
+}
+
 /**
- * Lädt die vorherigen Ergebnisse aus dem S3-Bucket
+ * Liest eine Zustandsdatei
+ * 
+ * @returns {Promise<Object|null>} - { state, etag } oder null, wenn die Datei fehlt oder ungültig ist
+ *   (andere Fehler und unbekannte Schema-Versionen werden geworfen)
  */
-async function loadPreviousResults(filterKey = '') {
-  const today = new Date().toISOString().split('T')[0];
-  const key = filterKey 
-    ? `${RESULTS_PREFIX}${filterKey}/${today}.json`
-    : `${RESULTS_PREFIX}${today}.json`;
+async function readStateObject(key, fallbackTimestamp = '') {
+  const object = await storage.get(key);
+  if (!object) return null;
   
-  let previousResults = { listings: [] };
-  let isFirstRun = false;
-  let previousFileFound = false;
+  const state = migrateState(JSON.parse(object.body.toString()), fallbackTimestamp);
+  if (!state) {
+    console.warn(`Ungültiger Zustand in ${key}. Format nicht korrekt.`);
+    return null;
+  }
+  return { state, etag: object.etag };
+}
+
+/**
+ * Lädt den Zustand eines Suchfilters aus state.json bzw. bei STATE_STORE=sqlite aus der SQLite-Datenbank
+ * ID-Scan (scrapeListings) und Vergleich (saveAndCompareResults) verwenden denselben geladenen Zustand
+ * Fehlt der Zustand, wird state.json (beim Wechsel zu SQLite), der Zustand unter einem früheren Schlüssel (legacyFilterKeys) oder
+ * die neueste Tagesdatei des alten Formats (YYYY-MM-DD.json) übernommen
+ * 
+ * Die zurückgegebene version ist die Grundlage für das bedingte Schreiben in saveState:
+ * ETag von state.json bzw. letzter Lauf in SQLite, null wenn der Zustand noch nicht existiert
+ * 
+ * @param {string} [filterKey=''] - Schlüssel des Suchfilters
+ * @param {Array<string>} [legacyFilterKeys=[]] - Frühere Schlüssel derselben Suche (siehe buildLegacyFilterKey)
+ * @returns {Promise<Object>} - { state, isFirstRun, source, version } (source = Schlüssel der gelesenen Datei oder null)
+ * @throws {Error} - Bei Lesefehlern und unlesbarem Inhalt, nur ein fehlender Zustand gilt als erster Lauf
+ */
+async function loadState(filterKey = '', legacyFilterKeys = []) {
+  const emptyState = { schemaVersion: STATE_SCHEMA_VERSION, timestamp: '', listings: [], removedListings: [] };
+  const candidateKeys = [filterKey, ...legacyFilterKeys.filter(key => key !== filterKey)];
   
   try {
-    // Suche nach der neuesten Datei im S3 Bucket mit dem gleichen Filter
-    const filterPrefix = filterKey ? `${RESULTS_PREFIX}${filterKey}/` : RESULTS_PREFIX;
-    
-    const listParams = {
-      Bucket: S3_BUCKET_NAME,
-      Prefix: filterPrefix
-    };
+    const sqlite = getSqliteStore();
+    if (sqlite) {
+      const stored = sqlite.loadState(filterKey);
+      const state = stored && migrateState(stored.state);
+      if (state) {
+        console.log(`Zustand aus SQLite geladen: ${state.timestamp} (${state.listings.length} Anzeigen, ${state.removedListings.length} entfernte im Archiv)`);
+        return { state, isFirstRun: false, source: `sqlite:${filterKey}`, version: stored.version };
+      }
+      console.log('Kein Zustand in SQLite, suche nach state.json zur Übernahme');
+    }
     
-    console.log(`Suche nach vorherigen Ergebnissen mit Prefix: ${filterPrefix}`);
-    const listedObjects = await s3.listObjectsV2(listParams).promise();
+    for (const candidateKey of candidateKeys) {
+      const stateKey = getStateKey(candidateKey);
+      console.log(`Lade Zustand aus: ${stateKey}`);
+      const stored = await readStateObject(stateKey);
+      if (stored) {
+        const { state } = stored;
+        console.log(`Zustand geladen: ${state.timestamp} (${state.listings.length} Anzeigen, ${state.removedListings.length} entfernte im Archiv)`);
+        if (candidateKey !== filterKey) {
+          console.log(`Zustand vom früheren Schlüssel ${candidateKey} übernommen, wird ab jetzt unter ${filterKey} gespeichert`);
+        }
+        // Übernommene Zustände (SQLite, früherer Schlüssel) werden neu angelegt, daher darf es noch keinen geben
+        const version = !sqlite && candidateKey === filterKey ? stored.etag : null;
+        return { state, isFirstRun: false, source: stateKey, version };
+      }
+    }
     
-    if (listedObjects.Contents.length === 0) {
-      // Keine vorherigen Dateien gefunden
-      console.log('S3-Bucket ist leer oder enthält keine Dateien mit diesem Filter. Dies ist der erste Lauf.');
-      isFirstRun = true;
-    } else {
-      // Sortiere Dateien nach LastModified (neueste zuerst)
-      const sortedObjects = [...listedObjects.Contents].sort((a, b) => 
-        new Date(b.LastModified) - new Date(a.LastModified)
-      );
-      
-      // Aktuelle Datei überspringen, falls sie bereits existiert
-      let latestFile = sortedObjects[0];
-      if (latestFile.Key === key && sortedObjects.length > 1) {
-        latestFile = sortedObjects[1]; // Nimm die zweitneueste, wenn die neueste die aktuelle ist
-      }
-      
-      if (latestFile && latestFile.Key !== key) {
-        // Lade die Daten aus der letzten Datei
-        const previousData = await s3.getObject({
-          Bucket: S3_BUCKET_NAME,
-          Key: latestFile.Key
-        }).promise();
-        
-        if (previousData && previousData.Body) {
-          previousResults = JSON.parse(previousData.Body.toString());
-          previousFileFound = true;
-          console.log(`Vorherige Ergebnisse geladen aus ${latestFile.Key}: ${previousResults.listings.length} Anzeigen`);
+    // Migration: ältere Versionen speicherten pro Tag eine eigene Datei, die neueste gilt (Datum aus dem Dateinamen, nicht LastModified)
+    for (const candidateKey of candidateKeys) {
+      const prefix = `${RESULTS_PREFIX}${candidateKey ? candidateKey+'/' : ''}`;
+      const legacyFiles = (await storage.list(prefix))
+        .map(object => ({ key: object.key, match: object.key.substring(prefix.length).match(LEGACY_RESULTS_FILE_PATTERN) }))
+        .filter(file => file.match)
+        .sort((a, b) => b.match[1].localeCompare(a.match[1]));
+      
+      for (const file of legacyFiles) {
+        const stored = await readStateObject(file.key, `${file.match[1]}T00:00:00.000Z`);
+        if (stored) {
+          console.log(`Keine state.json gefunden, übernehme ${stored.state.listings.length} Anzeigen aus der alten Tagesdatei ${file.key}`);
+          return { state: stored.state, isFirstRun: false, source: file.key, version: null };
         }
-      } else {
-        console.log('Keine geeignete vorherige Datei gefunden.');
       }
     }
   } catch (error) {
-    console.error(`Fehler beim Laden vorheriger Ergebnisse: ${error.message}`);
+    // Fehlende Objekte liefert storage.get als null. Jeder andere Fehler (Netzwerk, Drosselung, abgeschnittenes JSON,
+    // neuere Schema-Version) bricht den Lauf ab, statt das Archiv mit einem leeren Zustand zu überschreiben
+    console.error(`Fehler beim Laden des Zustands: ${error.message}`);
+    throw error;
   }
   
-  // Wenn keine vorherige Datei gefunden wurde, noch einmal prüfen, ob es wirklich der erste Lauf ist
-  if (!previousFileFound && !isFirstRun) {
-    try {
-      const checkParams = {
-        Bucket: S3_BUCKET_NAME,
-        Prefix: RESULTS_PREFIX
-      };
-      
-      const allObjects = await s3.listObjectsV2(checkParams).promise();
-      if (allObjects.Contents.length === 0) {
-        console.log('Bestätigt: S3-Bucket ist komplett leer. Dies ist der erste Lauf.');
-        isFirstRun = true;
-      }
-    } catch (checkError) {
-      console.error(`Fehler bei der Überprüfung des S3-Buckets: ${checkError.message}`);
-    }
+  console.log('Kein vorheriger Zustand gefunden. Dies ist der erste Lauf.');
+  return { state: emptyState, isFirstRun: true, source: null, version: null };
+}
+
+/**
+ * Speichert den Zustand eines Suchfilters in state.json bzw. bei STATE_STORE=sqlite in der SQLite-Datenbank
+ * 
+ * @param {string} filterKey - Schlüssel des Suchfilters
+ * @param {Object} state - Neuer Zustand
+ * @param {Object} [changes={}] - IDs der Änderungen des Laufs (nur für die Tabelle runs in SQLite)
+ * @param {string|null} [expectedVersion] - version aus loadState: nur schreiben, wenn der Zustand seitdem unverändert ist
+ *   (null = darf noch nicht existieren, undefined = ohne Prüfung); sonst Fehler mit code 'PreconditionFailed'
+ * @returns {Promise<string>} - Schlüssel des gespeicherten Zustands
+ */
+async function saveState(filterKey, state, changes = {}, expectedVersion = undefined) {
+  const sqlite = getSqliteStore();
+  if (sqlite) {
+    console.log(`Speichere neuen Zustand in SQLite: ${filterKey}`);
+    sqlite.saveState(filterKey, state, changes, expectedVersion);
+    return `sqlite:${filterKey}`;
   }
   
-  return { previousResults, isFirstRun };
+  const stateKey = getStateKey(filterKey);
+  const body = JSON.stringify(state);
+  console.log(`Speichere neuen Zustand in: ${stateKey}`);
+  if (expectedVersion === undefined) {
+    await storage.put(stateKey, body, { contentType: 'application/json' });
+  } else {
+    await storage.conditionalPut(stateKey, body, expectedVersion, { contentType: 'application/json' });
+  }
+  return stateKey;
 }
 
 /**
@@ -240,29 +481,32 @@ async function loadPreviousResults(filterKey = '') {
  * Verbesserte Scraping-Funktion mit zweistufigem Ansatz:
  * 1. Schneller ID-Scan über alle Seiten
  * 2. Detailliertes Scraping nur für neue Anzeigen
+ * 
+ * @param {Object} [filters={}] - Suchfilter
+ * @param {Object} [loadedState=null] - Ergebnis von loadState (ohne Angabe wird der Zustand hier geladen)
  */
-async function scrapeListings(filters = {}) {
+async function scrapeListings(filters = {}, loadedState = null) {
   try {
     // Überprüfen, ob wir im Debug-Modus mit Test-Daten arbeiten sollen
     if (process.env.DEBUG_MODE === 'true') {
       console.log('DEBUG-MODUS: Verwende Test-Daten anstatt Live-Scraping');
-      return generateTestListings(5);
+      return { listings: generateTestListings(5), newListings: [], scanStats: [], availabilityById: {} };
     }
     
-    // Filterkey generieren
-    const filterKey = filters.price_max ? `price_max_${filters.price_max}` : `price_max_${DEFAULT_PRICE_MAX}`;
+    // Angebotsart und Filterkey generieren
+    const dealType = resolveDealType(filters);
+    const filterKey = buildFilterKey(filters);
     console.log(`Verwende Filter-Schlüssel für S3-Ergebnisse: ${filterKey}`);
     
-    // ===== OPTIMIERUNG: Frühes Laden vorheriger Ergebnisse =====
-    console.log('Lade vorherige Ergebnisse aus S3...');
+    // ===== OPTIMIERUNG: Frühes Laden des vorherigen Zustands =====
     const startTime = Date.now();
-    const { previousResults, isFirstRun } = await loadPreviousResults(filterKey);
-    const previousIds = new Set(previousResults.listings.map(listing => listing.id));
+    const { state: previousState, isFirstRun } = loadedState || await loadState(filterKey);
+    const previousIds = new Set(previousState.listings.map(listing => listing.id));
     const previousIdsByType = {};
     const previousListingsById = {};
     
     // Index erstellen, um schnell auf vorherige Anzeigen zuzugreifen
-    previousResults.listings.forEach(listing => {
+    previousState.listings.forEach(listing => {
       previousListingsById[listing.id] = listing;
       
       // Nach Immobilientyp gruppieren (falls verfügbar)
@@ -275,67 +519,95 @@ async function scrapeListings(filters = {}) {
     console.log(`Anzeigen nach Typ: ${Object.keys(previousIdsByType).map(type => `${type}: ${previousIdsByType[type]?.size || 0}`).join(', ')}`);
     
     // Bestimme, welche Immobilientypen gescrapt werden sollen
-    let propertyTypes = [];
-    if (filters.propertyTypes && Array.isArray(filters.propertyTypes)) {
-      propertyTypes = filters.propertyTypes;
-    } else if (filters.propertyType) {
-      propertyTypes = [filters.propertyType];
-    } else {
-      propertyTypes = ['apartments-flats', 'houses'];
+    const propertyTypes = resolvePropertyTypes(filters);
+    
+    // Bestimme, welche Städte durchsucht werden sollen (null = nur Bezirk, keine Umkreissuche)
+    const cities = resolveCities(filters);
+    
+    // Jede Kombination aus Stadt und Immobilientyp ist eine eigene Suche
+    const searches = [];
+    for (const city of cities) {
+      for (const propertyType of propertyTypes) {
+        searches.push({
+          city,
+          propertyType,
+          label: city ? `${city}/${propertyType || 'alle-typen'}` : (propertyType || 'alle-typen')
+        });
+      }
     }
     
     console.log(`Scrape folgende Immobilientypen: ${propertyTypes.join(', ')}`);
+    console.log(`Durchsuche folgende Städte: ${cities.map(city => city || 'alle').join(', ')} (${searches.length} Suchen)`);
     
     // Zu erstellende Listen für die Ergebnisse
     const newListings = [];
     const allCurrentListings = [];
     const allProcessedIds = new Set();
     
+    // Ergebnis des ID-Scans pro Suche für den Health-Check
+    const scanStats = [];
+    
     // Übersichten für Statistiken
     const statsByType = {};
     propertyTypes.forEach(type => {
       statsByType[type] = { total: 0, new: 0, unchanged: 0, removed: 0, processingTime: 0 };
     });
+    const statsByCity = {};
+    cities.forEach(city => {
+      statsByCity[city || 'alle'] = { total: 0, new: 0, unchanged: 0, removed: 0, processingTime: 0 };
+    });
     
-    // Jeden Immobilientyp nacheinander komplett verarbeiten
-    for (const propertyType of propertyTypes) {
+    // Filter ohne Städteliste - die Stadt wird pro Suche gesetzt
+    const baseFilters = { ...filters };
+    delete baseFilters.cities;
+    
+    // Jede Suche nacheinander komplett verarbeiten
+    for (const { city, propertyType, label } of searches) {
       const typeStartTime = Date.now();
-      console.log(`\n== Beginne optimierte Verarbeitung für Immobilientyp: ${propertyType} ==\n`);
+      console.log(`\n== Beginne optimierte Verarbeitung für Suche: ${label} ==\n`);
       
       // Filter kombinieren (Standard + benutzerdefiniert)
+      // Bei einer Umkreissuche um eine Stadt wird der Standardbezirk nicht verwendet
       const searchFilters = { 
         ...DEFAULT_FILTERS, 
-        ...filters,
+        price_max: DEAL_TYPES[dealType].defaultPriceMax,
+        ...(city ? { district: '' } : {}),
+        ...baseFilters,
+        city: city || '',
+        dealType,
         propertyType // Überschreibe mit aktuellem Typ
       };
       
-      console.log(`Starte Scraping für ${propertyType} mit Filtern: ${JSON.stringify(searchFilters)}`);
+      console.log(`Starte Scraping für ${label} mit Filtern: ${JSON.stringify(searchFilters)}`);
       
-      // Spezifische URLs verwenden anstatt generierter URLs
-      let searchUrl;
-      if (propertyType === 'apartments-flats') {
-        searchUrl = 'https://www.bazaraki.com/real-estate-to-rent/apartments-flats/number-of-bedrooms---2/number-of-bedrooms---3/number-of-bedrooms---4/?price_max=1250&lat=34.82605406475855&lng=32.40992763476561&radius=10000';
-      } else if (propertyType === 'houses') {
-        searchUrl = 'https://www.bazaraki.com/real-estate-to-rent/houses/number-of-bedrooms---2/number-of-bedrooms---3/pafos-district-paphos/?price_max=1250';
-      } else {
-        // Fallback auf generierte URL, falls ein anderer Typ verwendet wird
-        searchUrl = buildSearchUrl(searchFilters);
-      }
-      console.log(`Such-URL für ${propertyType}: ${searchUrl}`);
+      // Such-URL aus dem vollständigen Filtermodell erzeugen
+      // Der Höchstpreis wird um den Beobachtungsspielraum erweitert, damit Preissenkungen knapp über dem Budget auffallen
+      const searchUrl = buildSearchUrl({ ...searchFilters, price_max: applyPriceWatchMargin(searchFilters.price_max) });
+      console.log(`Such-URL für ${label}: ${searchUrl}`);
       
       // ===== OPTIMIERUNG: Schneller Ad-ID-Scan mit Überspringen bekannter IDs =====
-      console.log(`Beginne optimierten ID-Scan für ${propertyType}...`);
+      console.log(`Beginne optimierten ID-Scan für ${label}...`);
       const scanStartTime = Date.now();
       
       // Vorherige IDs an die URL-Extraktionsfunktion übergeben für frühe Optimierung
       // Fügt skipKnown=true hinzu, um bekannte IDs direkt zu überspringen
       const urlResults = await extractListingUrls(searchUrl, 10, previousIds, true);
+      scanStats.push({
+        label,
+        searchUrl,
+        expectedTotal: urlResults.expectedTotal ?? null,
+        found: urlResults.allUrls.length,
+        pagesCrawled: urlResults.pagesCrawled || 0,
+        reachedPageLimit: urlResults.reachedPageLimit === true,
+        error: urlResults.error || null
+      });
       
       // Aktuelle IDs und URLs verarbeiten
-      const currentTypeIds = new Set(); // Aktuelle IDs
+      const currentSearchIds = new Set(); // Aktuelle IDs
       const newIds = []; // Neue IDs (nicht in vorherigen)
       const newListingUrls = []; // URLs für neue Anzeigen
       const unchangedIds = new Set(); // Unveränderte IDs (bekannte IDs)
+      let duplicateCount = 0; // Bereits von einer anderen Suche in diesem Lauf gefunden
       
       // 1. Entfernte Anzeigen werden automatisch erkannt (nicht in aktueller Menge)
       
@@ -349,9 +621,15 @@ async function scrapeListings(filters = {}) {
           continue;
         }
         
+        // Überlappende Suchgebiete: Anzeige nur einmal verarbeiten
+        if (allProcessedIds.has(id)) {
+          duplicateCount++;
+          continue;
+        }
+        
         // ID für späteren globalen Vergleich speichern
         allProcessedIds.add(id);
-        currentTypeIds.add(id);
+        currentSearchIds.add(id);
         
         // Neue IDs sind schon gefiltert dank skipKnown=true
         newIds.push(id);
@@ -360,64 +638,72 @@ async function scrapeListings(filters = {}) {
       
       // 3. IDs der übersprungenen Anzeigen als "unverändert" markieren
       for (const id of urlResults.skippedIds) {
+        if (allProcessedIds.has(id)) {
+          duplicateCount++;
+          continue;
+        }
         unchangedIds.add(id);
-        currentTypeIds.add(id);
+        currentSearchIds.add(id);
         allProcessedIds.add(id);
       }
       
       // Erfolgsstatistik ausgeben
-      console.log(`Optimierter Scan hat ${urlResults.savedRequestsCount} Anfragen eingespart`);
-      console.log(`Geschätzte Zeitersparnis: ~${urlResults.estimatedTimeSaved.toFixed(1)}s`);
-      
-      
-      // Ermittle entfernte IDs (nur für diesen Immobilientyp)
-      const removedIds = [];
-      if (previousIdsByType[propertyType]) {
-        previousIdsByType[propertyType].forEach(id => {
-          if (!currentTypeIds.has(id)) {
-            removedIds.push(id);
-          }
-        });
+      console.log(`Optimierter Scan hat ${urlResults.savedRequestsCount || 0} Anfragen eingespart`);
+      console.log(`Geschätzte Zeitersparnis: ~${(urlResults.estimatedTimeSaved || 0).toFixed(1)}s`);
+      if (duplicateCount > 0) {
+        console.log(`${duplicateCount} Anzeigen bereits durch eine andere Suche erfasst`);
       }
       
-      // Speichere Statistiken für Reports
-      statsByType[propertyType].total = currentTypeIds.size;
-      statsByType[propertyType].new = newIds.length;
-      statsByType[propertyType].unchanged = unchangedIds.size;
-      statsByType[propertyType].removed = removedIds.length;
+      // Speichere Statistiken für Reports (entfernte Anzeigen werden nach allen Suchen ermittelt)
+      const cityKey = city || 'alle';
+      for (const stats of [statsByType[propertyType], statsByCity[cityKey]]) {
+        stats.total += currentSearchIds.size;
+        stats.new += newIds.length;
+        stats.unchanged += unchangedIds.size;
+      }
       
       // Schneller ID-Scan abgeschlossen
-      console.log(`Schneller ID-Scan für ${propertyType}: ${Date.now() - scanStartTime}ms`);
-      console.log(`Ergebnis: ${currentTypeIds.size} Anzeigen gefunden (${newIds.length} neu, ${unchangedIds.size} unverändert, ${removedIds.length} entfernt)`);
+      console.log(`Schneller ID-Scan für ${label}: ${Date.now() - scanStartTime}ms`);
+      console.log(`Ergebnis: ${currentSearchIds.size} Anzeigen gefunden (${newIds.length} neu, ${unchangedIds.size} unverändert)`);
       
       // Übersicht ausgeben, falls viele IDs gefunden wurden
       if (newIds.length > 0) {
-        console.log(`✨ ${newIds.length} neue Anzeigen für ${propertyType} gefunden zur detaillierten Verarbeitung`);
-      }
-      
-      if (removedIds.length > 0) {
-        console.log(`🚫 ${removedIds.length} entfernte Anzeigen für ${propertyType} identifiziert`);
-        // Optional: Hier könnten wir Details zu den entfernten Anzeigen anzeigen
+        console.log(`✨ ${newIds.length} neue Anzeigen für ${label} gefunden zur detaillierten Verarbeitung`);
       }
       
       // ===== OPTIMIERUNG: Unveränderte Anzeigen direkt übernehmen =====
-      // Für unveränderte Anzeigen die vorherigen Daten wiederverwenden
+      // Für unveränderte Anzeigen die vorherigen Daten wiederverwenden, der Preis kommt aus der Suchergebniskarte
+      const seenAt = new Date().toISOString();
+      let priceChangedCount = 0;
       for (const id of unchangedIds) {
         if (previousListingsById[id]) {
-          allCurrentListings.push(previousListingsById[id]);
+          const listing = applyCardPrice({
+            ...previousListingsById[id],
+            dealType,
+            city: city || previousListingsById[id].city
+          }, urlResults.cardPricesById?.[id], dealType, seenAt);
+          
+          if (listing.priceChanged) {
+            priceChangedCount++;
+            console.log(`💶 Preisänderung bei Anzeige ${id}: ${listing.priceChanged.oldText} → ${listing.priceChanged.newText}`);
+          }
+          allCurrentListings.push(listing);
         }
       }
+      if (priceChangedCount > 0) {
+        console.log(`${priceChangedCount} bekannte ${label}-Anzeigen mit geändertem Preis`);
+      }
       
       // Detaillierte Informationen für neue Anzeigen abrufen
       if (newIds.length > 0) {
-        console.log(`Hole detaillierte Informationen für ${newIds.length} neue ${propertyType}-Anzeigen...`);
+        console.log(`Hole detaillierte Informationen für ${newIds.length} neue ${label}-Anzeigen...`);
         const detailsStartTime = Date.now();
         
         // Detaillierte Daten für jede neue Anzeige extrahieren
         for (let i = 0; i < newListingUrls.length; i++) {
           const { url, id } = newListingUrls[i];
           
-          console.log(`Verarbeite neue ${propertyType}-Anzeige ${i+1}/${newListingUrls.length}: ${id}`);
+          console.log(`Verarbeite neue ${label}-Anzeige ${i+1}/${newListingUrls.length}: ${id}`);
           
           try {
             // Basisinformationen
@@ -425,13 +711,24 @@ async function scrapeListings(filters = {}) {
               id,
               url,
               propertyType, // Speichere den Immobilientyp im Objekt
+              dealType, // Miete oder Kauf
+              city: city || undefined, // Stadt, aus deren Suche die Anzeige stammt
               scrapedAt: new Date().toISOString()
             };
             
             // Detaillierte Informationen extrahieren
-            const details = await extractListingDetails(url);
+            const details = await extractListingDetails(url, dealType);
             const newListing = { ...listing, ...details };
             
+            // Ohne Preis auf der Detailseite den Preis der Suchergebniskarte verwenden
+            const cardPriceText = urlResults.cardPricesById?.[id];
+            if (getPriceCents(newListing.price) === null && cardPriceText) {
+              newListing.price = parsePriceText(cardPriceText, DEAL_TYPES[dealType].pricePeriod);
+            }
+            
+            // Foto-Hashes für die Zusammenfassung derselben Wohnung bei mehreren Maklern
+            newListing.imageHashes = await hashListingImages(newListing);
+            
             // Zu beiden Listen hinzufügen
             newListings.push(newListing);
             allCurrentListings.push(newListing);
@@ -443,28 +740,97 @@ async function scrapeListings(filters = {}) {
           }
         }
         
-        console.log(`Detaillierte Verarbeitung für ${propertyType} abgeschlossen: ${Date.now() - detailsStartTime}ms`);
+        console.log(`Detaillierte Verarbeitung für ${label} abgeschlossen: ${Date.now() - detailsStartTime}ms`);
       } else {
-        console.log(`Keine neuen ${propertyType}-Anzeigen gefunden, überspringe detailliertes Scraping für diesen Typ.`);
+        console.log(`Keine neuen ${label}-Anzeigen gefunden, überspringe detailliertes Scraping für diese Suche.`);
       }
       
-      // Gesamte Verarbeitungszeit für diesen Typ
-      statsByType[propertyType].processingTime = Date.now() - typeStartTime;
-      console.log(`\n== Verarbeitung für Immobilientyp ${propertyType} abgeschlossen (${statsByType[propertyType].processingTime}ms) ==\n`);
+      // Gesamte Verarbeitungszeit für diese Suche
+      const processingTime = Date.now() - typeStartTime;
+      statsByType[propertyType].processingTime += processingTime;
+      statsByCity[cityKey].processingTime += processingTime;
+      console.log(`\n== Verarbeitung für Suche ${label} abgeschlossen (${processingTime}ms) ==\n`);
       
-      // Kurze Pause zwischen den Immobilientypen
+      // Kurze Pause zwischen den Suchen
       await delay(1000);
     }
     
+    // ===== Veraltete bekannte Anzeigen erneut laden =====
+    // Bekannte IDs werden sonst nie wieder geladen, Beschreibung, Fotos und Merkmale blieben auf dem Stand des ersten Scans
+    const newIdSet = new Set(newListings.map(listing => listing.id));
+    const staleListings = selectStaleListings(allCurrentListings.filter(listing => !newIdSet.has(listing.id)));
+    let revisedCount = 0;
+    
+    if (staleListings.length > 0) {
+      console.log(`\nLade ${staleListings.length} veraltete bekannte Anzeigen erneut (Budget: ${RECRAWL_BUDGET}, älter als ${RECRAWL_MIN_AGE_DAYS} Tage)...`);
+      
+      for (const staleListing of staleListings) {
+        const details = await extractListingDetails(staleListing.url, staleListing.dealType || dealType);
+        if (details.error) {
+          console.warn(`Anzeige ${staleListing.id} konnte nicht erneut geladen werden: ${details.error}`);
+          continue;
+        }
+        
+        const fetchedAt = new Date().toISOString();
+        const refreshed = applyRefreshedDetails(staleListing, details, fetchedAt);
+        allCurrentListings[allCurrentListings.indexOf(staleListing)] = refreshed;
+        
+        const revision = refreshed.revisions?.[refreshed.revisions.length - 1];
+        const isRevised = revision && revision.revisedAt === fetchedAt;
+        if (isRevised) {
+          revisedCount++;
+          console.log(`✏️ Anzeige ${staleListing.id} überarbeitet: ${revision.changes.map(change => change.field).join(', ')}`);
+        }
+        
+        // Foto-Hashes bei geänderten Fotos neu berechnen, bei älteren Zuständen nachholen
+        if (!refreshed.imageHashes || (isRevised && revision.changes.some(change => change.field === 'images'))) {
+          refreshed.imageHashes = await hashListingImages(refreshed) || refreshed.imageHashes || null;
+        }
+        
+        await delay(500);
+      }
+    }
+    
     // Globaler Vergleich für entfernte Anzeigen - bereits verarbeitet beim ID-Scan
     const removedIds = [...previousIds].filter(id => !allProcessedIds.has(id));
     
+    // Entfernte Anzeigen den Statistiken pro Typ und Stadt zuordnen
+    for (const id of removedIds) {
+      const previousListing = previousListingsById[id] || {};
+      if (statsByType[previousListing.propertyType]) {
+        statsByType[previousListing.propertyType].removed++;
+      }
+      if (statsByCity[previousListing.city]) {
+        statsByCity[previousListing.city].removed++;
+      }
+    }
+    
+    // Fehlende Anzeigen über ihre Detailseite prüfen: 404 oder "nicht mehr verfügbar" bestätigt die Entfernung sofort
+    // Am längsten fehlende Anzeigen zuerst, damit jede Anzeige irgendwann geprüft wird
+    const availabilityById = {};
+    if (REMOVAL_CONFIRM_RUNS > 1 && removedIds.length > 0) {
+      const missingListings = removedIds
+        .map(id => previousListingsById[id])
+        .filter(listing => listing && listing.url)
+        .sort((a, b) => String(a.missingSince || '').localeCompare(String(b.missingSince || '')))
+        .slice(0, REMOVAL_CHECK_BUDGET);
+      
+      console.log(`\nPrüfe Detailseiten von ${missingListings.length}/${removedIds.length} fehlenden Anzeigen...`);
+      for (const listing of missingListings) {
+        availabilityById[listing.id] = await checkListingAvailability(listing.url);
+        await delay(500);
+      }
+    }
+    
     // Zusammenfassung der Ergebnisse generieren
     const totalStats = {
       total: allCurrentListings.length,
       new: newListings.length,
       removed: removedIds.length,
       unchanged: allCurrentListings.length - newListings.length,
+      priceChanged: allCurrentListings.filter(listing => listing.priceChanged).length,
+      refreshed: staleListings.length,
+      revised: revisedCount,
       processingTime: Date.now() - startTime
     };
     
@@ -478,9 +844,32 @@ async function scrapeListings(filters = {}) {
       console.log(`- ${type}: ${stats.total} Anzeigen (${stats.new} neu, ${stats.unchanged} unverändert, ${stats.removed} entfernt) in ${stats.processingTime}ms`);
     }
     
+    console.log(`\nStatistik pro Stadt:`);
+    for (const [city, stats] of Object.entries(statsByCity)) {
+      console.log(`- ${city}: ${stats.total} Anzeigen (${stats.new} neu, ${stats.unchanged} unverändert, ${stats.removed} entfernt) in ${stats.processingTime}ms`);
+    }
+    
+    // Welche Extraktionsstrategie hat die Felder der neuen Anzeigen geliefert?
+    const sourceStats = {};
+    newListings.forEach(listing => {
+      Object.entries(listing.fieldSources || {}).forEach(([field, source]) => {
+        if (!sourceStats[field]) sourceStats[field] = {};
+        sourceStats[field][source] = (sourceStats[field][source] || 0) + 1;
+      });
+    });
+    if (Object.keys(sourceStats).length > 0) {
+      console.log(`\nFeldquellen der neuen Anzeigen:`);
+      for (const [field, sources] of Object.entries(sourceStats)) {
+        console.log(`- ${field}: ${Object.entries(sources).map(([source, count]) => `${source} ${count}`).join(', ')}`);
+      }
+    }
+    
     // Gesamtstatistik anzeigen
     console.log(`\nGESAMTERGEBNIS:`);
-    console.log(`${totalStats.total} aktuelle Anzeigen (${totalStats.new} neu, ${totalStats.unchanged} unverändert, ${totalStats.removed} entfernt)`);
+    console.log(`${totalStats.total} aktuelle Anzeigen (${totalStats.new} neu, ${totalStats.unchanged} unverändert, ${totalStats.removed} entfernt, ${totalStats.priceChanged} mit Preisänderung)`);
+    if (totalStats.refreshed > 0) {
+      console.log(`${totalStats.refreshed} veraltete Anzeigen erneut geladen, ${totalStats.revised} davon überarbeitet`);
+    }
     
     // Bei Erstausführung oder vielen neuen Anzeigen
     if (isFirstRun) {
@@ -522,8 +911,9 @@ async function scrapeListings(filters = {}) {
     console.log(`Geschätzte Zeitersparnis: ~${estimatedTimeSaved.toFixed(1)} Sekunden (${(estimatedTimeSaved / 60).toFixed(1)} Minuten)`);
     console.log(`====================================\n`);
     
-    // Rückgabe aller aktuellen Anzeigen (neue + unveränderte)
-    return allCurrentListings;
+    // Rückgabe aller aktuellen Anzeigen (neue + unveränderte), der Scan-Daten für den Health-Check
+    // und der Prüfergebnisse fehlender Anzeigen für die Bestätigung der Entfernung
+    return { listings: allCurrentListings, newListings, scanStats, availabilityById };
   } catch (error) {
     console.error(`Fehler beim Scrapen der Anzeigen: ${error.message}`);
     throw error;
@@ -554,14 +944,14 @@ function generateTestListings(count = 5) {
   
   // Beispiel-Preise
   const prices = [
-    { text: '€1,200 / Monat', value: 1200 },
-    { text: '€1,500 / Monat', value: 1500 },
-    { text: '€1,800 / Monat', value: 1800 },
-    { text: '€950 / Monat', value: 950 },
-    { text: '€1,350 / Monat', value: 1350 },
-    { text: '€2,000 / Monat', value: 2000 },
-    { text: '€1,100 / Monat', value: 1100 }
-  ];
+    '€1,200 / Monat',
+    '€1,500 / Monat',
+    '€1,800 / Monat',
+    '€950 / Monat',
+    '€1,350 / Monat',
+    '€2,000 / Monat',
+    '€1,100 / Monat'
+  ].map(text => parsePriceText(text));
   
   // Beispiel-Bilder
   const images = [
@@ -584,11 +974,11 @@ function generateTestListings(count = 5) {
       price: prices[i % prices.length],
       location: locations[i % locations.length],
       description: `Dies ist eine Test-Beschreibung für die Anzeige ${id}. Die Wohnung verfügt über mehrere Zimmer und eine gute Ausstattung.`,
-      details: {
-        bedrooms: 2 + (i % 2),
-        bathrooms: 1 + (i % 2),
-        area: 85 + (i * 10)
-      },
+      characteristics: normalizeCharacteristics({
+        'bedrooms': String(2 + (i % 2)),
+        'bathrooms': String(1 + (i % 2)),
+        'property-area': `${85 + (i * 10)} m²`
+      }),
       images: images[i % images.length]
     });
   }
@@ -597,21 +987,120 @@ function generateTestListings(count = 5) {
   return listings;
 }
 
+/**
+ * Wandelt den Schlafzimmer-Filter in eine sortierte Liste von Zahlen um
+ * Unterstützt Bereiche ('2-3'), Listen ('2,3,4' oder [2, 3]) und exakte Werte ('2')
+ * 
+ * @param {string|number|Array} bedrooms - Schlafzimmer-Filter
+ * @returns {number[]} - Liste der gewünschten Schlafzimmeranzahlen
+ */
+function parseBedroomFilter(bedrooms) {
+  if (bedrooms === undefined || bedrooms === null || bedrooms === '') return [];
+  
+  const parts = Array.isArray(bedrooms) ? bedrooms : String(bedrooms).split(',');
+  const counts = new Set();
+  
+  for (const part of parts) {
+    const rangeMatch = String(part).trim().match(/^(\d+)\s*-\s*(\d+)$/);
+    if (rangeMatch) {
+      const from = parseInt(rangeMatch[1], 10);
+      const to = parseInt(rangeMatch[2], 10);
+      for (let n = Math.min(from, to); n <= Math.max(from, to); n++) {
+        counts.add(n);
+      }
+      continue;
+    }
+    
+    const value = parseInt(String(part).trim(), 10);
+    if (!isNaN(value)) counts.add(value);
+  }
+  
+  return [...counts].sort((a, b) => a - b);
+}
+
+/**
+ * Ermittelt die Geo-Parameter (lat/lng/radius in Metern) für eine Suche
+ * Explizite Koordinaten haben Vorrang vor den Werten aus GEO_LOCATIONS
+ * 
+ * @param {Object} filters - Suchfilter
+ * @returns {Object|null} - Geo-Parameter oder null, wenn keine Koordinaten bekannt sind
+ */
+function resolveGeoFilter(filters) {
+  const geoLocation = filters.city ? GEO_LOCATIONS[String(filters.city).toLowerCase()] : null;
+  
+  if (filters.city && !geoLocation) {
+    console.warn(`Unbekannte Stadt '${filters.city}' - keine Geo-Koordinaten verfügbar`);
+  }
+  
+  const lat = filters.lat !== undefined && filters.lat !== '' ? filters.lat : geoLocation?.lat;
+  const lng = filters.lng !== undefined && filters.lng !== '' ? filters.lng : geoLocation?.lng;
+  
+  if (lat === undefined || lng === undefined) return null;
+  
+  // Radius wird im Filter in km angegeben, Bazaraki erwartet Meter
+  let radius = geoLocation?.radius;
+  if (filters.radius) {
+    radius = Math.round(parseFloat(filters.radius) * 1000);
+  }
+  
+  return { lat, lng, radius };
+}
+
+/**
+ * Ermittelt die zu durchsuchenden Städte aus dem Filter
+ * Unterstützt `cities` als Array oder kommaseparierten String sowie eine einzelne `city`
+ * 
+ * @param {Object} filters - Suchfilter
+ * @returns {Array<string|null>} - Städte-Schlüssel aus GEO_LOCATIONS, [null] für eine Suche ohne Stadt
+ */
+function resolveCities(filters) {
+  let cities = [];
+  if (Array.isArray(filters.cities)) {
+    cities = filters.cities;
+  } else if (typeof filters.cities === 'string' && filters.cities.trim()) {
+    cities = filters.cities.split(',');
+  } else if (filters.city) {
+    cities = [filters.city];
+  }
+  
+  const knownCities = [];
+  for (const city of cities) {
+    const cityKey = String(city).trim().toLowerCase();
+    if (!cityKey) continue;
+    
+    if (!GEO_LOCATIONS[cityKey]) {
+      console.warn(`Unbekannte Stadt '${city}' wird übersprungen. Verfügbar: ${Object.keys(GEO_LOCATIONS).join(', ')}`);
+      continue;
+    }
+    if (!knownCities.includes(cityKey)) knownCities.push(cityKey);
+  }
+  
+  return knownCities.length > 0 ? knownCities : [null];
+}
+
 /**
  * Baut eine Such-URL mit den angegebenen Filtern
+ * 
+ * Beispiel:
+ * https://www.bazaraki.com/real-estate-to-rent/apartments-flats/number-of-bedrooms---2/number-of-bedrooms---3/pafos-district-paphos/?price_max=1250&lat=34.82&lng=32.40&radius=10000
+ * 
+ * @param {Object} filters - Suchfilter (dealType, propertyType, bedrooms, district, city, lat, lng, radius, price_min, price_max)
+ * @returns {string} - Vollständige Such-URL
  */
 function buildSearchUrl(filters) {
-  // Neue URL-Struktur von Bazaraki (Stand Mai 2025)
-  // https://www.bazaraki.com/real-estate-to-rent/apartments-flats/pafos-district-paphos/?lat=&lng=&radius=20
-  
-  // Basis-URL für Immobilien-Miete
-  let urlPath = '/real-estate-to-rent';
+  // Basis-URL je nach Angebotsart (Miete oder Kauf)
+  let urlPath = DEAL_TYPES[resolveDealType(filters)].path;
   
   // Immobilientyp hinzufügen (z.B. apartments-flats, houses, etc.)
   if (filters.propertyType) {
     urlPath += `/${filters.propertyType}`;
   }
   
+  // Schlafzimmer als eigene Pfadsegmente (number-of-bedrooms---N)
+  for (const count of parseBedroomFilter(filters.bedrooms)) {
+    urlPath += `/${BEDROOMS_SEGMENT_PREFIX}${count}`;
+  }
+  
   // Bezirk/Stadt hinzufügen
   if (filters.district) {
     urlPath += `/${filters.district}`;
@@ -620,15 +1109,21 @@ function buildSearchUrl(filters) {
   // URL erstellen
   const url = new URL(`${BASE_URL}${urlPath}/`);
   
-  // Standardparameter hinzufügen
-  url.searchParams.append('lat', '');
-  url.searchParams.append('lng', '');
+  // Preisbereich als Query-Parameter
+  if (filters.price_min) {
+    url.searchParams.append('price_min', filters.price_min);
+  }
+  if (filters.price_max) {
+    url.searchParams.append('price_max', filters.price_max);
+  }
   
-  // Zusätzliche Filter als Query-Parameter hinzufügen
-  for (const [key, value] of Object.entries(filters)) {
-    // propertyType und district sind bereits im Pfad enthalten
-    if (!['propertyType', 'district'].includes(key) && value) {
-      url.searchParams.append(key, value);
+  // Umkreissuche nur, wenn Koordinaten bekannt sind
+  const geo = resolveGeoFilter(filters);
+  if (geo) {
+    url.searchParams.append('lat', geo.lat);
+    url.searchParams.append('lng', geo.lng);
+    if (geo.radius) {
+      url.searchParams.append('radius', geo.radius);
     }
   }
   
@@ -636,16 +1131,112 @@ function buildSearchUrl(filters) {
 }
 
 /**
- * Extrahiert eine Ad-ID aus einer URL mit verbesserter Robustheit
+ * Fasst eine Liste von Schlafzimmeranzahlen wieder zu einem Filterwert zusammen
+ * Zusammenhängende Werte werden als Bereich ('2-3'), andere als Liste ('2,4') ausgegeben
  * 
- * @param {string} url - Die URL oder das Listing-Objekt, aus dem die ID extrahiert werden soll
- * @returns {string|null} - Die extrahierte ID als String oder null, wenn keine ID gefunden wurde
+ * @param {number[]} counts - Sortierte Schlafzimmeranzahlen
+ * @returns {string} - Filterwert im Format von DEFAULT_FILTERS.bedrooms
  */
-function extractAdId(url) {
-  if (!url) return null;
+function formatBedroomFilter(counts) {
+  if (counts.length === 0) return '';
   
-  // Falls ein Objekt übergeben wurde, versuche die URL zu extrahieren
-  if (typeof url === 'object') {
+  const isContiguous = counts.every((count, i) => i === 0 || count === counts[i - 1] + 1);
+  if (counts.length > 1 && isContiguous) {
+    return `${counts[0]}-${counts[counts.length - 1]}`;
+  }
+  
+  return counts.join(',');
+}
+
+/**
+ * Wandelt eine Bazaraki-Such-URL in eine normalisierte Filterdefinition um (Gegenstück zu buildSearchUrl)
+ * 
+ * Alle Felder werden gesetzt, nicht in der URL enthaltene Filter als leerer String,
+ * damit DEFAULT_FILTERS die eingefügte Suche nicht verändern.
+ * 
+ * @param {string} searchUrl - Im Browser erstellte Bazaraki-Such-URL
+ * @returns {Object} - Filter (dealType, propertyType, bedrooms, district, lat, lng, radius, price_min, price_max)
+ */
+function parseSearchUrl(searchUrl) {
+  let url;
+  try {
+    url = new URL(String(searchUrl).trim());
+  } catch (error) {
+    throw new Error(`Ungültige Such-URL: ${searchUrl}`);
+  }
+  
+  if (!/(^|\.)bazaraki\.com$/.test(url.hostname)) {
+    throw new Error(`Keine Bazaraki-URL: ${searchUrl}`);
+  }
+  
+  const segments = url.pathname.split('/').filter(Boolean);
+  
+  // Kategorie (Miete oder Kauf) aus dem ersten Pfadsegment bestimmen
+  const dealType = Object.keys(DEAL_TYPES).find(type => DEAL_TYPES[type].path === `/${segments[0]}`);
+  if (!dealType) {
+    throw new Error(`Keine Immobilien-Suche (erwartet ${Object.values(DEAL_TYPES).map(type => type.path).join(' oder ')}): ${searchUrl}`);
+  }
+  
+  const filters = {
+    dealType,
+    propertyType: '',
+    bedrooms: '',
+    district: '',
+    city: '',
+    lat: '',
+    lng: '',
+    radius: '',
+    price_min: '',
+    price_max: ''
+  };
+  
+  // Restliche Pfadsegmente: Immobilientyp, Schlafzimmer, Bezirk
+  const bedroomCounts = [];
+  for (const segment of segments.slice(1)) {
+    if (segment.startsWith(BEDROOMS_SEGMENT_PREFIX)) {
+      const count = parseInt(segment.substring(BEDROOMS_SEGMENT_PREFIX.length), 10);
+      if (!isNaN(count)) bedroomCounts.push(count);
+    } else if (segment.includes('-district-')) {
+      filters.district = segment;
+    } else if (!filters.propertyType) {
+      filters.propertyType = segment;
+    } else {
+      console.warn(`Unbekanntes Pfadsegment in Such-URL ignoriert: ${segment}`);
+    }
+  }
+  filters.bedrooms = formatBedroomFilter(parseBedroomFilter(bedroomCounts));
+  
+  // Query-Parameter: Preisbereich und Umkreissuche (Radius in Metern -> km)
+  const params = url.searchParams;
+  if (params.get('price_min')) filters.price_min = params.get('price_min');
+  if (params.get('price_max')) filters.price_max = params.get('price_max');
+  if (params.get('lat') && params.get('lng')) {
+    filters.lat = params.get('lat');
+    filters.lng = params.get('lng');
+    if (params.get('radius')) {
+      filters.radius = String(parseFloat(params.get('radius')) / 1000);
+    }
+  }
+  
+  const ignoredParams = [...params.keys()].filter(key => !['price_min', 'price_max', 'lat', 'lng', 'radius'].includes(key));
+  if (ignoredParams.length > 0) {
+    console.warn(`Nicht unterstützte Parameter in Such-URL ignoriert: ${ignoredParams.join(', ')}`);
+  }
+  
+  return filters;
+}
+
+/**
+ * Extrahiert eine Ad-ID aus einer URL mit verbesserter Robustheit
+ * 
+ * @param {string} url - Die URL oder das Listing-Objekt, aus dem die ID extrahiert werden soll
+ * @returns {string|null} - Die extrahierte ID als String oder null, wenn keine ID gefunden wurde
+ */
+function extractAdId(url) {
+  if (!url) return null;
+  
+  // Falls ein Objekt übergeben wurde, versuche die URL zu extrahieren
+  if (typeof url === 'object') {
     if (url.id) return String(url.id).trim();
     url = url.url || '';
   }
@@ -657,12 +1248,14 @@ function extractAdId(url) {
     // Format 2: https://www.bazaraki.com/adv/123456/
     // Format 3: https://bazaraki.com/adv/123456
     // Format 4: /adv/123456_description
+    // Format 5: ...?id=123456
     
     // Verschiedene Regex-Muster für unterschiedliche URL-Formate
     const patterns = [
       /\/adv\/([0-9]+)(?:_|\/|$)/, // Standard-Format mit _ oder / nach der ID
       /\/adv\/([0-9]+)/, // Einfaches Format ohne Trenner
-      /bazaraki\.com\/adv\/([0-9]+)/ // Vollständige Domain mit ID
+      /bazaraki\.com\/adv\/([0-9]+)/, // Vollständige Domain mit ID
+      /[?&]id=([0-9]+)/ // Query-Parameter
     ];
     
     for (const pattern of patterns) {
@@ -687,12 +1280,13 @@ function extractAdId(url) {
 }
 
 /**
- * Extrahiert detaillierte Informationen für eine einzelne Anzeige
+ * Extrahiert detaillierte Informationen inklusive Charakteristiken für eine einzelne Anzeige
  * 
  * @param {string} url - URL der Anzeige, deren Details abgerufen werden sollen
+ * @param {string} [dealType='rent'] - Angebotsart, bestimmt die Preisperiode
  * @returns {Object} - Detaillierte Informationen zur Anzeige
  */
-async function extractListingDetails(url) {
+async function extractListingDetails(url, dealType = 'rent') {
   try {
     console.log(`Lade Details für Anzeige: ${url}`);
     
@@ -704,231 +1298,99 @@ async function extractListingDetails(url) {
     
     // HTML parsen
     const dom = new JSDOM(response.data);
-    const document = dom.window.document;
-    
-    // Anzeigen-ID aus URL extrahieren
-    const adId = extractAdId(url) || 'unknown';
-    
-    // Titel extrahieren - verbesserte Selektoren
-    const titleElement = document.querySelector('h1.announcement-title, h1.title-announcement, .adv-title, .title');
-    const title = titleElement ? titleElement.textContent.trim() : 'Keine Beschreibung';
-    
-    // Meta-Daten aus OpenGraph-Tags extrahieren
-    const ogDescription = document.querySelector('meta[property="og:description"]');
-    const metaDescription = ogDescription ? ogDescription.getAttribute('content') : '';
     
-    // Berechnet "sauberen" Titel ohne Preis und andere Zahlen
-    const cleanTitle = title.replace(/\d+[\.,]?\d*\s*(?:€|EUR|\$)/g, '').trim();
-
-    // Verschiedene Informationen extrahieren mit verbesserten Methoden
-    const price = extractPrice(document);
-    const location = extractLocation(document);
-    const description = extractDescription(document) || metaDescription;
-    const propertyDetails = extractPropertyDetails(document);
-    const images = extractImages(document);
-    
-    // Ergebnis zusammenstellen
-    return {
-      id: adId,
-      url,
-      title,
-      cleanTitle,
-      price,
-      location,
-      description,
-      images,
-      ...propertyDetails,
-      extractedAt: new Date().toISOString()
-    };
+    return parseListingPage(dom.window.document, url, dealType);
   } catch (error) {
     console.error(`Fehler beim Extrahieren der Anzeigendetails für ${url}: ${error.message}`);
     return {
-      id: extractAdId(url) || `unknown-${Date.now()}`,
+      title: 'Fehler beim Laden der Anzeige',
+      price: createPriceObject(null, '€', DEAL_TYPES[dealType]?.pricePeriod || 'month', 'Unbekannt'),
+      details: {},
+      characteristics: normalizeCharacteristics(),
+      coordinates: null,
+      description: '',
+      images: [],
+      id: extractAdId(url) || 'error',
       url,
       error: error.message,
-      extractedAt: new Date().toISOString()
+      scrapedAt: new Date().toISOString()
     };
   }
 }
+
+// Texte, mit denen Bazaraki eine gelöschte oder deaktivierte Anzeige anzeigt (EN, RU, GR)
+const LISTING_UNAVAILABLE_PATTERN = /(?:ad|advert|listing) is no longer (?:available|active)|(?:ad|advert) (?:has been|was) (?:removed|deleted)|объявление (?:больше )?не (?:доступно|активно)|объявление (?:удалено|снято)|αγγελία δεν είναι πλέον (?:διαθέσιμη|ενεργή)/i;
+
 /**
- * Extrahiert den Preis aus der Anzeigenseite
+ * Prüft die Detailseite einer fehlenden Anzeige
  * 
- * @param {Document} document - Das DOM-Dokument der Anzeigenseite
- * @returns {object} - Preisinformationen
+ * @param {string} url - URL der Anzeige
+ * @returns {Promise<string>} - 'removed' (404/410 oder "nicht mehr verfügbar"), 'available' oder 'unknown' (Ladefehler)
  */
-function extractPrice(document) {
-  try {
-    // Versuche verschiedene Selektoren für den Preis
-    const priceSelectors = [
-      '.announcement-price', '.announcement__price', '.price-val', 
-      '[itemprop="price"]', '.adv-price', '.price-container strong'
-    ];
-    
-    let priceText = '';
-    let priceElement = null;
-    
-    for (const selector of priceSelectors) {
-      priceElement = document.querySelector(selector);
-      if (priceElement) {
-        priceText = priceElement.textContent.trim();
-        break;
-      }
-    }
-    
-    if (!priceText) return { value: 0, currency: 'EUR', text: 'Preis nicht angegeben' };
-    
-    // Normalisiere den Preis
-    priceText = priceText.replace(/\s+/g, ' ').trim();
-    
-    // Extrahiere Zahl und Währung
-    const numericValue = priceText.replace(/[^0-9,.]/g, '').replace(/,/g, '.').replace(/[.](?=.*[.])/g, '');
-    const value = parseFloat(numericValue) || 0;
-    
-    // Währung erkennen
-    let currency = 'EUR';
-    if (priceText.includes('$')) currency = 'USD';
-    
-    return {
-      value,
-      currency,
-      text: priceText,
-      normalized: `${value} ${currency}`
-    };
-  } catch (error) {
-    console.error(`Fehler beim Extrahieren des Preises: ${error.message}`);
-    return { value: 0, currency: 'EUR', text: 'Fehler bei Preisermittlung' };
-  }
-}
-async function extractListingDetails(url) {
+async function checkListingAvailability(url) {
   try {
-    console.log(`Lade Details für Anzeige: ${url}`);
-    
-    // Anzeigenseite laden mit höherem Timeout
     const response = await axios.get(url, {
       headers: DEFAULT_HEADERS,
-      timeout: 15000 // 15 Sekunden Timeout
+      timeout: 15000
     });
     
-    // HTML parsen
     const dom = new JSDOM(response.data);
-    const document = dom.window.document;
-    
-    // Anzeigen-ID aus URL extrahieren
-    const adId = extractAdId(url) || 'unknown';
-    
-    // Titel extrahieren - verbesserte Selektoren
-    const titleElement = document.querySelector('h1.announcement-title, h1.title-announcement, .adv-title, .title');
-    const title = titleElement ? titleElement.textContent.trim() : 'Keine Beschreibung';
-    
-    // Meta-Daten aus OpenGraph-Tags extrahieren
-    const ogDescription = document.querySelector('meta[property="og:description"]');
-    const metaDescription = ogDescription ? ogDescription.getAttribute('content') : '';
-    
-    // Berechnet "sauberen" Titel ohne Preis und andere Zahlen
-    const cleanTitle = title.replace(/\d+[\.,]?\d*\s*(?:€|EUR|\$)/g, '').trim();
-
-    // Verschiedene Informationen extrahieren mit verbesserten Methoden
-    const price = extractPrice(document);
-    const location = extractLocation(document);
-    const description = extractDescription(document) || metaDescription;
-    const propertyDetails = extractPropertyDetails(document);
-    const images = extractImages(document);
-    
-    // Zusätzliche Charakteristiken aus der neuen HTML-Struktur extrahieren
-    const characteristics = {};
-    const charElements = document.querySelectorAll('.announcement-characteristics .chars-column li');
-    
-    charElements.forEach(charElement => {
-      const keyElement = charElement.querySelector('.key-chars');
-      const valueElement = charElement.querySelector('.value-chars');
-      
-      if (keyElement && valueElement) {
-        const key = keyElement.textContent.trim().replace(/:$/, '');
-        const value = valueElement.textContent.trim();
-        
-        // Schlüssel in kebab-case konvertieren für konsistentes Format
-        const keyName = key.toLowerCase()
-          .replace(/\s+/g, '-')
-          .replace(/[^a-z0-9-]/g, '');
-        
-        characteristics[keyName] = value;
-      }
-    });
-    
-    // Baudatum/Jahr extrahieren, falls vorhanden
-    let constructionYear = '';
-    if (characteristics['construction-year']) {
-      constructionYear = characteristics['construction-year'];
-    }
-    
-    // Einrichtungsart extrahieren (möbliert, teilmöbliert, usw.)
-    let furnishing = '';
-    if (characteristics['furnishing']) {
-      furnishing = characteristics['furnishing'];
-    }
-    
-    // Haustiere erlaubt
-    let petsAllowed = false;
-    if (characteristics['pets'] && characteristics['pets'].toLowerCase().includes('allowed')) {
-      petsAllowed = true;
-    }
-    
-    // Grundstücksfläche (falls vorhanden)
-    let plotArea = '';
-    if (characteristics['plot-area']) {
-      plotArea = characteristics['plot-area'];
-    }
-    
-    // Status der Immobilie (neu, gebraucht, etc.)
-    let propertyStatus = '';
-    if (characteristics['status']) {
-      propertyStatus = characteristics['status'];
-    }
-    
-    // Verfügbarkeit der Immobilie
-    let availability = '';
-    if (characteristics['availability']) {
-      availability = characteristics['availability'];
-    }
-    
-    // Kombinierte Details mit allen verfügbaren Informationen
-    const details = {
-      id: adId,
-      title: cleanTitle,
-      fullTitle: title,
-      price,
-      location,
-      description,
-      details: propertyDetails,
-      images,
-      characteristics,
-      constructionYear,
-      furnishing,
-      petsAllowed,
-      plotArea,
-      propertyStatus,
-      availability,
-      url,
-      scrapedAt: new Date().toISOString()
-    };
-    
-    return details;
+    const text = dom.window.document.body?.textContent || '';
+    return LISTING_UNAVAILABLE_PATTERN.test(text.replace(/\s+/g, ' ')) ? 'removed' : 'available';
   } catch (error) {
-    console.error(`Fehler beim Extrahieren der Anzeigendetails für ${url}: ${error.message}`);
-    return {
-      title: 'Fehler beim Laden der Anzeige',
-      price: { text: 'Unbekannt', value: 0 },
-      details: {},
-      description: '',
-      images: [],
-      id: extractAdId(url) || 'error',
-      url,
-      error: error.message,
-      scrapedAt: new Date().toISOString()
-    };
+    const status = error.response?.status;
+    if (status === 404 || status === 410) {
+      return 'removed';
+    }
+    console.error(`Fehler beim Prüfen der Anzeige ${url}: ${error.message}`);
+    return 'unknown';
   }
 }
 
+/**
+ * Wertet eine bereits geladene Anzeigenseite aus
+ * Strukturierte Daten (JSON-LD, OpenGraph, Microdata) haben Vorrang vor CSS-Selektoren
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @param {string} url - URL der Anzeige
+ * @param {string} [dealType='rent'] - Angebotsart, bestimmt die Preisperiode
+ * @returns {Object} - Detaillierte Informationen zur Anzeige inklusive typisierter characteristics und fieldSources
+ */
+function parseListingPage(document, url, dealType = 'rent') {
+  // Anzeigen-ID aus URL extrahieren
+  const adId = extractAdId(url) || 'unknown';
+  
+  // Alle Felder über die Extraktionsstrategien auflösen
+  const structuredData = extractStructuredData(document);
+  const { title, price, location, description, images, coordinates, characteristics, fieldSources } =
+    resolveListingFields(document, structuredData, dealType);
+  
+  // Berechnet "sauberen" Titel ohne Preis und andere Zahlen
+  const cleanTitle = title.replace(/\d+[\.,]?\d*\s*(?:€|EUR|\$)/g, '').trim();
+  
+  const propertyDetails = extractPropertyDetails(document);
+  const scrapedAt = new Date();
+  
+  console.log(`Feldquellen für Anzeige ${adId}: ${Object.entries(fieldSources).map(([field, source]) => `${field}=${source}`).join(', ')}`);
+  
+  // Kombinierte Details mit allen verfügbaren Informationen
+  return {
+    id: adId,
+    title: cleanTitle,
+    fullTitle: title,
+    price,
+    location,
+    coordinates,
+    description,
+    details: propertyDetails,
+    images,
+    characteristics: normalizeCharacteristics(characteristics, propertyDetails, scrapedAt),
+    fieldSources,
+    url,
+    scrapedAt: scrapedAt.toISOString()
+  };
+}
+
 // Standard HTTP-Header für realistische Browser-Simulation
 const DEFAULT_HEADERS = {
   'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
@@ -936,24 +1398,6 @@ const DEFAULT_HEADERS = {
   'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
 };
 
-/**
- * Hilfsfunktion zum Extrahieren der Ad-ID aus einer URL oder Anzeige
- */
-function extractAdId(urlOrListing) {
-  if (typeof urlOrListing === 'string') {
-    // Wenn es eine URL ist, extrahiere die ID aus der URL
-    const match = urlOrListing.match(/\/adv\/([0-9]+)/);
-    return match ? match[1] : null;
-  } else if (urlOrListing && urlOrListing.url) {
-    // Wenn es ein Listing-Objekt ist, extrahiere die ID aus der URL
-    return extractAdId(urlOrListing.url);
-  } else if (urlOrListing && urlOrListing.id) {
-    // Wenn es bereits eine ID hat, verwende diese
-    return urlOrListing.id;
-  }
-  return null;
-}
-
 /**
  * Extrahiert alle Anzeigen-URLs von einer Suchseite und folgt den Paginierungslinks
  * Mit Optimierung zum frühen Überspringen bereits bekannter IDs
@@ -976,8 +1420,11 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
       skippedIds: new Set(),      // IDs, die übersprungen wurden
       urlsByIdMap: {},            // Mapping ID -> URL
       idsByUrlMap: {},            // Mapping URL -> ID
+      cardPricesById: {},         // Mapping ID -> Preistext der Suchergebniskarte
       pagesCrawled: 0,            // Anzahl durchsuchter Seiten
       totalFound: 0,              // Gesamtzahl gefundener Anzeigen
+      expectedTotal: null,        // Gesamtzahl laut Website (.search-header__count)
+      reachedPageLimit: false,    // true, wenn maxPages weitere Seiten abgeschnitten hat
       skippedCount: 0,            // Anzahl übersprungener Anzeigen
       savedRequestsCount: 0,      // Anzahl eingesparter Anfragen
       estimatedTimeSaved: 0       // Geschätzte eingesparte Zeit in Sekunden
@@ -1022,9 +1469,13 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
       
       // Gesamtzahl der Ergebnisse extrahieren (wenn vorhanden)
       try {
-        const countElement = document.querySelector('.search-header__count');
+        const countElement = document.querySelector(CSS_SELECTORS.resultCount);
         if (countElement) {
           console.log(`Gesamtanzahl laut Website: ${countElement.textContent.trim()}`);
+          const countDigits = countElement.textContent.replace(/\D/g, '');
+          if (page === 1 && countDigits) {
+            result.expectedTotal = parseInt(countDigits, 10);
+          }
         }
       } catch (countError) {
         // Ignorieren, wenn nicht vorhanden
@@ -1032,7 +1483,7 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
       
       // Alle Anzeigen-Links mit verschiedenen Selektoren extrahieren
       const adLinks = [];
-      document.querySelectorAll('a[href*="/adv/"], .announcement__link, .announcement-container a, div.announcement a').forEach(link => {
+      document.querySelectorAll(CSS_SELECTORS.listingLinks).forEach(link => {
         if (link.href && link.href.includes('/adv/')) {
           adLinks.push(link);
         }
@@ -1058,6 +1509,13 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
         // ID frühzeitig extrahieren für optimiertes Überspringen
         const id = extractAdId(fullUrl);
         
+        // Preis der Suchergebniskarte merken, um Preisänderungen bekannter Anzeigen zu erkennen
+        const card = link.closest(CSS_SELECTORS.card);
+        const cardPriceElement = card && card.querySelector(CSS_SELECTORS.cardPrice);
+        if (id && cardPriceElement) {
+          result.cardPricesById[id] = cardPriceElement.textContent.trim();
+        }
+        
         // ID-basierte Optimierung: Bekannte IDs überspringen
         if (id && knownIds && skipKnown && knownIds.has(id)) {
           result.skippedIds.add(id);
@@ -1088,7 +1546,7 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
       let foundNextPage = false;
       try {
         // Nach "nächste Seite"-Links suchen
-        const nextPageLinks = document.querySelectorAll('.pagination-wrapper a.next-page, .pagination a[rel="next"], .pagination__next, a.next-page');
+        const nextPageLinks = document.querySelectorAll(CSS_SELECTORS.nextPage);
         
         if (nextPageLinks && nextPageLinks.length > 0) {
           const nextLink = nextPageLinks[0];
@@ -1103,7 +1561,7 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
         
         // Falls keine spezifischen "next"-Links gefunden wurden, suche nach Zahlen-Links
         if (!foundNextPage) {
-          const pageLinks = document.querySelectorAll('.pagination a');
+          const pageLinks = document.querySelectorAll(CSS_SELECTORS.pageNumbers);
           const nextPageNumber = page + 1;
           
           for (const link of pageLinks) {
@@ -1123,6 +1581,7 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
       }
       
       // Wenn keine nächste Seite gefunden wurde oder maximale Seitenzahl erreicht ist, beenden
+      result.reachedPageLimit = foundNextPage && page >= maxPages;
       if (!foundNextPage || page >= maxPages) {
         console.log(`Keine weitere Seite gefunden oder maximale Seitenzahl erreicht. Beende nach Seite ${page}.`);
         break;
@@ -1151,6 +1610,7 @@ async function extractListingUrls(url, maxPages = 10, knownIds = null, skipKnown
       skippedIds: new Set(),
       urlsByIdMap: {},
       idsByUrlMap: {},
+      cardPricesById: {},
       error: error.message
     };
   }
@@ -1193,13 +1653,8 @@ async function getDetailedListings(listingUrls) {
       // Debug-Ausgabe
       if (DEBUG_MODE) {
         const debugKey = `debug/listing_${listing.id}_${Date.now()}.html`;
-        await s3.putObject({
-          Bucket: S3_BUCKET_NAME,
-          Key: debugKey,
-          Body: response.data,
-          ContentType: 'text/html'
-        }).promise();
-        console.log(`Debug-HTML für Anzeige ${listing.id} gespeichert als s3://${S3_BUCKET_NAME}/${debugKey}`);
+        await storage.put(debugKey, response.data, { contentType: 'text/html' });
+        console.log(`Debug-HTML für Anzeige ${listing.id} gespeichert als ${debugKey} (${storage.type})`);
       }
       
       // Kurze Pause, um Blockierung zu vermeiden
@@ -1218,22 +1673,130 @@ async function getDetailedListings(listingUrls) {
   return detailedListings;
 }
 
+// Umrechnungsfaktoren der Preisperioden auf einen Monat (Gesamt- und m²-Preise haben kein Monatsäquivalent)
+const PRICE_PERIOD_MONTHLY_FACTORS = { month: 1, week: 52 / 12, day: 365 / 12, year: 1 / 12 };
+
+// Hinweise auf die Preisperiode im Preistext (Englisch, Deutsch, Russisch, Griechisch)
+const PRICE_PERIOD_PATTERNS = [
+  ['sqm', /(?:per|pro|\/|за)\s*(?:m²|m2|sq\.?\s*m|sqm|qm|м²|м2)/i],
+  ['week', /(?:per|pro|\/|в|за)\s*(?:week|woche|wk|неделю|нед)|weekly|wöchentlich|εβδομάδα/i],
+  ['day', /(?:per|pro|\/|в|за)\s*(?:day|night|tag|nacht|сутки|день|ночь)|daily|nightly|täglich|ημέρα|βράδυ/i],
+  ['year', /(?:per|pro|\/|в|за)\s*(?:year|annum|jahr|год)|yearly|annually|jährlich|p\.\s*a\.|έτος/i],
+  ['month', /(?:per|pro|\/|в|за)\s*(?:month|mo\b|monat|месяц|мес)|\bpcm\b|monthly|monatlich|μήνα/i]
+];
+
+// Deutsche Bezeichnungen der Preisperioden für Telegram
+const PRICE_PERIOD_LABELS = { month: 'Monat', week: 'Woche', day: 'Tag', year: 'Jahr', sqm: 'm²' };
+
+// Texte für "Preis auf Anfrage"
+const PRICE_ON_REQUEST_PATTERN = /on request|upon request|auf anfrage|contact|negotiable|по запросу|договорн|κατόπιν/i;
+
+// Betrag mit Tausendertrennzeichen und optionaler Währung davor oder dahinter
+const PRICE_AMOUNT_PATTERN = /(?:([€$£₽]|EUR|USD|GBP|RUB)\s*)?(\d{1,3}(?:[.,\s']\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)(?:\s*([€$£₽]|EUR|USD|GBP|RUB))?/gi;
+
+/**
+ * Wandelt einen Betrag mit beliebigen Tausender- und Dezimaltrennzeichen in Cent um
+ * "1.200" -> 120000, "1,200.50" -> 120050, "1 200,5" -> 120050, "1200.5" -> 120050
+ * 
+ * @param {string} numberText - Betrag ohne Währung
+ * @returns {number|null} - Betrag in Cent oder null
+ */
+function parsePriceAmount(numberText) {
+  const compact = String(numberText || '').replace(/[\s']/g, '');
+  if (!/\d/.test(compact)) return null;
+  
+  let normalized;
+  const lastDot = compact.lastIndexOf('.');
+  const lastComma = compact.lastIndexOf(',');
+  
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Beide Trennzeichen: das letzte ist das Dezimaltrennzeichen
+    const decimalSeparator = lastDot > lastComma ? '.' : ',';
+    const thousandSeparator = decimalSeparator === '.' ? ',' : '.';
+    normalized = compact.split(thousandSeparator).join('').replace(decimalSeparator, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    // Nur ein Trennzeichen: Tausendertrennung bei Dreiergruppen, sonst Dezimalstellen
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = compact.split(separator);
+    const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+    normalized = isThousands ? parts.join('') : parts.join('.');
+  } else {
+    normalized = compact;
+  }
+  
+  const value = parseFloat(normalized);
+  return isNaN(value) ? null : Math.round(value * 100);
+}
+
+/**
+ * Erzeugt ein Preisobjekt mit Betrag in Cent und Monatsäquivalent
+ * 
+ * @param {number|null} amountCents - Betrag in Cent
+ * @param {string} currency - Währungssymbol
+ * @param {string} period - month, week, day, year, total oder sqm
+ * @param {string} text - Originaltext des Preises
+ * @param {Object} [options] - { maxAmountCents, onRequest }
+ * @returns {Object} - { amount, amountCents, maxAmountCents, currency, period, monthlyCents, onRequest, text }
+ */
+function createPriceObject(amountCents, currency, period, text, { maxAmountCents = null, onRequest = false } = {}) {
+  const factor = PRICE_PERIOD_MONTHLY_FACTORS[period];
+  return {
+    amount: amountCents === null ? null : amountCents / 100,
+    amountCents,
+    maxAmountCents,
+    currency,
+    period,
+    monthlyCents: amountCents !== null && factor ? Math.round(amountCents * factor) : null,
+    onRequest,
+    text
+  };
+}
+
+/**
+ * Wertet einen Preistext aus, z.B. "€1.200", "1 200 €", "EUR 350 per week",
+ * "€1.000 - €1.200 / month", "€2.500/m²" oder "Price on request"
+ * 
+ * @param {string} priceText - Preistext der Anzeige
+ * @param {string} [defaultPeriod='month'] - Periode, wenn der Text keine enthält
+ * @returns {Object} - Preisobjekt (siehe createPriceObject)
+ */
+function parsePriceText(priceText, defaultPeriod = 'month') {
+  const text = String(priceText || '').replace(/\s+/g, ' ').trim();
+  const period = (PRICE_PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text)) || [defaultPeriod])[0];
+  
+  // Beträge suchen - Zahlen ohne Währung nur, wenn insgesamt eine Währung vorkommt oder nichts anderes passt
+  const matches = [...text.matchAll(PRICE_AMOUNT_PATTERN)]
+    .map(match => ({ currency: match[1] || match[3] || null, amountCents: parsePriceAmount(match[2]) }))
+    .filter(match => match.amountCents !== null && match.amountCents > 0);
+  const withCurrency = matches.filter(match => match.currency);
+  const amounts = withCurrency.length > 0 ? withCurrency : matches;
+  
+  if (amounts.length === 0) {
+    return createPriceObject(null, '€', period, text || 'Preis auf Anfrage', { onRequest: PRICE_ON_REQUEST_PATTERN.test(text) });
+  }
+  
+  const currencyCode = String(amounts[0].currency || 'EUR').toUpperCase();
+  const currency = CURRENCY_SYMBOLS[currencyCode] || amounts[0].currency || '€';
+  
+  // Preisspannen ("€1.000 - €1.200"): unterer Wert ist der Betrag, oberer wird zusätzlich gespeichert
+  const isRange = amounts.length > 1 && /\d\s*(?:[-–—]|to|bis|до)\s*\D{0,4}\d/i.test(text);
+  const maxAmountCents = isRange ? Math.max(...amounts.map(match => match.amountCents)) : null;
+  const amountCents = isRange ? Math.min(...amounts.map(match => match.amountCents)) : amounts[0].amountCents;
+  
+  return createPriceObject(amountCents, currency, period, text, { maxAmountCents });
+}
+
 /**
  * Extrahiert den Preis aus der Anzeigenseite
+ * Mietpreise gelten pro Monat, Kaufpreise als Gesamtpreis, sofern der Preistext keine andere Periode nennt
  */
-function extractPrice(document) {
+function extractPrice(document, dealType = 'rent') {
+  const period = DEAL_TYPES[dealType]?.pricePeriod || 'month';
+  
   try {
     // Verschiedene mögliche Selektoren für den Preis
-    const priceSelectors = [
-      '.announcement-price__cost',
-      '.announcement__price',
-      '.price-large',
-      '[itemprop="price"]',
-      '.price'
-    ];
-    
     let priceText = '';
-    for (const selector of priceSelectors) {
+    for (const selector of CSS_SELECTORS.price) {
       const priceElement = document.querySelector(selector);
       if (priceElement) {
         priceText = priceElement.textContent.trim();
@@ -1241,20 +1804,10 @@ function extractPrice(document) {
       }
     }
     
-    if (!priceText) return { amount: null, currency: '€', text: 'Preis auf Anfrage' };
-    
-    // Preis und Währung extrahieren
-    const priceMatch = priceText.match(/(\d[\d\s,.]+)\s*([€$£₽]|EUR)/i);
-    if (priceMatch) {
-      const amount = parseInt(priceMatch[1].replace(/[\s,.]/g, ''), 10);
-      const currency = priceMatch[2] || '€';
-      return { amount, currency, text: priceText };
-    }
-    
-    return { amount: null, currency: '€', text: priceText };
+    return parsePriceText(priceText, period);
   } catch (error) {
     console.error(`Fehler beim Extrahieren des Preises: ${error.message}`);
-    return { amount: null, currency: '€', text: 'Unbekannter Preis' };
+    return createPriceObject(null, '€', period, 'Unbekannter Preis');
   }
 }
 
@@ -1264,14 +1817,7 @@ function extractPrice(document) {
 function extractLocation(document) {
   try {
     // Verschiedene mögliche Selektoren für den Standort
-    const locationSelectors = [
-      '.announcement-address',
-      '.announcement__location',
-      '[itemprop="address"]',
-      '.location'
-    ];
-    
-    for (const selector of locationSelectors) {
+    for (const selector of CSS_SELECTORS.location) {
       const locationElement = document.querySelector(selector);
       if (locationElement) {
         return locationElement.textContent.trim();
@@ -1292,16 +1838,8 @@ function extractPropertyDetails(document) {
   try {
     const details = {};
     
-    // Schlafzimmer, Badezimmer, Fläche
-    const detailsSelectors = {
-      bedrooms: ['.bedrooms', '[data-type="bedrooms"]', '.announcement-parameters__bedrooms'],
-      bathrooms: ['.bathrooms', '[data-type="bathrooms"]', '.announcement-parameters__bathrooms'],
-      area: ['.area', '[data-type="area"]', '.announcement-parameters__area'],
-      propertyType: ['.property-type', '[data-type="type"]']
-    };
-    
-    // Für jeden Detailtyp
-    for (const [detailType, selectors] of Object.entries(detailsSelectors)) {
+    // Schlafzimmer, Badezimmer, Fläche - für jeden Detailtyp
+    for (const [detailType, selectors] of Object.entries(CSS_SELECTORS.details)) {
       for (const selector of selectors) {
         const element = document.querySelector(selector);
         if (element) {
@@ -1327,7 +1865,7 @@ function extractPropertyDetails(document) {
     }
     
     // Allgemeine Detail-Elemente
-    const detailElements = document.querySelectorAll('.announcement-parameters__item, .detail-item');
+    const detailElements = document.querySelectorAll(CSS_SELECTORS.detailItems);
     detailElements.forEach(element => {
       const text = element.textContent.trim();
       
@@ -1357,13 +1895,7 @@ function extractPropertyDetails(document) {
 function extractDescription(document) {
   try {
     // Verschiedene mögliche Selektoren für die Beschreibung
-    const descriptionSelectors = [
-      '.announcement-description',
-      '[itemprop="description"]',
-      '.description'
-    ];
-    
-    for (const selector of descriptionSelectors) {
+    for (const selector of CSS_SELECTORS.description) {
       const descElement = document.querySelector(selector);
       if (descElement) {
         let text = descElement.textContent.trim();
@@ -1389,18 +1921,8 @@ function extractImages(document) {
   try {
     const images = [];
     
-    // Verschiedene mögliche Selektoren für Bildergalerien
-    const gallerySelectors = [
-      '.announcement-gallery img',
-      '.swiper-slide img',
-      '.announcement-slider img',
-      '[data-src]', 
-      '[data-lazy]',
-      '.carousel img'
-    ];
-    
-    // Für jeden Selektor nach Bildern suchen
-    for (const selector of gallerySelectors) {
+    // Für jeden Selektor der Bildergalerien nach Bildern suchen
+    for (const selector of CSS_SELECTORS.images) {
       const imgElements = document.querySelectorAll(selector);
       if (imgElements.length > 0) {
         imgElements.forEach(img => {
@@ -1437,233 +1959,2087 @@ function extractImages(document) {
 }
 
 /**
- * Speichert die aktuellen Ergebnisse in S3 und vergleicht sie mit den vorherigen
- */
-/**
- * Extrahiert eine Ad-ID aus einer URL mit verbesserter Robustheit
+ * Liest alle JSON-LD-Blöcke der Seite und flacht Arrays und @graph-Einträge ab
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @returns {Object[]} - Alle gefundenen JSON-LD-Objekte
+ */
+function extractJsonLd(document) {
+  const items = [];
+  const collect = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(collect);
+      return;
+    }
+    items.push(node);
+    if (node['@graph']) collect(node['@graph']);
+  };
+  
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (error) {
+      console.warn(`Ungültiges JSON-LD ignoriert: ${error.message}`);
+    }
+  });
+  
+  return items;
+}
+
+/**
+ * Liest alle OpenGraph- und product:-Meta-Tags der Seite
+ * Mehrfach vorkommende Eigenschaften (z.B. og:image) werden als Array gespeichert
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @returns {Object} - Mapping Eigenschaft -> Wert(e)
+ */
+function extractOpenGraph(document) {
+  const openGraph = {};
+  
+  document.querySelectorAll('meta[property], meta[name]').forEach(meta => {
+    const property = meta.getAttribute('property') || meta.getAttribute('name');
+    const content = meta.getAttribute('content');
+    if (!/^(og|product|place):/.test(property) || !content) return;
+    
+    if (openGraph[property] === undefined) {
+      openGraph[property] = content.trim();
+    } else {
+      openGraph[property] = [].concat(openGraph[property], content.trim());
+    }
+  });
+  
+  return openGraph;
+}
+
+/**
+ * Liest den Wert eines Microdata-Elements je nach Elementtyp
+ */
+function getMicrodataValue(element) {
+  if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+  
+  const tagName = element.tagName.toLowerCase();
+  if (['img', 'source'].includes(tagName)) return element.getAttribute('src') || element.getAttribute('data-src') || '';
+  if (['a', 'link'].includes(tagName)) return element.getAttribute('href') || '';
+  if (tagName === 'time') return element.getAttribute('datetime') || element.textContent.trim();
+  
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Liest alle itemprop-Werte (Microdata) der Seite
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @returns {Object} - Mapping itemprop -> Liste der Werte sowie additionalProperty-Paare
+ */
+function extractMicrodata(document) {
+  const microdata = { additionalProperty: [] };
+  
+  document.querySelectorAll('[itemprop]').forEach(element => {
+    element.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(prop => {
+      // Verschachtelte PropertyValue-Objekte als Name/Wert-Paare übernehmen
+      if (prop === 'additionalProperty' && element.hasAttribute('itemscope')) {
+        const nameElement = element.querySelector('[itemprop="name"]');
+        const valueElement = element.querySelector('[itemprop="value"]');
+        if (nameElement && valueElement) {
+          microdata.additionalProperty.push({
+            name: getMicrodataValue(nameElement),
+            value: getMicrodataValue(valueElement)
+          });
+        }
+        return;
+      }
+      
+      const value = getMicrodataValue(element);
+      if (!value) return;
+      if (!microdata[prop]) microdata[prop] = [];
+      microdata[prop].push(value);
+    });
+  });
+  
+  return microdata;
+}
+
+/**
+ * Sammelt alle strukturierten Daten einer Anzeigenseite
+ * Als JSON-LD-Hauptobjekt wird die erste Immobilie/das erste Angebot verwendet
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @returns {Object} - { jsonLd, jsonLdItems, openGraph, microdata }
+ */
+function extractStructuredData(document) {
+  const jsonLdItems = extractJsonLd(document);
+  const listingTypes = /Product|Offer|Residence|Apartment|House|Accommodation|RealEstateListing|Place/i;
+  
+  const jsonLd = jsonLdItems.find(item => listingTypes.test([].concat(item['@type'] || []).join(' '))) ||
+                 jsonLdItems.find(item => item.name) ||
+                 {};
+  
+  return {
+    jsonLd,
+    jsonLdItems,
+    openGraph: extractOpenGraph(document),
+    microdata: extractMicrodata(document)
+  };
+}
+
+// Platzhalter der CSS-Extraktoren, die als "nicht gefunden" gelten
+const FIELD_PLACEHOLDERS = [
+  'Keine Beschreibung',
+  'Keine Beschreibung verfügbar',
+  'Beschreibung nicht verfügbar',
+  'Standort nicht angegeben',
+  'Standort nicht verfügbar'
+];
+
+// Währungscodes aus strukturierten Daten auf die Symbole der CSS-Extraktion abbilden
+const CURRENCY_SYMBOLS = { EUR: '€', USD: '$', GBP: '£', RUB: '₽' };
+
+/**
+ * Prüft, ob ein extrahierter Feldwert tatsächlich Inhalt hat
+ */
+function isFieldFilled(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '' && !FIELD_PLACEHOLDERS.includes(value.trim());
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') {
+    if ('amount' in value && 'text' in value) {
+      return value.amount !== null || /\d/.test(value.text || '');
+    }
+    // Typisierte Merkmale (normalizeCharacteristics): mindestens ein Feld oder raw-Eintrag
+    if ('raw' in value) {
+      return Object.entries(value).some(([key, fieldValue]) => key === 'raw' ? isFieldFilled(fieldValue) : fieldValue !== null);
+    }
+    return Object.keys(value).length > 0;
+  }
+  return true;
+}
+
+/**
+ * Erzeugt ein Preisobjekt im Format von extractPrice aus einem strukturierten Betrag
+ */
+function buildStructuredPrice(rawAmount, rawCurrency, dealType) {
+  if (rawAmount === undefined || rawAmount === null || rawAmount === '') return null;
+  
+  const value = parseFloat(String(rawAmount).replace(/[^0-9.]/g, ''));
+  if (isNaN(value)) return null;
+  
+  const currencyCode = String(rawCurrency || 'EUR').toUpperCase();
+  const currency = CURRENCY_SYMBOLS[currencyCode] || currencyCode;
+  const period = DEAL_TYPES[dealType]?.pricePeriod || 'month';
+  
+  return createPriceObject(Math.round(value * 100), currency, period, `${currency}${Math.round(value).toLocaleString('de-DE')}`);
+}
+
+/**
+ * Wandelt eine Adresse (String oder PostalAddress) in einen lesbaren Standort um
+ */
+function formatStructuredAddress(address) {
+  if (!address) return '';
+  if (typeof address === 'string') return address.trim();
+  
+  const parts = [address.streetAddress, address.addressLocality, address.addressRegion]
+    .filter(Boolean)
+    .map(part => String(part).trim());
+  return [...new Set(parts)].join(', ');
+}
+
+/**
+ * Prüft und rundet ein Koordinatenpaar
+ * 
+ * @param {*} rawLat - Breitengrad (Zahl oder Text)
+ * @param {*} rawLng - Längengrad (Zahl oder Text)
+ * @returns {Object|null} - { lat, lng } oder null bei ungültigen Werten
+ */
+function buildCoordinates(rawLat, rawLng) {
+  if (rawLat === undefined || rawLat === null || rawLng === undefined || rawLng === null) return null;
+  
+  const lat = parseFloat(rawLat);
+  const lng = parseFloat(rawLng);
+  if (!isFinite(lat) || !isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) return null;
+  
+  return { lat: Math.round(lat * 1e6) / 1e6, lng: Math.round(lng * 1e6) / 1e6 };
+}
+
+/**
+ * Liest die Kartenposition aus der Anzeigenseite (CSS-Fallback)
+ * Unterstützt data-Attribute des Karten-Widgets sowie Google-Maps-Links und statische Kartenbilder
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @returns {Object|null} - { lat, lng } oder null
+ */
+function extractMapCoordinates(document) {
+  const attributePairs = [
+    ['data-default-lat', 'data-default-lng'],
+    ['data-lat', 'data-lng'],
+    ['data-latitude', 'data-longitude']
+  ];
+  
+  for (const element of document.querySelectorAll(CSS_SELECTORS.map)) {
+    for (const [latAttribute, lngAttribute] of attributePairs) {
+      if (!element.hasAttribute(latAttribute)) continue;
+      const coordinates = buildCoordinates(element.getAttribute(latAttribute), element.getAttribute(lngAttribute));
+      if (coordinates) return coordinates;
+    }
+    
+    // Koordinaten aus Karten-URLs ("center=34.77,32.42", "query=...", "q=...", "@34.77,32.42")
+    const mapUrl = element.getAttribute('src') || element.getAttribute('href') || '';
+    const match = mapUrl.match(/[?&](?:center|query|q|ll)=(-?\d+(?:\.\d+)?)(?:,|%2C)\s*(-?\d+(?:\.\d+)?)/i) ||
+      mapUrl.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+    if (match) {
+      const coordinates = buildCoordinates(match[1], match[2]);
+      if (coordinates) return coordinates;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Normalisiert JSON-LD-Bilder (String, Array, ImageObject) zu einer URL-Liste
+ */
+function normalizeImageUrls(images) {
+  const urls = [].concat(images || [])
+    .map(image => (typeof image === 'string' ? image : image?.contentUrl || image?.url))
+    .filter(Boolean)
+    .map(imageUrl => (imageUrl.startsWith('/') ? `${BASE_URL}${imageUrl}` : imageUrl));
+  
+  return [...new Set(urls)].slice(0, 5);
+}
+
+/**
+ * Wandelt einen Merkmalsnamen in das kebab-case-Format der Charakteristiken um
+ */
+function toCharacteristicKey(name) {
+  return String(name).trim().replace(/:$/, '').toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '');
+}
+
+/**
+ * Liest Charakteristiken aus Name/Wert-Paaren und bekannten schema.org-Eigenschaften
+ */
+function buildStructuredCharacteristics(propertyValues, source) {
+  const characteristics = {};
+  
+  [].concat(propertyValues || []).forEach(property => {
+    if (property && property.name && property.value !== undefined && property.value !== '') {
+      const unit = property.unitText ? ` ${property.unitText}` : '';
+      characteristics[toCharacteristicKey(property.name)] = `${property.value}${unit}`.trim();
+    }
+  });
+  
+  const first = (value) => (Array.isArray(value) ? value[0] : value);
+  const floorSize = first(source.floorSize);
+  if (floorSize && !characteristics['property-area']) {
+    const size = typeof floorSize === 'object' ? floorSize.value : floorSize;
+    if (size) characteristics['property-area'] = /m²|m2/.test(String(size)) ? String(size) : `${size} m²`;
+  }
+  
+  const bedrooms = first(source.numberOfBedrooms) || first(source.numberOfRooms);
+  if (bedrooms && !characteristics['bedrooms']) characteristics['bedrooms'] = String(bedrooms);
+  
+  const bathrooms = first(source.numberOfBathroomsTotal);
+  if (bathrooms && !characteristics['bathrooms']) characteristics['bathrooms'] = String(bathrooms);
+  
+  const yearBuilt = first(source.yearBuilt);
+  if (yearBuilt && !characteristics['construction-year']) characteristics['construction-year'] = String(yearBuilt);
+  
+  return characteristics;
+}
+
+/**
+ * Liest die Charakteristiken-Tabelle der Anzeigenseite (CSS-Fallback)
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @returns {Object} - Charakteristiken mit kebab-case-Schlüsseln
+ */
+function extractCharacteristics(document) {
+  const characteristics = {};
+  const charElements = document.querySelectorAll(CSS_SELECTORS.characteristics);
+  
+  charElements.forEach(charElement => {
+    const keyElement = charElement.querySelector('.key-chars');
+    const valueElement = charElement.querySelector('.value-chars');
+    
+    if (keyElement && valueElement) {
+      characteristics[toCharacteristicKey(keyElement.textContent)] = valueElement.textContent.trim();
+    }
+  });
+  
+  return characteristics;
+}
+
+/**
+ * Liest die erste Zahl aus einem Text, z.B. "1,200 m²" -> 1200 oder "2 bedrooms" -> 2
+ */
+function parseCharacteristicNumber(text) {
+  const match = String(text).match(/\d{1,3}(?:[.,\s]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?/);
+  if (!match) return null;
+  const cents = parsePriceAmount(match[0]);
+  return cents === null ? null : cents / 100;
+}
+
+/**
+ * Wandelt eine Verfügbarkeitsangabe in ein ISO-Datum (YYYY-MM-DD) um
+ * "Immediately" gilt ab dem Tag des Scrapings
+ */
+function parseAvailabilityDate(text, referenceDate = new Date()) {
+  const value = String(text).trim();
+  const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+  };
+  
+  if (/immediately|now|sofort|ab sofort|сразу|άμεσα/i.test(value)) {
+    return toIsoDate(referenceDate.getUTCFullYear(), referenceDate.getUTCMonth() + 1, referenceDate.getUTCDate());
+  }
+  
+  const isoMatch = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (isoMatch) return toIsoDate(+isoMatch[1], +isoMatch[2], +isoMatch[3]);
+  
+  const dottedMatch = value.match(/(\d{1,2})[./](\d{1,2})[./](\d{4})/);
+  if (dottedMatch) return toIsoDate(+dottedMatch[3], +dottedMatch[2], +dottedMatch[1]);
+  
+  // Ausgeschriebene Monatsnamen ("1 November 2025", "November 2025")
+  const parsed = new Date(`${value.replace(/^(?:from|ab|available)\s+/i, '')} UTC`);
+  if (!isNaN(parsed.getTime())) {
+    return toIsoDate(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1, /\d{1,2}\s+[a-z]/i.test(value) ? parsed.getUTCDate() : 1);
+  }
+  
+  return null;
+}
+
+/**
+ * Typisiertes Schema der Anzeigenmerkmale
+ * keys: Bazaraki-Schlüssel (kebab-case, siehe toCharacteristicKey), parse: Umwandlung des Textwerts
+ * Liefert parse null, bleibt der Originalwert im raw-Bereich erhalten
+ */
+const CHARACTERISTICS_SCHEMA = {
+  bedrooms: {
+    keys: ['bedrooms', 'number-of-bedrooms', 'beds'],
+    parse: (text) => /studio/i.test(text) ? 0 : parseCharacteristicNumber(text)
+  },
+  bathrooms: {
+    keys: ['bathrooms', 'number-of-bathrooms', 'baths'],
+    parse: parseCharacteristicNumber
+  },
+  areaSqm: {
+    keys: ['property-area', 'area', 'covered-area', 'living-area', 'floor-size', 'size'],
+    parse: parseCharacteristicNumber
+  },
+  plotAreaSqm: {
+    keys: ['plot-area', 'land-area', 'plot-size', 'plot'],
+    parse: parseCharacteristicNumber
+  },
+  furnishing: {
+    keys: ['furnishing', 'furnished'],
+    parse: (text) => {
+      if (/unfurnished|not furnished|no\b|unmöbliert|без мебели/i.test(text)) return 'unfurnished';
+      if (/semi|part|teil/i.test(text)) return 'semi-furnished';
+      if (/furnished|yes|möbliert|с мебелью/i.test(text)) return 'furnished';
+      return null;
+    }
+  },
+  petsAllowed: {
+    keys: ['pets', 'pets-allowed', 'pet-friendly'],
+    parse: (text) => {
+      if (/not|no\b|nicht|запрещ/i.test(text)) return false;
+      if (/allowed|yes|erlaubt|разреш/i.test(text)) return true;
+      return null;
+    }
+  },
+  parking: {
+    keys: ['parking', 'parking-space', 'parking-spaces'],
+    parse: (text) => {
+      if (/^no\b|none|no parking|kein/i.test(text)) return 'none';
+      if (/uncovered|open/i.test(text)) return 'uncovered';
+      if (/covered/i.test(text)) return 'covered';
+      if (/garage/i.test(text)) return 'garage';
+      if (/street/i.test(text)) return 'street';
+      return text.trim().toLowerCase() || null;
+    }
+  },
+  energyClass: {
+    keys: ['energy-efficiency', 'energy-class', 'energy-rating', 'energy-certificate'],
+    parse: (text) => {
+      const match = String(text).trim().match(/^([A-G])(\+{0,2})(?![a-z])/i) || String(text).match(/\bclass\s+([A-G])(\+{0,2})/i);
+      return match ? `${match[1].toUpperCase()}${match[2]}` : null;
+    }
+  },
+  constructionYear: {
+    keys: ['construction-year', 'year-built', 'year-of-construction', 'built'],
+    parse: (text) => {
+      const match = String(text).match(/\b(1[89]\d{2}|20\d{2})\b/);
+      return match ? parseInt(match[1], 10) : null;
+    }
+  },
+  availableFrom: {
+    keys: ['availability', 'available-from', 'available'],
+    parse: parseAvailabilityDate
+  }
+};
+
+/**
+ * Bildet die frei formulierten Bazaraki-Merkmale auf das typisierte Schema ab
+ * Unbekannte oder nicht auswertbare Merkmale landen unverändert in raw
+ * 
+ * @param {Object} characteristics - Merkmale mit kebab-case-Schlüsseln (extractCharacteristics)
+ * @param {Object} [propertyDetails={}] - Ergebnis von extractPropertyDetails als Fallback
+ * @param {Date} [referenceDate] - Bezugsdatum für "Immediately"
+ * @returns {Object} - { bedrooms, bathrooms, areaSqm, plotAreaSqm, furnishing, petsAllowed,
+ *                       parking, energyClass, constructionYear, availableFrom, raw }
+ */
+function normalizeCharacteristics(characteristics = {}, propertyDetails = {}, referenceDate = new Date()) {
+  const typed = {};
+  const raw = {};
+  const knownKeys = {};
+  
+  for (const [field, { keys }] of Object.entries(CHARACTERISTICS_SCHEMA)) {
+    typed[field] = null;
+    keys.forEach(key => { knownKeys[key] = field; });
+  }
+  
+  for (const [key, value] of Object.entries(characteristics || {})) {
+    const field = knownKeys[key];
+    const parsed = field && typed[field] === null ? CHARACTERISTICS_SCHEMA[field].parse(String(value), referenceDate) : null;
+    
+    if (parsed !== null && parsed !== undefined) {
+      typed[field] = parsed;
+    } else if (!field || typed[field] === null) {
+      raw[key] = value;
+    }
+  }
+  
+  // Zimmerangaben aus den Detail-Selektoren ergänzen
+  if (typed.bedrooms === null && propertyDetails.bedrooms !== undefined) typed.bedrooms = Number(propertyDetails.bedrooms);
+  if (typed.bathrooms === null && propertyDetails.bathrooms !== undefined) typed.bathrooms = Number(propertyDetails.bathrooms);
+  if (typed.areaSqm === null && propertyDetails.area !== undefined) typed.areaSqm = Number(propertyDetails.area);
+  
+  return { ...typed, raw };
+}
+
+/**
+ * Löst alle Anzeigenfelder über die Extraktionsstrategien auf
+ * Reihenfolge: JSON-LD, OpenGraph, Microdata, CSS-Selektoren. Für jedes Feld wird
+ * in fieldSources festgehalten, welche Strategie den Wert geliefert hat ('none' = nicht gefunden).
+ * 
+ * @param {Document} document - Das DOM-Dokument der Anzeigenseite
+ * @param {Object} structuredData - Ergebnis von extractStructuredData
+ * @param {string} [dealType='rent'] - Angebotsart, bestimmt die Preisperiode
+ * @returns {Object} - { title, price, location, description, images, coordinates, characteristics, fieldSources }
+ */
+function resolveListingFields(document, structuredData, dealType = 'rent') {
+  const { jsonLd, openGraph, microdata } = structuredData;
+  const offer = [].concat(jsonLd.offers || [])[0] || {};
+  const og = (property) => [].concat(openGraph[property] || [])[0];
+  const md = (prop) => (microdata[prop] || [])[0];
+  
+  const fieldSources = {};
+  const resolve = (field, strategies) => {
+    let lastValue;
+    for (const [source, getValue] of strategies) {
+      const value = getValue();
+      lastValue = value;
+      if (isFieldFilled(value)) {
+        fieldSources[field] = source;
+        return value;
+      }
+    }
+    fieldSources[field] = 'none';
+    return lastValue;
+  };
+  
+  const title = resolve('title', [
+    ['json-ld', () => jsonLd.name],
+    ['opengraph', () => og('og:title')],
+    ['microdata', () => md('name')],
+    ['css', () => {
+      const titleElement = document.querySelector(CSS_SELECTORS.title);
+      return titleElement ? titleElement.textContent.trim() : 'Keine Beschreibung';
+    }]
+  ]);
+  
+  const price = resolve('price', [
+    ['json-ld', () => buildStructuredPrice(offer.price ?? offer.priceSpecification?.price, offer.priceCurrency ?? offer.priceSpecification?.priceCurrency, dealType)],
+    ['opengraph', () => buildStructuredPrice(og('product:price:amount') ?? og('og:price:amount'), og('product:price:currency') ?? og('og:price:currency'), dealType)],
+    ['microdata', () => buildStructuredPrice(md('price'), md('priceCurrency'), dealType)],
+    ['css', () => extractPrice(document, dealType)]
+  ]);
+  
+  const location = resolve('location', [
+    ['json-ld', () => formatStructuredAddress(jsonLd.address || offer.availableAtOrFrom?.address || jsonLd.contentLocation?.name)],
+    ['opengraph', () => [og('og:locality'), og('og:region')].filter(Boolean).join(', ')],
+    ['microdata', () => [md('addressLocality'), md('addressRegion')].filter(Boolean).join(', ') || md('address')],
+    ['css', () => extractLocation(document)]
+  ]);
+  
+  const description = resolve('description', [
+    ['json-ld', () => jsonLd.description],
+    ['opengraph', () => og('og:description')],
+    ['microdata', () => md('description')],
+    ['css', () => extractDescription(document)]
+  ]);
+  
+  const images = resolve('images', [
+    ['json-ld', () => normalizeImageUrls(jsonLd.image)],
+    ['opengraph', () => normalizeImageUrls([].concat(openGraph['og:image'] || openGraph['og:image:url'] || openGraph['og:image:secure_url'] || []))],
+    ['microdata', () => normalizeImageUrls(microdata.image)],
+    ['css', () => extractImages(document)]
+  ]);
+  
+  const coordinates = resolve('coordinates', [
+    ['json-ld', () => {
+      const geo = jsonLd.geo || offer.availableAtOrFrom?.geo || jsonLd.contentLocation?.geo || {};
+      return buildCoordinates(geo.latitude, geo.longitude);
+    }],
+    ['opengraph', () => buildCoordinates(og('place:location:latitude') ?? og('og:latitude'), og('place:location:longitude') ?? og('og:longitude'))],
+    ['microdata', () => buildCoordinates(md('latitude'), md('longitude'))],
+    ['css', () => extractMapCoordinates(document)]
+  ]);
+  
+  const characteristics = resolve('characteristics', [
+    ['json-ld', () => buildStructuredCharacteristics(jsonLd.additionalProperty || offer.itemOffered?.additionalProperty, jsonLd)],
+    ['microdata', () => buildStructuredCharacteristics(microdata.additionalProperty, microdata)],
+    ['css', () => extractCharacteristics(document)]
+  ]);
+  
+  return { title, price, location, description, images, coordinates, characteristics, fieldSources };
+}
+
+/**
+ * Liefert den Betrag eines Preisobjekts in Cent, auch für ältere Zustände ohne amountCents
+ */
+function getPriceCents(price) {
+  if (!price) return null;
+  if (typeof price.amountCents === 'number') return price.amountCents;
+  if (typeof price.amount === 'number') return Math.round(price.amount * 100);
+  return price.text ? parsePriceText(price.text).amountCents : null;
+}
+
+/**
+ * Liefert die Preishistorie einer Anzeige
+ * Ältere Zustände ohne Historie beginnen mit dem zuletzt gespeicherten Preis
+ * 
+ * @param {Object} listing - Anzeige mit price und optional priceHistory
+ * @returns {Array} - Einträge { amountCents, text, seenAt }, ältester zuerst
+ */
+function buildPriceHistory(listing) {
+  if (Array.isArray(listing.priceHistory) && listing.priceHistory.length > 0) {
+    return listing.priceHistory;
+  }
+  
+  const amountCents = getPriceCents(listing.price);
+  if (amountCents === null) return [];
+  return [{ amountCents, text: listing.price.text, seenAt: listing.scrapedAt || new Date().toISOString() }];
+}
+
+/**
+ * Vergleicht den Preis der Suchergebniskarte mit dem gespeicherten Preis einer bekannten Anzeige
+ * Bei einer Änderung werden price, priceChanged und priceHistory aktualisiert
+ * 
+ * @param {Object} previousListing - Gespeicherte Anzeige aus dem vorherigen Zustand
+ * @param {string} cardPriceText - Preistext der Suchergebniskarte (falls gefunden)
+ * @param {string} [dealType='rent'] - Angebotsart, bestimmt die Preisperiode
+ * @param {string} [seenAt] - Zeitpunkt des aktuellen Scans
+ * @returns {Object} - Anzeige für den aktuellen Lauf
+ */
+function applyCardPrice(previousListing, cardPriceText, dealType = 'rent', seenAt = new Date().toISOString()) {
+  // Eine Preisänderung gilt nur für den Lauf, in dem sie erkannt wurde
+  const { priceChanged, ...listing } = previousListing;
+  listing.priceHistory = buildPriceHistory(listing);
+  
+  if (!cardPriceText) return listing;
+  
+  const cardPrice = parsePriceText(cardPriceText, DEAL_TYPES[dealType]?.pricePeriod || 'month');
+  const oldAmountCents = getPriceCents(listing.price);
+  if (cardPrice.amountCents === null || oldAmountCents === null || cardPrice.amountCents === oldAmountCents) {
+    return listing;
+  }
+  
+  return {
+    ...listing,
+    price: cardPrice,
+    priceChanged: {
+      oldAmountCents,
+      newAmountCents: cardPrice.amountCents,
+      oldText: listing.price.text,
+      newText: cardPrice.text,
+      changedAt: seenAt
+    },
+    priceHistory: [...listing.priceHistory, { amountCents: cardPrice.amountCents, text: cardPrice.text, seenAt }]
+  };
+}
+
+/**
+ * Erweitert den Höchstpreis der Suche um den Beobachtungsspielraum
+ * 
+ * @param {string|number} priceMax - Budget aus den Filtern (leer = keine Obergrenze)
+ * @param {number} [marginPercent] - Spielraum in Prozent
+ * @returns {string|number} - Höchstpreis für die Such-URL
+ */
+function applyPriceWatchMargin(priceMax, marginPercent = PRICE_WATCH_MARGIN_PERCENT) {
+  const budget = parseFloat(priceMax);
+  if (!budget || !(marginPercent > 0)) return priceMax;
+  return String(Math.round(budget * (1 + marginPercent / 100)));
+}
+
+/**
+ * Budget einer Suche wie in scrapeListings: ohne Angabe gilt der Standard-Höchstpreis der Angebotsart,
+ * ein leerer Wert (z.B. eingefügte Such-URL ohne Höchstpreis) bedeutet keine Obergrenze
+ * 
+ * @param {Object} filters - Benutzerdefinierte Filter
+ * @returns {string|number} - Höchstpreis oder '' ohne Budget (kein Beobachtungsspielraum)
+ */
+function resolvePriceMax(filters) {
+  if (filters.price_max !== undefined && filters.price_max !== null) return filters.price_max;
+  return DEAL_TYPES[resolveDealType(filters)].defaultPriceMax;
+}
+
+/**
+ * Prüft, ob der Preis einer Anzeige über dem Budget liegt
+ * Solche Anzeigen stammen aus dem Beobachtungsspielraum und werden nur bei Preissenkungen gemeldet
+ */
+function isAboveBudget(listing, priceMax) {
+  const budget = parseFloat(priceMax);
+  const amountCents = getPriceCents(listing?.price);
+  if (!budget || amountCents === null) return false;
+  return amountCents > Math.round(budget * 100);
+}
+
+/**
+ * Zeitpunkt, zu dem eine Anzeige zum ersten Mal gefunden wurde
+ * Ältere Zustände ohne firstSeenAt verwenden den ersten Eintrag der Preishistorie bzw. scrapedAt
+ */
+function getFirstSeenAt(listing) {
+  return listing.firstSeenAt || listing.priceHistory?.[0]?.seenAt || listing.scrapedAt || null;
+}
+
+/**
+ * Tage am Markt: Anzahl der Tage seit der ersten Erfassung einer Anzeige,
+ * bei entfernten Anzeigen bis zur Entfernung
+ */
+function getDaysOnline(listing, now = new Date()) {
+  const firstSeen = Date.parse(getFirstSeenAt(listing) || '');
+  if (Number.isNaN(firstSeen)) return null;
+  const until = listing.removedAt ? Date.parse(listing.removedAt) : new Date(now).getTime();
+  return Math.max(0, Math.floor((until - firstSeen) / (24 * 60 * 60 * 1000)));
+}
+
+/**
+ * Ermittelt die Preissenkungen bekannter Anzeigen, die eine Benachrichtigung wert sind
+ * 
+ * @param {Array} listings - Anzeigen mit priceChanged (priceChangedListings aus saveAndCompareResults)
+ * @param {Object} [options] - { minPercent, minAmountCents, priceMax, now }
+ * @returns {Array} - Einträge { listing, oldAmountCents, newAmountCents, changePercent, daysOnline, budgetStatus }, größte Senkung zuerst
+ */
+function findPriceDrops(listings = [], {
+  minPercent = PRICE_DROP_MIN_PERCENT,
+  minAmountCents = Math.round(PRICE_DROP_MIN_AMOUNT * 100),
+  priceMax = '',
+  now = new Date()
+} = {}) {
+  const budgetCents = parseFloat(priceMax) ? Math.round(parseFloat(priceMax) * 100) : null;
+  
+  return (listings || [])
+    .filter(listing => listing.priceChanged && listing.priceChanged.newAmountCents < listing.priceChanged.oldAmountCents)
+    .filter(listing => {
+      const { oldAmountCents, newAmountCents } = listing.priceChanged;
+      const dropCents = oldAmountCents - newAmountCents;
+      return dropCents >= minAmountCents && (dropCents / oldAmountCents) * 100 >= minPercent;
+    })
+    .map(listing => {
+      const { oldAmountCents, newAmountCents } = listing.priceChanged;
+      
+      // Budgetstatus: 'entered' = durch die Senkung ins Budget gerutscht, 'above' = weiterhin knapp darüber
+      let budgetStatus = null;
+      if (budgetCents !== null) {
+        if (newAmountCents > budgetCents) budgetStatus = 'above';
+        else if (oldAmountCents > budgetCents) budgetStatus = 'entered';
+        else budgetStatus = 'within';
+      }
+      
+      return {
+        listing,
+        oldAmountCents,
+        newAmountCents,
+        changePercent: Math.round(((newAmountCents - oldAmountCents) / oldAmountCents) * 1000) / 10,
+        daysOnline: getDaysOnline(listing, now),
+        budgetStatus
+      };
+    })
+    .sort((a, b) => a.changePercent - b.changePercent);
+}
+
+/**
+ * Kurzer Fingerabdruck von Beschreibung und Fotos
+ * So lassen sich Änderungen erkennen, ohne Beschreibung und Bild-URLs im Zustand zu speichern
+ * Fehlende Werte bleiben null und gelten als unbekannt
+ */
+function buildDetailFingerprint(listing) {
+  const hash = (value) => crypto.createHash('sha1').update(value).digest('hex').substring(0, 12);
+  const description = isFieldFilled(listing.description) ? String(listing.description).replace(/\s+/g, ' ').trim() : '';
+  const images = [...new Set(listing.images || [])].sort();
+  
+  return {
+    descriptionHash: description ? hash(description) : null,
+    imagesHash: images.length > 0 ? hash(images.join('\n')) : null,
+    imageCount: images.length > 0 ? images.length : null
+  };
+}
+
+/**
+ * Vergleicht die gespeicherte Fassung einer Anzeige mit neu geladenen Details
+ * Werte, die auf der neuen Seite fehlen, zählen nicht als Änderung
+ * 
+ * @param {Object} previousListing - Anzeige aus dem Zustand (mit fingerprint und typisierten Merkmalen)
+ * @param {Object} details - Ergebnis von extractListingDetails
+ * @param {string} [revisedAt] - Zeitpunkt des erneuten Ladens
+ * @returns {Object|null} - Überarbeitung { revisedAt, changes: [{ field, old, new }] } oder null
+ */
+function detectListingRevision(previousListing, details, revisedAt = new Date().toISOString()) {
+  const changes = [];
+  
+  if (isFieldFilled(previousListing.title) && isFieldFilled(details.title) && previousListing.title !== details.title) {
+    changes.push({ field: 'title', old: previousListing.title, new: details.title });
+  }
+  
+  // Beschreibung und Fotos über den Fingerabdruck vergleichen (der alte Text ist nicht gespeichert)
+  const oldFingerprint = previousListing.fingerprint || {};
+  const newFingerprint = buildDetailFingerprint(details);
+  if (oldFingerprint.descriptionHash && newFingerprint.descriptionHash && oldFingerprint.descriptionHash !== newFingerprint.descriptionHash) {
+    changes.push({ field: 'description', old: null, new: null });
+  }
+  if (oldFingerprint.imagesHash && newFingerprint.imagesHash && oldFingerprint.imagesHash !== newFingerprint.imagesHash) {
+    changes.push({ field: 'images', old: oldFingerprint.imageCount, new: newFingerprint.imageCount });
+  }
+  
+  // Typisierte Merkmale wie Möblierung, Haustiere oder Verfügbarkeit (ältere untypisierte Zustände nicht vergleichen)
+  const oldCharacteristics = compactCharacteristics(previousListing.characteristics);
+  const newCharacteristics = details.characteristics || {};
+  for (const field of oldCharacteristics ? Object.keys(CHARACTERISTICS_SCHEMA) : []) {
+    const oldValue = oldCharacteristics[field] ?? null;
+    const newValue = newCharacteristics[field] ?? null;
+    if (newValue !== null && oldValue !== newValue) {
+      changes.push({ field: `characteristics.${field}`, old: oldValue, new: newValue });
+    }
+  }
+  
+  return changes.length > 0 ? { revisedAt, changes } : null;
+}
+
+/**
+ * Übernimmt neu geladene Details in eine bekannte Anzeige und hängt eine erkannte Überarbeitung an
+ * Preis und Preishistorie bleiben unverändert, sie kommen aus der Suchergebniskarte
+ * 
+ * @param {Object} listing - Bekannte Anzeige des aktuellen Laufs
+ * @param {Object} details - Ergebnis von extractListingDetails
+ * @param {string} [fetchedAt] - Zeitpunkt des erneuten Ladens
+ * @returns {Object} - Aktualisierte Anzeige mit detailsFetchedAt, fingerprint und revisions
+ */
+function applyRefreshedDetails(listing, details, fetchedAt = new Date().toISOString()) {
+  const revision = detectListingRevision(listing, details, fetchedAt);
+  
+  // Nur vorhandene Werte übernehmen, damit unvollständig geladene Seiten nichts löschen
+  const fingerprint = { ...(listing.fingerprint || {}) };
+  for (const [key, value] of Object.entries(buildDetailFingerprint(details))) {
+    if (value !== null) fingerprint[key] = value;
+  }
+  const characteristics = { ...(compactCharacteristics(listing.characteristics) || {}) };
+  for (const [key, value] of Object.entries(details.characteristics || {})) {
+    if (value !== null) characteristics[key] = value;
+  }
+  
+  const refreshed = {
+    ...listing,
+    title: isFieldFilled(details.title) ? details.title : listing.title,
+    location: isFieldFilled(details.location) ? details.location : listing.location,
+    coordinates: details.coordinates || listing.coordinates || null,
+    characteristics,
+    description: details.description,
+    images: details.images,
+    fieldSources: details.fieldSources,
+    fingerprint,
+    detailsFetchedAt: fetchedAt
+  };
+  
+  if (revision) {
+    refreshed.revisions = [...(listing.revisions || []), revision].slice(-LISTING_REVISIONS_LENGTH);
+  }
+  return refreshed;
+}
+
+/**
+ * Wählt die bekannten Anzeigen aus, deren Details am längsten nicht mehr geladen wurden
+ * 
+ * @param {Array} listings - Bekannte Anzeigen des aktuellen Laufs
+ * @param {number} [budget] - Maximale Anzahl erneut zu ladender Anzeigen
+ * @param {Object} [options] - { minAgeDays, now }
+ * @returns {Array} - Veraltete Anzeigen, älteste zuerst
+ */
+function selectStaleListings(listings = [], budget = RECRAWL_BUDGET, { minAgeDays = RECRAWL_MIN_AGE_DAYS, now = new Date() } = {}) {
+  if (!(budget > 0)) return [];
+  const staleBefore = new Date(now).getTime() - minAgeDays * 24 * 60 * 60 * 1000;
+  
+  return listings
+    .filter(listing => listing.url)
+    .map(listing => ({ listing, fetchedAt: Date.parse(listing.detailsFetchedAt || listing.scrapedAt || '') || 0 }))
+    .filter(({ fetchedAt }) => fetchedAt <= staleBefore)
+    .sort((a, b) => a.fetchedAt - b.fetchedAt)
+    .slice(0, budget)
+    .map(({ listing }) => listing);
+}
+
+/**
+ * Erzeugt einen reduzierten Listing-Datensatz für den Zustandsspeicher
+ * Speichert nur die wichtigsten Felder, um Speicherkosten zu minimieren
+ * 
+ * @param {Object} listing - Anzeige des aktuellen Laufs
+ * @param {string} [seenAt] - Zeitpunkt des aktuellen Laufs (lastSeenAt)
+ * @returns {Object} - Kompakte Anzeige mit Lebenszyklus (firstSeenAt, lastSeenAt, seenCount, daysOnMarket)
+ */
+function createCompactListing(listing, seenAt = new Date().toISOString()) {
+  const firstSeenAt = getFirstSeenAt(listing) || seenAt;
+  
+  return {
+    id: String(listing.id || '').trim(),
+    title: listing.title,
+    url: listing.url,
+    price: listing.price,
+    priceHistory: buildPriceHistory(listing),
+    priceChanged: listing.priceChanged,
+    location: listing.location,
+    coordinates: listing.coordinates || null,
+    characteristics: compactCharacteristics(listing.characteristics),
+    fingerprint: listing.fingerprint || buildDetailFingerprint(listing),
+    imageHashes: listing.imageHashes || null,
+    clusterId: listing.clusterId || null,
+    detailsFetchedAt: listing.detailsFetchedAt || listing.scrapedAt,
+    revisions: listing.revisions,
+    repostOf: listing.repostOf,
+    propertyType: listing.propertyType,
+    dealType: listing.dealType,
+    city: listing.city,
+    scrapedAt: listing.scrapedAt || seenAt,
+    firstSeenAt,
+    lastSeenAt: seenAt,
+    seenCount: (listing.seenCount || 0) + 1,
+    daysOnMarket: getDaysOnline({ firstSeenAt }, seenAt)
+  };
+}
+
+/**
+ * Markiert entfernte Anzeigen mit removedAt und den endgültigen Tagen am Markt
+ * Als Zeitpunkt gilt der erste Lauf, in dem die Anzeige fehlte (missingSince)
+ */
+function markListingsRemoved(listings, removedAt = new Date().toISOString()) {
+  return listings.map(listing => {
+    const removedListing = { ...listing, removedAt: listing.missingSince || removedAt };
+    removedListing.daysOnMarket = getDaysOnline(removedListing);
+    return removedListing;
+  });
+}
+
+/**
+ * Teilt die in diesem Lauf fehlenden Anzeigen in bestätigt und möglicherweise entfernte auf
+ * Bestätigt ist eine Entfernung nach REMOVAL_CONFIRM_RUNS Läufen in Folge
+ * oder wenn die Detailseite 404 bzw. "nicht mehr verfügbar" liefert
+ * Ist die Detailseite noch aktiv, zählt der Lauf nicht mit (missingRuns bleibt stehen), sondern in missingLiveRuns
+ * Nach confirmRuns solchen Läufen passt die Anzeige offenbar nicht mehr zur Suche (z.B. Preis über Budget erhöht)
+ * und wird mit removalReason 'no-longer-matching' archiviert, statt dauerhaft als möglicherweise entfernt zu gelten
+ * 
+ * @param {Array} missingListings - Anzeigen aus dem Zustand, die in der aktuellen Suche fehlen
+ * @param {Object} [availabilityById={}] - Prüfergebnisse (siehe checkListingAvailability)
+ * @param {string} [timestamp] - Zeitpunkt des aktuellen Laufs
+ * @param {number} [confirmRuns] - Anzahl Läufe bis zur Bestätigung
+ * @returns {Object} - { removedListings, possiblyRemovedListings } mit missingSince, missingRuns und missingLiveRuns
+ */
+function confirmRemovals(missingListings, availabilityById = {}, timestamp = new Date().toISOString(), confirmRuns = REMOVAL_CONFIRM_RUNS) {
+  const removed = [];
+  const possiblyRemovedListings = [];
+  
+  for (const listing of missingListings) {
+    // Aus der Suche verschwunden, aber die Anzeige ist noch online (z.B. Ergebnisseite nicht geladen): nicht weiterzählen
+    const isLive = availabilityById[listing.id] === 'available';
+    const missingListing = {
+      ...listing,
+      missingSince: listing.missingSince || timestamp,
+      missingRuns: (listing.missingRuns || 0) + (isLive ? 0 : 1),
+      missingLiveRuns: (listing.missingLiveRuns || 0) + (isLive ? 1 : 0)
+    };
+    
+    if (missingListing.missingRuns >= confirmRuns || availabilityById[listing.id] === 'removed') {
+      removed.push({ ...missingListing, removalReason: 'removed' });
+    } else if (missingListing.missingLiveRuns >= confirmRuns) {
+      removed.push({ ...missingListing, removalReason: 'no-longer-matching' });
+    } else {
+      possiblyRemovedListings.push(missingListing);
+    }
+  }
+  
+  return { removedListings: markListingsRemoved(removed, timestamp), possiblyRemovedListings };
+}
+
+/**
+ * Zerlegt einen Titel in normalisierte Wörter für den Ähnlichkeitsvergleich
+ */
+function normalizeTitleTokens(title) {
+  return new Set(String(title || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 0));
+}
+
+/**
+ * Ähnlichkeit zweier Titel (Dice-Koeffizient der Wortmengen, 0-1)
+ */
+function computeTitleSimilarity(titleA, titleB) {
+  const tokensA = normalizeTitleTokens(titleA);
+  const tokensB = normalizeTitleTokens(titleB);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+  
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Bewertet, ob eine neue Anzeige dieselbe Wohnung wie eine bekannte Anzeige ist
+ * Gleiche Beschreibung wiegt am stärksten, Titel allein reicht nicht (Bazaraki-Titel sind sehr ähnlich)
+ * 
+ * @param {Object} listing - Neue Anzeige
+ * @param {Object} candidate - Aktive oder kürzlich entfernte Anzeige aus dem Zustand
+ * @returns {Object} - { score (0-1), reasons }
+ */
+function scoreRepostMatch(listing, candidate) {
+  // Unterschiedliche Angebotsart oder Zimmerzahl schließt einen Treffer aus
+  if ((listing.dealType || 'rent') !== (candidate.dealType || 'rent')) return { score: 0, reasons: [] };
+  const bedrooms = listing.characteristics?.bedrooms ?? null;
+  const candidateBedrooms = candidate.characteristics?.bedrooms ?? null;
+  if (bedrooms !== null && candidateBedrooms !== null && bedrooms !== candidateBedrooms) return { score: 0, reasons: [] };
+  
+  let score = 0;
+  const reasons = [];
+  
+  // Beschreibung über den Fingerabdruck
+  const descriptionHash = (listing.fingerprint || buildDetailFingerprint(listing)).descriptionHash;
+  if (descriptionHash && descriptionHash === candidate.fingerprint?.descriptionHash) {
+    score += 0.4;
+    reasons.push('description');
+  }
+  
+  // Titel
+  const titleSimilarity = computeTitleSimilarity(listing.title, candidate.title);
+  if (titleSimilarity >= 0.8) {
+    score += 0.25 * titleSimilarity;
+    reasons.push('title');
+  }
+  
+  // Preis: gleich oder leicht geändert (Reposts kommen oft mit neuem Preis)
+  const priceCents = getPriceCents(listing.price);
+  const candidatePriceCents = getPriceCents(candidate.price);
+  if (priceCents !== null && candidatePriceCents) {
+    const priceDiff = Math.abs(priceCents - candidatePriceCents) / candidatePriceCents;
+    if (priceDiff <= 0.02) {
+      score += 0.15;
+      reasons.push('price');
+    } else if (priceDiff <= 0.1) {
+      score += 0.1;
+      reasons.push('price');
+    }
+  }
+  
+  // Ort: gleicher Ortstext oder Koordinaten im Umkreis von ca. 100 m
+  const sameLocation = isFieldFilled(listing.location) && listing.location === candidate.location;
+  const nearby = listing.coordinates && candidate.coordinates &&
+    Math.abs(listing.coordinates.lat - candidate.coordinates.lat) < 0.001 &&
+    Math.abs(listing.coordinates.lng - candidate.coordinates.lng) < 0.001;
+  if (sameLocation || nearby) {
+    score += 0.1;
+    reasons.push('location');
+  }
+  
+  // Wohnfläche (±3%)
+  const area = listing.characteristics?.areaSqm;
+  const candidateArea = candidate.characteristics?.areaSqm;
+  if (area && candidateArea && Math.abs(area - candidateArea) / candidateArea <= 0.03) {
+    score += 0.1;
+    reasons.push('area');
+  }
+  
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Trennt erneut eingestellte oder reaktivierte Anzeigen von wirklich neuen Anzeigen
+ * Treffer erhalten repostOf { id, url, firstSeenAt, removedAt, score, reasons }
+ * 
+ * @param {Array} newListings - Neue Anzeigen dieses Laufs
+ * @param {Array} candidates - Aktive und kürzlich entfernte Anzeigen aus dem Zustand
+ * @param {Object} [options] - { threshold, lookbackDays, now }
+ * @returns {Object} - { newListings, repostedListings }
+ */
+function detectReposts(newListings, candidates, {
+  threshold = REPOST_MATCH_THRESHOLD,
+  lookbackDays = REPOST_LOOKBACK_DAYS,
+  now = new Date().toISOString()
+} = {}) {
+  const lookbackStart = Date.parse(now) - lookbackDays * 24 * 60 * 60 * 1000;
+  const newIds = new Set(newListings.map(listing => String(listing.id)));
+  const recentCandidates = candidates.filter(candidate => !candidate.removedAt || Date.parse(candidate.removedAt) >= lookbackStart);
+  
+  const freshListings = [];
+  const repostedListings = [];
+  
+  for (const listing of newListings) {
+    let bestMatch = null;
+    
+    for (const candidate of recentCandidates) {
+      // Dieselbe ID nach einer Entfernung: reaktivierte Anzeige
+      const isSameId = String(candidate.id) === String(listing.id);
+      if (!isSameId && newIds.has(String(candidate.id))) continue;
+      
+      const match = isSameId ? { score: 1, reasons: ['id'] } : scoreRepostMatch(listing, candidate);
+      if (match.score >= threshold && (!bestMatch || match.score > bestMatch.score)) {
+        bestMatch = { candidate, ...match };
+      }
+    }
+    
+    if (!bestMatch) {
+      freshListings.push(listing);
+      continue;
+    }
+    
+    // "Online seit" folgt Ketten von Reposts bis zur ersten Fassung
+    const { candidate } = bestMatch;
+    listing.repostOf = {
+      id: candidate.id,
+      url: candidate.url,
+      firstSeenAt: candidate.repostOf?.firstSeenAt || getFirstSeenAt(candidate),
+      removedAt: candidate.removedAt || null,
+      score: bestMatch.score,
+      reasons: bestMatch.reasons
+    };
+    repostedListings.push(listing);
+  }
+  
+  return { newListings: freshListings, repostedListings };
+}
+
+/**
+ * Differenz-Hash (dHash) eines auf 9x8 Pixel verkleinerten Graustufenbilds
+ * Vergleicht jeden Pixel mit seinem rechten Nachbarn, ergibt 64 Bit als 16 Hex-Zeichen
+ * 
+ * @param {Uint8Array|Array} pixels - Rohe Pixelwerte zeilenweise
+ * @param {Object} [options] - { width, height, channels } (bei mehreren Kanälen zählt der erste)
+ * @returns {string} - Hash als Hex-String
+ */
+function computeDifferenceHash(pixels, { width = 9, height = 8, channels = 1 } = {}) {
+  const pixel = (x, y) => pixels[(y * width + x) * channels];
+  let hash = '';
+  let nibble = 0;
+  let bitCount = 0;
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      nibble = (nibble << 1) | (pixel(x, y) > pixel(x + 1, y) ? 1 : 0);
+      bitCount++;
+      if (bitCount % 4 === 0) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+/**
+ * Anzahl unterschiedlicher Bits zweier Hex-Hashes (unterschiedliche Länge = nicht vergleichbar)
+ */
+function hammingDistance(hashA, hashB) {
+  if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+  
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Bildbibliothek wird erst beim ersten Foto geladen (optionale Abhängigkeit, null = nicht installiert)
+let imageLibrary;
+
+/**
+ * Lädt sharp für das Verkleinern der Fotos
+ * Fehlt das Paket, werden keine Foto-Hashes berechnet und der Scraper läuft unverändert weiter
+ */
+function loadImageLibrary() {
+  if (imageLibrary === undefined) {
+    try {
+      imageLibrary = require('sharp');
+    } catch (error) {
+      console.warn(`Bildbibliothek sharp nicht verfügbar, Foto-Hashes werden übersprungen: ${error.message}`);
+      imageLibrary = null;
+    }
+  }
+  return imageLibrary;
+}
+
+/**
+ * Lädt die ersten Fotos einer Anzeige und berechnet ihre Differenz-Hashes
+ * Fotos, die nicht geladen werden können, werden übersprungen
+ * 
+ * @param {Object} listing - Anzeige mit images
+ * @param {number} [maxImages] - Maximale Anzahl Fotos
+ * @returns {Promise<Array|null>} - Hashes oder null (keine Fotos, sharp fehlt oder alle Fotos fehlerhaft)
+ */
+async function hashListingImages(listing, maxImages = IMAGE_HASH_MAX_IMAGES) {
+  const images = (listing.images || []).slice(0, Math.max(0, maxImages));
+  if (images.length === 0) return null;
+  
+  const sharp = loadImageLibrary();
+  if (!sharp) return null;
+  
+  const hashes = [];
+  for (const imageUrl of images) {
+    try {
+      const response = await axios.get(imageUrl, {
+        headers: DEFAULT_HEADERS,
+        responseType: 'arraybuffer',
+        timeout: 15000
+      });
+      
+      const { data, info } = await sharp(Buffer.from(response.data))
+        .flatten({ background: '#ffffff' })
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      hashes.push(computeDifferenceHash(data, { width: info.width, height: info.height, channels: info.channels }));
+    } catch (error) {
+      console.warn(`Foto der Anzeige ${listing.id} konnte nicht gehasht werden (${imageUrl}): ${error.message}`);
+    }
+  }
+  
+  return hashes.length > 0 ? hashes : null;
+}
+
+/**
+ * Zählt die fast identischen Fotos zweier Anzeigen (jedes Foto wird höchstens einmal zugeordnet)
+ * Einfarbige Bilder (Hash nur aus Nullen, z.B. Platzhalter) zählen nicht
+ */
+function countSharedImages(hashesA = [], hashesB = [], maxDistance = IMAGE_HASH_MAX_DISTANCE) {
+  const isInformative = (hash) => /[1-9a-f]/i.test(hash || '');
+  const unmatched = (hashesB || []).filter(isInformative);
+  let shared = 0;
+  
+  for (const hash of (hashesA || []).filter(isInformative)) {
+    const index = unmatched.findIndex(other => hammingDistance(hash, other) <= maxDistance);
+    if (index !== -1) {
+      shared++;
+      unmatched.splice(index, 1);
+    }
+  }
+  return shared;
+}
+
+/**
+ * Fasst Anzeigen mit mehreren fast identischen Fotos zu Objekt-Clustern zusammen
+ * (dieselbe Wohnung bei mehreren Maklern mit unterschiedlichen Titeln)
+ * Die Cluster-ID bleibt erhalten, solange ein Mitglied sie aus dem vorherigen Lauf mitbringt
+ * 
+ * @param {Array} listings - Anzeigen mit imageHashes (und ggf. clusterId aus dem Zustand)
+ * @param {Object} [options] - { minSharedImages, maxDistance }
+ * @returns {Array} - Cluster [{ id, listingIds }] mit mindestens zwei Anzeigen
+ */
+function clusterListingsByImages(listings = [], {
+  minSharedImages = CLUSTER_MIN_SHARED_IMAGES,
+  maxDistance = IMAGE_HASH_MAX_DISTANCE
+} = {}) {
+  const hashed = listings.filter(listing => (listing.imageHashes || []).length >= minSharedImages);
+  
+  // Union-Find über alle Paare mit genügend gemeinsamen Fotos
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (find(i) !== find(j) && countSharedImages(hashed[i].imageHashes, hashed[j].imageHashes, maxDistance) >= minSharedImages) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+  
+  const members = {};
+  hashed.forEach((listing, i) => {
+    const root = find(i);
+    if (!members[root]) members[root] = [];
+    members[root].push(listing);
+  });
+  
+  return Object.values(members)
+    .filter(group => group.length >= 2)
+    .map(group => {
+      const listingIds = group.map(listing => String(listing.id)).sort((a, b) => Number(a) - Number(b));
+      const previousIds = group.map(listing => listing.clusterId).filter(Boolean).sort();
+      return { id: previousIds[0] || `cluster-${listingIds[0]}`, listingIds };
+    });
+}
+
+/**
+ * Fasst neue Anzeigen desselben Objekt-Clusters zu einer Meldung zusammen
+ * Neue Anzeigen eines Objekts, das schon unter einer bekannten Anzeige gemeldet wurde, werden getrennt zurückgegeben
+ * 
+ * @param {Array} newListings - Neue Anzeigen (mit clusterId)
+ * @param {Array} currentListings - Alle aktuellen Anzeigen
+ * @returns {Object} - { groups: [{ listing, alsoListedAs }], knownPropertyListings: [{ listing, knownListings }] }
+ */
+function groupListingsByProperty(newListings = [], currentListings = []) {
+  const newIds = new Set(newListings.map(listing => String(listing.id)));
+  const groups = [];
+  const groupsByCluster = {};
+  const knownPropertyListings = [];
+  
+  for (const listing of newListings) {
+    const { clusterId } = listing;
+    if (!clusterId) {
+      groups.push({ listing, alsoListedAs: [] });
+      continue;
+    }
+    
+    const knownListings = currentListings.filter(other => other.clusterId === clusterId && !newIds.has(String(other.id)));
+    if (knownListings.length > 0) {
+      knownPropertyListings.push({ listing, knownListings });
+    } else if (groupsByCluster[clusterId]) {
+      groupsByCluster[clusterId].alsoListedAs.push(listing);
+    } else {
+      groupsByCluster[clusterId] = { listing, alsoListedAs: [] };
+      groups.push(groupsByCluster[clusterId]);
+    }
+  }
+  
+  return { groups, knownPropertyListings };
+}
+
+/**
+ * Typisierte Merkmale ohne raw-Bereich für den Zustandsspeicher
+ * Bereits gespeicherte (kompakte) Merkmale werden übernommen, ältere untypisierte verworfen
+ */
+function compactCharacteristics(characteristics) {
+  if (!characteristics) return undefined;
+  const isTyped = 'raw' in characteristics || Object.keys(CHARACTERISTICS_SCHEMA).every(field => field in characteristics);
+  if (!isTyped) return undefined;
+  const { raw, ...typed } = characteristics;
+  return typed;
+}
+
+/**
+ * Vergleicht die Anzeigen des aktuellen Laufs mit einem geladenen Zustand und baut den neuen Zustand auf
+ * Reine Berechnung ohne Speicherzugriff, damit der Vergleich nach einem Schreibkonflikt gegen den neuen Stand wiederholt werden kann
+ * 
+ * @param {Array} processedListings - Aktuelle Anzeigen mit normalisierter ID
+ * @param {Object} loadedState - Ergebnis von loadState ({ state, isFirstRun })
+ * @param {Object} [availabilityById={}] - Prüfergebnisse fehlender Anzeigen (siehe checkListingAvailability)
+ * @param {string} [runId=''] - ID des Laufs
+ * @param {string} [timestamp] - Zeitpunkt des Laufs
+ * @returns {Object} - { currentState, changes, newListings, removedListings, possiblyRemovedListings, repostedListings, priceChangedListings, clusters }
+ */
+function compareWithState(processedListings, loadedState, availabilityById = {}, runId = '', timestamp = new Date().toISOString()) {
+  const { state: previousState, isFirstRun } = loadedState;
+  
+  // IDs aus vorherigem Zustand für Vergleich vorbereiten (beim Laden migriert, siehe migrateState)
+  const previousIds = new Set();
+  previousState.listings.forEach(listing => {
+    if (listing.id) {
+      previousIds.add(listing.id);
+    }
+  });
+  
+  // Aktuelle IDs (in saveAndCompareResults mit normalizeListingId vereinheitlicht)
+  const normalizedCurrentIds = new Set();
+  const normalizedIdMap = {}; // Mapping zwischen IDs und Original-Listings
+  
+  processedListings.forEach(listing => {
+    if (listing.id) {
+      normalizedCurrentIds.add(listing.id);
+      normalizedIdMap[listing.id] = listing;
+    }
+  });
+  
+  console.log(`Vergleich: ${normalizedCurrentIds.size} aktuelle vs ${previousIds.size} vorherige IDs.`);
+  
+  // Vergleiche aktuelle mit vorherigen IDs
+  let newIds = [];
+  const forceNotification = process.env.FORCE_NOTIFICATION === 'true';
+  
+  if (isFirstRun) {
+    if (forceNotification) {
+      console.log('Erster Lauf mit erzwungener Benachrichtigung: Alle Anzeigen werden als neu gemeldet.');
+      // Alle aktuellen Anzeigen als neu betrachten
+      newIds = [...normalizedCurrentIds];
+    } else {
+      console.log('Erster Lauf: Keine neuen Anzeigen werden gemeldet.');
+      newIds = [];
+    }
+  } else if (previousIds.size === 0) {
+    if (forceNotification) {
+      console.log('Keine vorherigen Anzeigen gefunden, aber Benachrichtigung erzwungen.');
+      newIds = [...normalizedCurrentIds];
+    } else {
+      console.log('Keine vorherigen Anzeigen gefunden. Behandle als ersten Lauf.');
+      newIds = [];
+    }
+  } else {
+    // Normale Vergleichslogik: Neue IDs sind die, die nicht im vorherigen Zustand waren
+    newIds = [...normalizedCurrentIds].filter(id => !previousIds.has(id));
+    console.log(`Ergebnis: ${newIds.length} neue Anzeigen gefunden.`);
+  }
+  
+  // Entfernte Anzeigen identifizieren - mit normalisierten IDs
+  const removedIds = [...previousIds].filter(id => !normalizedCurrentIds.has(id));
+  console.log(`${removedIds.length} fehlende Anzeigen identifiziert.`);
+  
+  // Detaillierte Listen für neue und entfernte Anzeigen erstellen
+  const newIdListings = [];
+  newIds.forEach(id => {
+    if (normalizedIdMap[id]) {
+      newIdListings.push(normalizedIdMap[id]);
+    }
+  });
+  
+  const missingListings = previousState.listings.filter(listing => listing.id && removedIds.includes(listing.id));
+  const { removedListings, possiblyRemovedListings } = confirmRemovals(missingListings, availabilityById, timestamp);
+  console.log(`${removedListings.length} bestätigt entfernt, ${possiblyRemovedListings.length} möglicherweise entfernt.`);
+  
+  // Erneut eingestellte oder reaktivierte Anzeigen nicht als neu melden
+  const repostCandidates = [
+    ...processedListings.filter(listing => !newIds.includes(listing.id)),
+    ...possiblyRemovedListings,
+    ...removedListings,
+    ...(previousState.removedListings || [])
+  ];
+  const { newListings, repostedListings } = detectReposts(newIdListings, repostCandidates, { now: timestamp });
+  repostedListings.forEach(listing => {
+    console.log(`♻️ Anzeige ${listing.id} ist erneut eingestellt (war ID ${listing.repostOf.id}, Übereinstimmung: ${listing.repostOf.reasons.join(', ')})`);
+  });
+  
+  // Bekannte Anzeigen, deren Preis sich seit dem letzten Lauf geändert hat
+  const priceChangedListings = processedListings.filter(listing => listing.priceChanged && !newIds.includes(listing.id));
+  if (priceChangedListings.length > 0) {
+    console.log(`${priceChangedListings.length} Anzeigen mit geändertem Preis.`);
+  }
+  
+  // Früher entfernte Anzeigen, die wieder auftauchen, behalten ihren Lebenszyklus
+  const archivedById = {};
+  (previousState.removedListings || []).forEach(listing => {
+    archivedById[listing.id] = listing;
+  });
+  
+  // Aktuellen Zustand in kompaktem Format speichern
+  const compactListings = processedListings.map(listing => {
+    const archived = archivedById[listing.id];
+    return createCompactListing(archived ? { firstSeenAt: archived.firstSeenAt, seenCount: archived.seenCount, ...listing } : listing, timestamp);
+  });
+  
+  // Anzeigen mit mehreren fast identischen Fotos als ein Objekt zusammenfassen (mehrere Makler, eine Wohnung)
+  const clusters = clusterListingsByImages(compactListings);
+  const clusterIdByListingId = {};
+  clusters.forEach(cluster => cluster.listingIds.forEach(id => { clusterIdByListingId[id] = cluster.id; }));
+  [...compactListings, ...processedListings].forEach(listing => {
+    listing.clusterId = clusterIdByListingId[listing.id] || null;
+  });
+  if (clusters.length > 0) {
+    console.log(`🏘️ ${clusters.length} Objekte mit mehreren Anzeigen: ${clusters.map(cluster => cluster.listingIds.join('/')).join(', ')}`);
+  }
+  
+  // Entfernte Anzeigen für REMOVED_RETENTION_DAYS aufbewahren (Tage am Markt, spätere Auswertungen)
+  const retentionStart = Date.parse(timestamp) - REMOVED_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const archivedListings = [...removedListings, ...(previousState.removedListings || [])]
+    .filter(listing => !normalizedCurrentIds.has(listing.id))
+    .filter(listing => Date.parse(listing.removedAt) >= retentionStart);
+  
+  const currentState = {
+    schemaVersion: STATE_SCHEMA_VERSION,
+    timestamp,
+    runId: runId || null,
+    snapshotKey: null,
+    listings: [...compactListings, ...possiblyRemovedListings],
+    removedListings: archivedListings,
+    clusters
+  };
+  
+  const changes = {
+    newIds: newListings.map(listing => listing.id),
+    removedIds: removedListings.map(listing => listing.id),
+    possiblyRemovedIds: possiblyRemovedListings.map(listing => listing.id),
+    repostedIds: repostedListings.map(listing => listing.id),
+    priceChangedIds: priceChangedListings.map(listing => listing.id)
+  };
+  
+  return {
+    currentState,
+    changes,
+    newListings,
+    removedListings,
+    possiblyRemovedListings,
+    repostedListings,
+    priceChangedListings,
+    clusters
+  };
+}
+
+/**
+ * Prüft einen Lauf vor dem Speichern auf Anzeichen eines fehlerhaften Scrapes
+ * (Einbruch der Anzeigenzahl, ungewöhnlich viele neue oder fehlende Anzeigen, fehlende Pflichtfelder)
+ * 
+ * @param {Array} currentListings - Anzeigen des aktuellen Laufs mit normalisierter ID
+ * @param {Object} loadedState - Ergebnis von loadState ({ state, isFirstRun })
+ * @param {Object} [options] - { maxTotalDrop, maxNewRatio, maxRemovedRatio, minChanges, requiredFields, maxMissingFieldRatio }
+ * @returns {Array} - Gefundene Anomalien mit { type, message }
+ */
+function detectRunAnomalies(currentListings, loadedState, {
+  maxTotalDrop = ANOMALY_MAX_TOTAL_DROP,
+  maxNewRatio = ANOMALY_MAX_NEW_RATIO,
+  maxRemovedRatio = ANOMALY_MAX_REMOVED_RATIO,
+  minChanges = ANOMALY_MIN_CHANGES,
+  requiredFields = ANOMALY_REQUIRED_FIELDS,
+  maxMissingFieldRatio = ANOMALY_MAX_MISSING_FIELD_RATIO
+} = {}) {
+  const anomalies = [];
+  const { state: previousState, isFirstRun } = loadedState;
+  const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+  
+  // Bestand: Anzeigen, die im letzten Lauf gefunden wurden (möglicherweise entfernte zählen nicht mehr dazu)
+  const previousListings = previousState.listings.filter(listing => !listing.missingSince);
+  const previousIds = new Set(previousState.listings.map(listing => listing.id));
+  const currentIds = new Set(currentListings.map(listing => listing.id));
+  const currentCount = currentListings.length;
+  
+  if (!isFirstRun && previousListings.length > 0) {
+    const previousCount = previousListings.length;
+    const drop = 1 - currentCount / previousCount;
+    if (currentCount === 0 || (previousCount - currentCount >= minChanges && drop > maxTotalDrop)) {
+      anomalies.push({
+        type: 'total-drop',
+        message: `Anzeigenzahl von ${previousCount} auf ${currentCount} gefallen (-${percent(drop)})`
+      });
+    }
+    
+    const newCount = currentListings.filter(listing => !previousIds.has(listing.id)).length;
+    if (newCount >= minChanges && newCount > currentCount * maxNewRatio) {
+      anomalies.push({
+        type: 'new-ratio',
+        message: `${newCount} von ${currentCount} Anzeigen sind neu (${percent(newCount / currentCount)})`
+      });
+    }
+    
+    const missingCount = previousListings.filter(listing => !currentIds.has(listing.id)).length;
+    if (missingCount >= minChanges && missingCount > previousCount * maxRemovedRatio) {
+      anomalies.push({
+        type: 'removed-ratio',
+        message: `${missingCount} von ${previousCount} bisherigen Anzeigen fehlen (${percent(missingCount / previousCount)})`
+      });
+    }
+  }
+  
+  // Pflichtfelder auch im ersten Lauf prüfen, ein kaputter Parser soll keinen Zustand anlegen
+  // price wird über getPriceCents gelesen, da ältere Preisobjekte nur amount oder text enthalten
+  const countMissing = (listings, field) => listings.filter(listing => {
+    const value = field === 'price'
+      ? getPriceCents(listing.price)
+      : field.split('.').reduce((object, part) => object?.[part], listing);
+    return value === null || value === undefined || value === '';
+  }).length;
+  
+  if (currentCount > 0) {
+    for (const field of requiredFields) {
+      const missing = countMissing(currentListings, field);
+      // Nur ein Rückgang gegenüber dem Bestand ist verdächtig (z.B. Suchen mit vielen "Preis auf Anfrage")
+      const previousMissingRatio = !isFirstRun && previousListings.length > 0
+        ? countMissing(previousListings, field) / previousListings.length
+        : 0;
+      if (missing > 0 && missing / currentCount > maxMissingFieldRatio && missing / currentCount > previousMissingRatio) {
+        anomalies.push({
+          type: 'missing-field',
+          field,
+          message: `Pflichtfeld ${field} fehlt bei ${missing} von ${currentCount} Anzeigen`
+        });
+      }
+    }
+  }
+  
+  return anomalies;
+}
+
+/**
+ * S3-Schlüssel eines zurückgehaltenen Laufs, z.B. results/rent_apartments-flats_pafos-district-paphos_max-1500/quarantine.json
+ */
+function buildQuarantineKey(filterKey = '') {
+  return `${RESULTS_PREFIX}${filterKey ? filterKey+'/' : ''}quarantine.json`;
+}
+
+/**
+ * Übernimmt einen zurückgehaltenen Lauf nach Prüfung durch den Admin (Event mit acceptQuarantine)
+ * Der Zustand wird nur geschrieben, wenn seit dem zurückgehaltenen Lauf kein anderer gespeichert hat
+ * 
+ * @param {string} filterKey - Schlüssel des Suchfilters
+ * @param {string} [expectedRunId=''] - Nur diesen Lauf übernehmen (leer = den zurückgehaltenen Lauf, egal welcher)
+ * @returns {Promise<Object>} - Ergebnis wie von saveAndCompareResults, zusätzlich mit runId des übernommenen Laufs
+ */
+async function acceptQuarantinedRun(filterKey, expectedRunId = '') {
+  const quarantineKey = buildQuarantineKey(filterKey);
+  const object = await storage.get(quarantineKey);
+  if (!object) {
+    throw new Error(`Kein zurückgehaltener Lauf für ${filterKey || 'standard'} vorhanden.`);
+  }
+  
+  const quarantine = JSON.parse(object.body.toString());
+  if (expectedRunId && quarantine.runId !== expectedRunId) {
+    throw new Error(`Zurückgehalten ist der Lauf ${quarantine.runId}, nicht ${expectedRunId}.`);
+  }
+  
+  const state = migrateState(quarantine.state);
+  const snapshot = quarantine.runId ? await saveRunSnapshot(filterKey, quarantine.runId, { ...state, changes: quarantine.changes }) : { snapshotKey: null, created: false };
+  state.snapshotKey = snapshot.snapshotKey;
+  
+  try {
+    await saveState(filterKey, state, quarantine.changes, quarantine.stateVersion);
+  } catch (error) {
+    if (error.code !== 'PreconditionFailed') throw error;
+    if (snapshot.created) {
+      await storage.delete([snapshot.snapshotKey]);
+    }
+    // Der zurückgehaltene Lauf kann gegen den neueren Zustand nie mehr übernommen werden
+    await discardQuarantinedRun(filterKey);
+    throw new Error(`Der Zustand von ${filterKey || 'standard'} wurde seit dem zurückgehaltenen Lauf ${quarantine.runId} geändert. Der Lauf wurde verworfen, bitte einen neuen Lauf starten.`);
+  }
+  
+  await storage.delete([quarantineKey]);
+  if (state.snapshotKey) {
+    await pruneRunSnapshots(filterKey, state.timestamp);
+  }
+  
+  console.log(`✅ Zurückgehaltener Lauf ${quarantine.runId} übernommen (${quarantine.anomalies.map(anomaly => anomaly.message).join('; ')})`);
+  return { ...quarantine.results, runId: quarantine.runId };
+}
+
+/**
+ * Entfernt einen zurückgehaltenen Lauf, der durch einen neueren Zustand überholt ist
+ * Fehler beim Aufräumen dürfen den Lauf nicht abbrechen
+ */
+async function discardQuarantinedRun(filterKey) {
+  try {
+    await storage.delete([buildQuarantineKey(filterKey)]);
+  } catch (error) {
+    console.error(`Fehler beim Entfernen des zurückgehaltenen Laufs: ${error.message}`);
+  }
+}
+
+/**
+ * Sendet einen Admin-Alarm für einen zurückgehaltenen Lauf mit dem Befehl zum Übernehmen
+ * 
+ * @param {Object} quarantine - Ergebnis von saveAndCompareResults (results.quarantine)
+ * @param {string} filterKey - Filter-Schlüssel des Laufs
+ * @returns {boolean} - true, wenn der Alarm gesendet wurde
+ */
+async function sendQuarantineAlert(quarantine, filterKey = '') {
+  if (process.env.SKIP_TELEGRAM === 'true') {
+    console.log('Quarantäne-Alarm wird übersprungen (SKIP_TELEGRAM=true)');
+    return false;
+  }
+  
+  const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  
+  let message = `🚧 <b>Lauf zurückgehalten</b>\n`;
+  message += `Filter: ${escapeHtml(filterKey || 'standard')}${quarantine.runId ? ` | ${escapeHtml(quarantine.runId)}` : ''}\n\n`;
+  message += `Der Zustand wurde nicht überschrieben und es wurden keine Anzeigen gemeldet:\n\n`;
+  for (const anomaly of quarantine.anomalies) {
+    message += `⚠️ ${escapeHtml(anomaly.message)}\n`;
+  }
+  const acceptValue = quarantine.runId ? `"${quarantine.runId}"` : 'true';
+  message += `\nIst das Ergebnis korrekt, den Lauf mit denselben Filtern und <code>"acceptQuarantine": ${escapeHtml(acceptValue)}</code> im Event übernehmen.`;
+  
+  try {
+    return await sendTelegramMessage(message, 'HTML', true, TELEGRAM_ADMIN_CHAT_ID || TELEGRAM_CHAT_ID);
+  } catch (error) {
+    console.error(`Fehler beim Senden des Quarantäne-Alarms: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Optimierte Single-File-Funktion für Speicherung und Vergleich
+ * Vergleicht mit dem Zustand aus loadState und speichert den neuen Zustand über saveState
+ * Der Zustand wird nur geschrieben, wenn er seit dem Laden unverändert ist (Version aus loadState).
+ * Hat ein gleichzeitiger Lauf ihn inzwischen geschrieben, wird neu geladen und erneut verglichen,
+ * damit dessen Anzeigen weder doppelt gemeldet noch überschrieben werden (höchstens STATE_WRITE_MAX_ATTEMPTS Versuche)
+ * Findet detectRunAnomalies einen verdächtigen Lauf, wird er unter quarantine.json zurückgehalten und nichts gespeichert
+ * 
+ * @param {Array} listings - Aktuelle Anzeigen aus scrapeListings
+ * @param {string} [filterKey=''] - Schlüssel des Suchfilters
+ * @param {Object} [availabilityById={}] - Prüfergebnisse fehlender Anzeigen (siehe checkListingAvailability)
+ * @param {string} [runId=''] - ID des Laufs für den Snapshot unter runs/<runId>.json (leer = kein Snapshot)
+ * @param {Object} [loadedState=null] - Ergebnis von loadState, wie beim ID-Scan verwendet (ohne Angabe wird der Zustand hier geladen)
+ * @throws {Error} - Wenn der Zustand nicht gespeichert werden konnte (auch nach STATE_WRITE_MAX_ATTEMPTS Konflikten)
+ */
+async function saveAndCompareResults(listings, filterKey = '', availabilityById = {}, runId = '', loadedState = null) {
+  try {
+    console.log('Starte optimierten Single-File-Vergleich...');
+    const startTime = Date.now();
+    
+    // Stelle sicher, dass jede Anzeige eine eindeutige Ad-ID hat und normalisiere sie
+    const processedListings = listings.map(listing => {
+      // Extrahiere die Ad-ID aus der URL, falls noch nicht vorhanden
+      if (!listing.id) {
+        const adId = extractAdId(listing.url);
+        if (adId) {
+          listing.id = normalizeListingId(adId);
+        }
+      } else {
+        // Normalisieren: dasselbe Format wie die IDs im geladenen Zustand
+        listing.id = normalizeListingId(listing.id);
+      }
+      return listing;
+    });
+    
+    // Die aktuellen IDs als Set für schnellen Vergleich
+    const currentIds = new Set(processedListings.map(listing => listing.id));
+    
+    // Debug: Zeige einige aktuelle IDs
+    const sampleCurrentIds = [...currentIds].slice(0, 5);
+    console.log(`Verarbeite ${processedListings.length} Anzeigen mit ${currentIds.size} eindeutigen IDs`);
+    console.log(`Beispiel-IDs aus aktuellen Ergebnissen: ${sampleCurrentIds.join(', ')}`);
+    
+    // Vorherigen Zustand aus dem Zustandsspeicher verwenden (derselbe Stand wie beim ID-Scan)
+    let stateToCompare = loadedState || await loadState(filterKey);
+    let comparison;
+    let quarantine = null;
+    
+    for (let attempt = 1; ; attempt++) {
+      const timestamp = new Date().toISOString();
+      comparison = compareWithState(processedListings, stateToCompare, availabilityById, runId, timestamp);
+      const { currentState, changes } = comparison;
+      
+      // Verdächtige Läufe (z.B. 0 Anzeigen nach einer Markup-Änderung) nicht übernehmen, bis der Admin sie bestätigt
+      const anomalies = detectRunAnomalies(processedListings, stateToCompare);
+      if (anomalies.length > 0 && ANOMALY_GUARD_ENABLED) {
+        const { newListings, removedListings, possiblyRemovedListings, repostedListings, priceChangedListings, clusters } = comparison;
+        quarantine = { runId: runId || null, anomalies, key: buildQuarantineKey(filterKey) };
+        await storage.put(quarantine.key, JSON.stringify({
+          ...quarantine,
+          createdAt: timestamp,
+          stateVersion: stateToCompare.version,
+          state: currentState,
+          changes,
+          results: { currentListings: processedListings, newListings, removedListings, possiblyRemovedListings, repostedListings, priceChangedListings, clusters, isFirstRun: stateToCompare.isFirstRun }
+        }), { contentType: 'application/json' });
+        break;
+      }
+      anomalies.forEach(anomaly => console.warn(`⚠️ WARNUNG: ${anomaly.message} (Anomalie-Schutz deaktiviert)`));
+      
+      // Zuerst den Snapshot des Laufs schreiben, state.json verweist danach auf den neuesten Snapshot
+      const snapshot = runId ? await saveRunSnapshot(filterKey, runId, { ...currentState, changes }) : { snapshotKey: null, created: false };
+      currentState.snapshotKey = snapshot.snapshotKey;
+      
+      try {
+        await saveState(filterKey, currentState, changes, stateToCompare.version);
+        break;
+      } catch (error) {
+        if (error.code !== 'PreconditionFailed' || attempt >= STATE_WRITE_MAX_ATTEMPTS) throw error;
+        console.warn(`⚠️ Zustand wurde seit dem Laden von einem anderen Lauf geändert (Versuch ${attempt}/${STATE_WRITE_MAX_ATTEMPTS}). Lade neu und vergleiche erneut.`);
+        // Der Snapshot dieses Versuchs wurde nie gültig, der erneute Vergleich legt ihn neu an
+        // Ein bereits vorhandener Snapshot gehört einem anderen Aufruf und bleibt bestehen
+        if (snapshot.created) {
+          await storage.delete([snapshot.snapshotKey]);
+        }
+        stateToCompare = await loadState(filterKey);
+      }
+    }
+    
+    if (quarantine) {
+      console.warn(`🚧 Lauf zurückgehalten unter ${quarantine.key}, Zustand bleibt unverändert: ${quarantine.anomalies.map(anomaly => anomaly.message).join('; ')}`);
+      return {
+        currentListings: processedListings,
+        newListings: [],
+        removedListings: [],
+        possiblyRemovedListings: [],
+        repostedListings: [],
+        priceChangedListings: [],
+        clusters: [],
+        isFirstRun: stateToCompare.isFirstRun,
+        quarantine
+      };
+    }
+    
+    const { currentState, newListings, removedListings, possiblyRemovedListings, repostedListings, priceChangedListings, clusters } = comparison;
+    
+    // Ein älterer zurückgehaltener Lauf ist durch diesen Zustand überholt und könnte nicht mehr übernommen werden
+    await discardQuarantinedRun(filterKey);
+    
+    // Alte Snapshots nach der Aufbewahrungsregel (stündlich, täglich, wöchentlich) löschen
+    if (currentState.snapshotKey) {
+      await pruneRunSnapshots(filterKey, currentState.timestamp);
+    }
+    
+    const elapsedTime = Date.now() - startTime;
+    console.log(`Speicher- und Vergleichsvorgang abgeschlossen in ${elapsedTime}ms.`);
+    console.log(`Zusammenfassung: ${newListings.length} neue, ${removedListings.length} entfernte, ${possiblyRemovedListings.length} möglicherweise entfernte Anzeigen.`);
+    
+    console.log(`Vergleichsergebnis: ${newListings.length} neue, ${removedListings.length} entfernte Anzeigen`);
+    
+    return {
+      currentListings: processedListings,
+      newListings,
+      removedListings,
+      possiblyRemovedListings,
+      repostedListings,
+      priceChangedListings,
+      clusters,
+      isFirstRun: stateToCompare.isFirstRun
+    };
+  } catch (error) {
+    // Nicht gespeicherte Ergebnisse dürfen nicht als "keine Änderungen" gemeldet werden: Fehlerpfad des Handlers
+    console.error(`Fehler beim Speichern/Vergleichen der Ergebnisse: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * S3-Schlüssel des Snapshots eines Laufs, z.B. results/price_max_1500/runs/run-20261019080000.json
+ */
+function buildSnapshotKey(filterKey, runId) {
+  return `${RESULTS_PREFIX}${filterKey ? filterKey+'/' : ''}runs/${runId}.json`;
+}
+
+/**
+ * Erzeugt eine eindeutige Run-ID (run-YYYYMMDDHHMMSS-<suffix>, UTC)
+ * Der Suffix aus der Lambda-Request-ID oder zufällig trennt Läufe, die in derselben Sekunde starten,
+ * damit sich ihre Snapshots nicht denselben Schlüssel teilen
+ * 
+ * @param {Date} [now] - Startzeit des Laufs
+ * @param {string} [requestId] - z.B. context.awsRequestId
+ * @returns {string} - Run-ID
+ */
+function buildRunId(now = new Date(), requestId = '') {
+  const suffix = String(requestId || '').toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 8) || crypto.randomBytes(4).toString('hex');
+  return `run-${now.toISOString().replace(/[^0-9]/g, '').substring(0, 14)}-${suffix}`;
+}
+
+/**
+ * Liest den Zeitpunkt aus einer Run-ID (run-YYYYMMDDHHMMSS[-suffix], UTC)
+ * 
+ * @returns {number|null} - Zeitstempel in Millisekunden oder null bei unbekanntem Format
+ */
+function parseRunIdTime(runId) {
+  const match = String(runId || '').match(/run-(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * Wählt die Snapshots aus, die nach der Aufbewahrungsregel gelöscht werden
+ * Innerhalb jeder Stufe bleibt der neueste Snapshot pro Stunde, Tag bzw. Woche erhalten,
+ * der neueste Snapshot insgesamt wird nie gelöscht
+ * 
+ * @param {Array} snapshots - [{ key, createdAt }] (createdAt als ISO-String oder Millisekunden)
+ * @param {Object} [options] - { now, hourlyHours, dailyDays, weeklyWeeks }
+ * @returns {Array} - Zu löschende Schlüssel
+ */
+function selectSnapshotsToDelete(snapshots = [], {
+  now = new Date().toISOString(),
+  hourlyHours = SNAPSHOT_KEEP_HOURLY_HOURS,
+  dailyDays = SNAPSHOT_KEEP_DAILY_DAYS,
+  weeklyWeeks = SNAPSHOT_KEEP_WEEKLY_WEEKS
+} = {}) {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  const nowTime = Date.parse(now);
+  
+  // Stunde, Tag oder Woche (ab Montag, UTC), in die ein Snapshot fällt
+  const bucketOf = (time) => {
+    const age = nowTime - time;
+    if (age <= hourlyHours * HOUR) return `hour-${Math.floor(time / HOUR)}`;
+    if (age <= (hourlyHours * HOUR) + dailyDays * DAY) return `day-${Math.floor(time / DAY)}`;
+    if (age <= (hourlyHours * HOUR) + dailyDays * DAY + weeklyWeeks * 7 * DAY) return `week-${Math.floor((time / DAY + 3) / 7)}`;
+    return null;
+  };
+  
+  const sorted = snapshots
+    .map(snapshot => ({ key: snapshot.key, time: new Date(snapshot.createdAt).getTime() }))
+    .filter(snapshot => !Number.isNaN(snapshot.time))
+    .sort((a, b) => b.time - a.time);
+  
+  const keptBuckets = new Set();
+  const toDelete = [];
+  sorted.forEach((snapshot, index) => {
+    const bucket = bucketOf(snapshot.time);
+    if (index === 0 || (bucket && !keptBuckets.has(bucket))) {
+      keptBuckets.add(bucket);
+    } else {
+      toDelete.push(snapshot.key);
+    }
+  });
+  return toDelete;
+}
+
+/**
+ * Schreibt den Snapshot eines Laufs unter runs/<runId>.json
+ * Jeder Lauf erhält einen eigenen Schlüssel, bestehende Snapshots werden nie überschrieben (nur anlegen)
+ * Nur ein von diesem Aufruf angelegter Snapshot (created) darf bei einem Konflikt wieder gelöscht werden
+ * 
+ * @returns {Promise<Object>} - { snapshotKey, created }, snapshotKey null bei einem Fehler
+ */
+async function saveRunSnapshot(filterKey, runId, snapshot) {
+  const snapshotKey = buildSnapshotKey(filterKey, runId);
+  
+  try {
+    console.log(`Speichere Snapshot des Laufs in: ${snapshotKey}`);
+    await storage.conditionalPut(snapshotKey, JSON.stringify(snapshot), null, { contentType: 'application/json' });
+    return { snapshotKey, created: true };
+  } catch (error) {
+    if (error.code === 'PreconditionFailed') {
+      // Z.B. erneuter Aufruf desselben Laufs: der zuerst geschriebene Snapshot bleibt gültig
+      console.log(`Snapshot ${snapshotKey} ist bereits vorhanden und wird nicht überschrieben`);
+      return { snapshotKey, created: false };
+    }
+    console.error(`Fehler beim Speichern des Snapshots ${snapshotKey}: ${error.message}`);
+    return { snapshotKey: null, created: false };
+  }
+}
+
+/**
+ * Löscht Snapshots, die nach SNAPSHOT_KEEP_HOURLY_HOURS, SNAPSHOT_KEEP_DAILY_DAYS und SNAPSHOT_KEEP_WEEKLY_WEEKS nicht mehr benötigt werden
+ * Fehler beim Aufräumen dürfen den Lauf nicht abbrechen
+ * 
+ * @returns {Promise<number>} - Anzahl gelöschter Snapshots
+ */
+async function pruneRunSnapshots(filterKey = '', now = new Date().toISOString()) {
+  const prefix = `${RESULTS_PREFIX}${filterKey ? filterKey+'/' : ''}runs/`;
+  
+  try {
+    const snapshots = (await storage.list(prefix)).map(object => {
+      const runId = object.key.substring(prefix.length).replace(/\.json$/, '');
+      return { key: object.key, createdAt: parseRunIdTime(runId) ?? object.lastModified };
+    });
+    
+    const keysToDelete = selectSnapshotsToDelete(snapshots, { now });
+    if (keysToDelete.length === 0) return 0;
+    
+    await storage.delete(keysToDelete);
+    
+    console.log(`${keysToDelete.length} alte Snapshots gelöscht (${snapshots.length - keysToDelete.length} behalten)`);
+    return keysToDelete.length;
+  } catch (error) {
+    console.error(`Fehler beim Aufräumen der Snapshots: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Selektoren, die für die einzelnen Felder einer Anzeige zuständig sind
+ * Werden im Health-Alarm genannt, wenn die Füllrate eines Feldes einbricht
+ */
+const HEALTH_FIELD_SELECTORS = {
+  title: [CSS_SELECTORS.title],
+  price: CSS_SELECTORS.price,
+  location: CSS_SELECTORS.location,
+  description: CSS_SELECTORS.description,
+  images: CSS_SELECTORS.images,
+  characteristics: [CSS_SELECTORS.characteristics],
+  coordinates: [CSS_SELECTORS.map],
+  details: [...Object.values(CSS_SELECTORS.details).flat(), CSS_SELECTORS.detailItems]
+};
+
+/**
+ * Berechnet, wie viele der neu gescrapten Anzeigen die einzelnen Felder gefüllt haben
+ * Anzeigen, deren Seite nicht geladen werden konnte, zählen nicht mit
+ * 
+ * @param {Array} listings - Neu gescrapte Anzeigen (Ergebnis von parseListingPage)
+ * @returns {Object} - { sampleSize, fillRates: { feld: 0-1 }, mainSources: { feld: quelle } }
+ */
+function computeFieldFillRates(listings = []) {
+  const samples = listings.filter(listing => listing && !listing.error);
+  const fillRates = {};
+  const mainSources = {};
+  
+  for (const field of Object.keys(HEALTH_FIELD_SELECTORS)) {
+    const filled = samples.filter(listing => isFieldFilled(listing[field]));
+    fillRates[field] = samples.length > 0 ? Math.round((filled.length / samples.length) * 100) / 100 : null;
+    
+    // Häufigste Extraktionsquelle merken, um im Alarm die zuvor funktionierende Strategie zu nennen
+    const sourceCounts = {};
+    filled.forEach(listing => {
+      const source = listing.fieldSources?.[field];
+      if (source) sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+    });
+    const [mainSource] = Object.entries(sourceCounts).sort((a, b) => b[1] - a[1])[0] || [null];
+    mainSources[field] = mainSource;
+  }
+  
+  return { sampleSize: samples.length, fillRates, mainSources };
+}
+
+/**
+ * Vergleicht den aktuellen Lauf mit der Ergebniszahl der Website und mit früheren Läufen
+ * 
+ * @param {Array} scanStats - Ergebnis des ID-Scans pro Suche (aus scrapeListings)
+ * @param {Object} fieldStats - Ergebnis von computeFieldFillRates
+ * @param {Array} history - Frühere Einträge aus health.json (ältester zuerst)
+ * @returns {Array} - Gefundene Probleme mit { type, message, selectors }
  */
-function extractAdId(url) {
-  if (!url) return null;
+function evaluateScraperHealth(scanStats = [], fieldStats = {}, history = []) {
+  const issues = [];
   
-  // Verschiedene Regex-Muster für mögliche URL-Formate
-  const patterns = [
-    /\/adv\/(\d+)_/,  // Standard-Format: /adv/12345_title
-    /\/(\d+)\/?$/,    // Alternative: /12345/
-    /id=(\d+)/        // Query-Parameter: ?id=12345
-  ];
+  // 1. Gefundene Links mit der Ergebniszahl der Suchseite vergleichen
+  for (const scan of scanStats) {
+    if (scan.error) {
+      issues.push({
+        type: 'search-failed',
+        search: scan.label,
+        message: `Suche ${scan.label}: Ergebnisseite konnte nicht geladen werden (${scan.error})`,
+        selectors: []
+      });
+      continue;
+    }
+    
+    if (scan.expectedTotal === null || scan.expectedTotal === undefined) {
+      issues.push({
+        type: 'result-count-missing',
+        search: scan.label,
+        message: `Suche ${scan.label}: Ergebniszahl der Website nicht gefunden (${scan.found} Links gefunden)`,
+        selectors: [CSS_SELECTORS.resultCount]
+      });
+    } else if (scan.expectedTotal > 0 && scan.found === 0) {
+      issues.push({
+        type: 'no-links',
+        search: scan.label,
+        message: `Suche ${scan.label}: 0 Anzeigenlinks gefunden, laut Website ${scan.expectedTotal} Anzeigen`,
+        selectors: [CSS_SELECTORS.listingLinks]
+      });
+    } else if (!scan.reachedPageLimit && scan.found < scan.expectedTotal * HEALTH_MIN_LINK_RATIO) {
+      issues.push({
+        type: 'too-few-links',
+        search: scan.label,
+        message: `Suche ${scan.label}: nur ${scan.found} von ${scan.expectedTotal} Anzeigen gefunden (${scan.pagesCrawled} Seiten)`,
+        selectors: [CSS_SELECTORS.listingLinks, CSS_SELECTORS.nextPage, CSS_SELECTORS.pageNumbers]
+      });
+    }
+  }
   
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && match[1]) {
-      return String(match[1]).trim(); // Immer als String mit Trimming zurückgeben
+  // 2. Füllraten mit dem letzten aussagekräftigen Lauf vergleichen
+  const baseline = [...history].reverse().find(entry => entry.sampleSize >= HEALTH_MIN_SAMPLES);
+  if (baseline && fieldStats.sampleSize >= HEALTH_MIN_SAMPLES) {
+    for (const [field, rate] of Object.entries(fieldStats.fillRates)) {
+      const previousRate = baseline.fillRates?.[field];
+      if (typeof previousRate !== 'number' || previousRate - rate < HEALTH_FILL_RATE_DROP) continue;
+      
+      const previousSource = baseline.mainSources?.[field];
+      issues.push({
+        type: 'fill-rate-drop',
+        field,
+        message: `Feld ${field}: Füllrate ${Math.round(previousRate * 100)}% → ${Math.round(rate * 100)}%` +
+          (previousSource ? ` (zuvor meist aus ${previousSource})` : ''),
+        selectors: HEALTH_FIELD_SELECTORS[field]
+      });
     }
   }
   
-  return null;
-}
-
-/**
- * Erzeugt einen reduzierten Listing-Datensatz für den Zustandsspeicher
- * Speichert nur die wichtigsten Felder, um Speicherkosten zu minimieren
- */
-function createCompactListing(listing) {
-  return {
-    id: String(listing.id || '').trim(),
-    title: listing.title,
-    url: listing.url,
-    price: listing.price,
-    location: listing.location,
-    details: listing.details,
-    propertyType: listing.propertyType,
-    scrapedAt: listing.scrapedAt || new Date().toISOString()
-  };
+  return issues;
 }
 
 /**
- * Optimierte Single-File-Funktion für Speicherung und Vergleich
- * Verwendet nur eine einzige state.json-Datei für maximale Kosteneffizienz
+ * Führt den Health-Check für einen Lauf aus und speichert die Füllraten in health.json
+ * Fehler im Health-Check dürfen den eigentlichen Lauf nie abbrechen
+ * 
+ * @param {Array} scanStats - Ergebnis des ID-Scans pro Suche (aus scrapeListings)
+ * @param {Array} newListings - In diesem Lauf neu gescrapte Anzeigen
+ * @param {string} filterKey - Filter-Schlüssel für den S3-Pfad
+ * @param {string} runId - ID des aktuellen Laufs
+ * @returns {Object} - { issues, sampleSize, fillRates, mainSources }
  */
-async function saveAndCompareResults(listings, filterKey = '') {
+async function checkScraperHealth(scanStats, newListings, filterKey = '', runId = '') {
+  const healthKey = `${RESULTS_PREFIX}${filterKey ? filterKey+'/' : ''}health.json`;
+  
   try {
-    console.log('Starte optimierten Single-File-Vergleich...');
-    const startTime = Date.now();
-    
-    // Single-File-Ansatz: Verwende nur eine einzige status.json-Datei
-    const stateKey = `${RESULTS_PREFIX}${filterKey ? filterKey+'/' : ''}state.json`;
-    
-    // Stelle sicher, dass jede Anzeige eine eindeutige Ad-ID hat und normalisiere sie
-    const processedListings = listings.map(listing => {
-      // Extrahiere die Ad-ID aus der URL, falls noch nicht vorhanden
-      if (!listing.id) {
-        const adId = extractAdId(listing.url);
-        if (adId) {
-          listing.id = adId;
-        }
-      } else {
-        // Normalisieren: Stelle sicher, dass die ID ein String ist
-        listing.id = String(listing.id).trim();
-      }
-      return listing;
-    });
-    
-    // Die aktuellen IDs als Set für schnellen Vergleich
-    const currentIds = new Set(processedListings.map(listing => String(listing.id).trim()));
-    
-    // Debug: Zeige einige aktuelle IDs
-    const sampleCurrentIds = [...currentIds].slice(0, 5);
-    console.log(`Verarbeite ${processedListings.length} Anzeigen mit ${currentIds.size} eindeutigen IDs`);
-    console.log(`Beispiel-IDs aus aktuellen Ergebnissen: ${sampleCurrentIds.join(', ')}`);
-    
-    // Vorherigen Zustand laden - verwende kompaktes Format für Kosteneffizienz
-    let previousState = { timestamp: '', listings: [] };
-    let isFirstRun = false;
-    
+    // Verlauf der bisherigen Läufe laden
+    let history = [];
     try {
-      console.log(`Lade vorherigen Zustand aus: ${stateKey}`);
-      const response = await s3.getObject({
-        Bucket: S3_BUCKET_NAME,
-        Key: stateKey
-      }).promise();
-      
-      if (response && response.Body) {
-        try {
-          const parsedState = JSON.parse(response.Body.toString());
-          if (parsedState && Array.isArray(parsedState.listings)) {
-            previousState = parsedState;
-            console.log(`Vorheriger Zustand geladen: ${parsedState.timestamp}`);
-            console.log(`Vorherige Anzeigen: ${parsedState.listings.length}`);
-            
-            // Debug: Zeige einige vorherige IDs
-            const previousIds = new Set(parsedState.listings.map(l => String(l.id).trim()));
-            const samplePrevIds = [...previousIds].slice(0, 5);
-            console.log(`Beispiel-IDs aus vorherigem Zustand: ${samplePrevIds.join(', ')}`);
-          } else {
-            console.warn(`Ungültiger Zustand in ${stateKey}. Format nicht korrekt.`);
-          }
-        } catch (parseError) {
-          console.error(`Fehler beim Parsen des vorherigen Zustands: ${parseError.message}`);
-        }
+      const object = await storage.get(healthKey);
+      const parsedHealth = object ? JSON.parse(object.body.toString()) : {};
+      if (Array.isArray(parsedHealth.runs)) {
+        history = parsedHealth.runs;
       }
     } catch (error) {
-      if (error.code === 'NoSuchKey') {
-        console.log(`Keine vorherige Zustandsdatei gefunden. Dies ist der erste Lauf.`);
-        isFirstRun = true;
-      } else {
-        console.error(`Fehler beim Laden des vorherigen Zustands: ${error.message}`);
-      }
+      console.error(`Fehler beim Laden des Health-Verlaufs: ${error.message}`);
     }
     
-    // IDs aus vorherigem Zustand für Vergleich vorbereiten - mit zusätzlicher Normalisierung
-    const previousIds = new Set();
-    previousState.listings.forEach(listing => {
-      if (listing.id) {
-        // Stelle sicher, dass die ID ein normalisierter String ohne führende Nullen ist
-        const normalizedId = String(parseInt(String(listing.id).trim(), 10));
-        previousIds.add(normalizedId);
-      }
-    });
-    
-    // Normalisiere auch die aktuellen IDs für einen konsistenten Vergleich
-    const normalizedCurrentIds = new Set();
-    const normalizedIdMap = {}; // Mapping zwischen normalisierten IDs und Original-Listings
+    const fieldStats = computeFieldFillRates(newListings);
+    const issues = evaluateScraperHealth(scanStats, fieldStats, history);
     
-    processedListings.forEach(listing => {
-      if (listing.id) {
-        const normalizedId = String(parseInt(String(listing.id).trim(), 10));
-        normalizedCurrentIds.add(normalizedId);
-        normalizedIdMap[normalizedId] = listing;
-      }
+    // Aktuellen Lauf anhängen und Verlauf begrenzen
+    history.push({
+      runId,
+      timestamp: new Date().toISOString(),
+      scans: scanStats,
+      ...fieldStats,
+      issues: issues.map(issue => issue.type)
     });
     
-    console.log(`Vergleich: ${normalizedCurrentIds.size} aktuelle vs ${previousIds.size} vorherige IDs.`);
+    await storage.put(healthKey, JSON.stringify({ runs: history.slice(-HEALTH_HISTORY_LENGTH) }), { contentType: 'application/json' });
     
-    // Vergleiche aktuelle mit vorherigen IDs
-    let newIds = [];
-    const forceNotification = process.env.FORCE_NOTIFICATION === 'true';
-    
-    if (isFirstRun) {
-      if (forceNotification) {
-        console.log('Erster Lauf mit erzwungener Benachrichtigung: Alle Anzeigen werden als neu gemeldet.');
-        // Alle aktuellen Anzeigen als neu betrachten
-        newIds = [...normalizedCurrentIds];
-      } else {
-        console.log('Erster Lauf: Keine neuen Anzeigen werden gemeldet.');
-        newIds = [];
-      }
-    } else if (previousIds.size === 0) {
-      if (forceNotification) {
-        console.log('Keine vorherigen Anzeigen gefunden, aber Benachrichtigung erzwungen.');
-        newIds = [...normalizedCurrentIds];
-      } else {
-        console.log('Keine vorherigen Anzeigen gefunden. Behandle als ersten Lauf.');
-        newIds = [];
-      }
+    if (issues.length > 0) {
+      console.warn(`Health-Check: ${issues.length} Probleme gefunden`);
+      issues.forEach(issue => console.warn(`- ${issue.message}`));
     } else {
-      // Normale Vergleichslogik: Neue IDs sind die, die nicht im vorherigen Zustand waren
-      newIds = [...normalizedCurrentIds].filter(id => !previousIds.has(id));
-      console.log(`Ergebnis: ${newIds.length} neue Anzeigen gefunden.`);
-      
-      // Warnung bei verdächtig vielen neuen Anzeigen
-      if (newIds.length > 50 && newIds.length > (normalizedCurrentIds.size * 0.25)) {
-        console.warn(`⚠️ WARNUNG: Ungewöhnlich viele neue Anzeigen (${newIds.length}/${normalizedCurrentIds.size})!`);
-        console.warn('Es könnte ein Problem mit dem ID-Vergleich oder dem Laden des vorherigen Zustands vorliegen.');
-      }
+      console.log(`Health-Check ohne Auffälligkeiten (${fieldStats.sampleSize} neue Anzeigen ausgewertet)`);
     }
     
-    // Entfernte Anzeigen identifizieren - mit normalisierten IDs
-    const removedIds = [...previousIds].filter(id => !normalizedCurrentIds.has(id));
-    console.log(`${removedIds.length} entfernte Anzeigen identifiziert.`);
-    
-    // Detaillierte Listen für neue und entfernte Anzeigen erstellen
-    const newListings = [];
-    newIds.forEach(id => {
-      if (normalizedIdMap[id]) {
-        newListings.push(normalizedIdMap[id]);
-      }
-    });
-    
-    const removedListings = previousState.listings.filter(listing => {
-      if (!listing.id) return false;
-      const normalizedId = String(parseInt(String(listing.id).trim(), 10));
-      return removedIds.includes(normalizedId);
-    });
-    
-    // Aktuellen Zustand in kompaktem Format speichern
-    const compactListings = processedListings.map(createCompactListing);
-    const currentState = {
-      timestamp: new Date().toISOString(),
-      listings: compactListings
-    };
-    
-    console.log(`Speichere neuen Zustand in: ${stateKey}`);
-    await s3.putObject({
-      Bucket: S3_BUCKET_NAME,
-      Key: stateKey,
-      Body: JSON.stringify(currentState),
-      ContentType: 'application/json'
-    }).promise();
-    
-    const elapsedTime = Date.now() - startTime;
-    console.log(`Speicher- und Vergleichsvorgang abgeschlossen in ${elapsedTime}ms.`);
-    console.log(`Zusammenfassung: ${newListings.length} neue, ${removedListings.length} entfernte Anzeigen.`);
-    
-    console.log(`Vergleichsergebnis: ${newListings.length} neue, ${removedListings.length} entfernte Anzeigen`);
-    
-    return {
-      currentListings: processedListings,
-      newListings,
-      removedListings,
-      isFirstRun
-    };
+    return { issues, ...fieldStats };
   } catch (error) {
-    console.error(`Fehler beim Speichern/Vergleichen der Ergebnisse: ${error.message}`);
-    // Minimal-Ergebnis zurückgeben, falls etwas schief geht
-    return {
-      currentListings: processedListings || listings,
-      newListings: [],
-      removedListings: [],
-      isFirstRun: false
-    };
+    console.error(`Fehler beim Health-Check: ${error.message}`);
+    return { issues: [], sampleSize: 0, fillRates: {}, mainSources: {} };
+  }
+}
+
+/**
+ * Sendet einen separaten Admin-Alarm mit den betroffenen Selektoren
+ * 
+ * @param {Array} issues - Ergebnis von evaluateScraperHealth
+ * @param {string} runId - ID des aktuellen Laufs
+ * @param {string} filterKey - Filter-Schlüssel des Laufs
+ * @returns {boolean} - true, wenn der Alarm gesendet wurde
+ */
+async function sendScraperHealthAlert(issues, runId = '', filterKey = '') {
+  if (!issues || issues.length === 0) return false;
+  
+  if (process.env.SKIP_TELEGRAM === 'true') {
+    console.log('Health-Alarm wird übersprungen (SKIP_TELEGRAM=true)');
+    return false;
+  }
+  
+  const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  
+  let message = `🩺 <b>Scraper-Health-Alarm</b>\n`;
+  message += `Filter: ${escapeHtml(filterKey || 'standard')}${runId ? ` | ${escapeHtml(runId)}` : ''}\n\n`;
+  message += `Vermutlich hat Bazaraki das Markup geändert:\n\n`;
+  
+  for (const issue of issues) {
+    message += `⚠️ ${escapeHtml(issue.message)}\n`;
+    if (issue.selectors.length > 0) {
+      message += `Selektoren: ${issue.selectors.map(selector => `<code>${escapeHtml(selector)}</code>`).join(', ')}\n`;
+    }
+    message += `\n`;
+  }
+  
+  try {
+    return await sendTelegramMessage(message, 'HTML', true, TELEGRAM_ADMIN_CHAT_ID || TELEGRAM_CHAT_ID);
+  } catch (error) {
+    console.error(`Fehler beim Senden des Health-Alarms: ${error.message}`);
+    return false;
   }
 }
 
@@ -1705,9 +4081,10 @@ function generateTelegramMessage(changes, runId = '') {
         const location = listing.location || 'Ort unbekannt';
         
         const details = [];
-        if (listing.details?.bedrooms) details.push(`${listing.details.bedrooms} BR`);
-        if (listing.details?.bathrooms) details.push(`${listing.details.bathrooms} BA`);
-        if (listing.details?.area) details.push(`${listing.details.area} m²`);
+        const characteristics = listing.characteristics || {};
+        if (characteristics.bedrooms !== null && characteristics.bedrooms !== undefined) details.push(`${characteristics.bedrooms} BR`);
+        if (characteristics.bathrooms) details.push(`${characteristics.bathrooms} BA`);
+        if (characteristics.areaSqm) details.push(`${characteristics.areaSqm} m²`);
         const detailsStr = details.length > 0 ? ` - ${details.join(', ')}` : '';
         
         message += `${i + 1}. [${title}](${url}) - ${price}${detailsStr}\n`;
@@ -1753,6 +4130,145 @@ function generateTelegramMessage(changes, runId = '') {
   }
 }
 
+/**
+ * Formatiert den Preis einer Anzeige für Telegram
+ * Kaufpreise werden als Gesamtpreis gekennzeichnet, Mietpreise mit ihrer Periode
+ * 
+ * @param {Object} listing - Anzeige mit price-Objekt und optional dealType
+ * @returns {string} - Formatierter Preis oder leerer String
+ */
+function formatListingPrice(listing) {
+  const priceText = listing.price?.text;
+  if (!priceText) return '';
+  
+  // Ohne Betrag (z.B. "Preis auf Anfrage") keinen Zusatz anhängen
+  if (!/\d/.test(priceText)) return priceText;
+  
+  const isSale = listing.dealType === 'sale' || listing.price.period === 'total';
+  if (isSale) {
+    return `Kaufpreis: ${priceText}`;
+  }
+  
+  // Periode nur anhängen, wenn der Preistext keine eigene enthält
+  const { period, monthlyCents, currency } = listing.price;
+  const hasPeriodHint = /\/\s*m\b/i.test(priceText) || PRICE_PERIOD_PATTERNS.some(([, pattern]) => pattern.test(priceText));
+  const formatted = hasPeriodHint ? priceText : `${priceText} / ${PRICE_PERIOD_LABELS[period] || 'Monat'}`;
+  
+  // Wochen-, Tages- und Jahrespreise zusätzlich als Monatsbetrag zeigen
+  if (period && period !== 'month' && typeof monthlyCents === 'number') {
+    return `${formatted} (≈ ${currency || '€'}${Math.round(monthlyCents / 100).toLocaleString('de-DE')} / Monat)`;
+  }
+  return formatted;
+}
+
+/**
+ * Erzeugt die Telegram-Nachricht für eine Preissenkung
+ * 
+ * @param {Object} drop - Eintrag aus findPriceDrops
+ * @returns {string} - HTML-Nachricht
+ */
+function formatPriceDropMessage(drop) {
+  const { listing, oldAmountCents, newAmountCents, changePercent, daysOnline, budgetStatus } = drop;
+  const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const currency = listing.price?.currency || '€';
+  const formatAmount = (cents) => `${currency}${(cents / 100).toLocaleString('de-DE', { maximumFractionDigits: 2 })}`;
+  
+  let message = `📉 <b>Preis gesenkt</b>\n`;
+  message += `<b>${escapeHtml((listing.title || 'Keine Beschreibung').substring(0, 80))}</b>\n\n`;
+  
+  // Alter und neuer Preis mit prozentualer Änderung
+  message += `💰 <s>${escapeHtml(listing.priceChanged?.oldText || formatAmount(oldAmountCents))}</s> → <b>${escapeHtml(formatListingPrice(listing) || formatAmount(newAmountCents))}</b>\n`;
+  message += `📊 ${changePercent.toLocaleString('de-DE')}% (−${formatAmount(oldAmountCents - newAmountCents)})\n`;
+  
+  if (daysOnline !== null && daysOnline !== undefined) {
+    message += `📅 Online seit ${daysOnline === 1 ? '1 Tag' : `${daysOnline} Tagen`}\n`;
+  }
+  
+  if (listing.location && listing.location !== 'Standort nicht angegeben') {
+    message += `📍 ${escapeHtml(listing.location)}\n`;
+  }
+  
+  // Anzeigen aus dem Beobachtungsspielraum über dem Budget kennzeichnen
+  if (budgetStatus === 'entered') {
+    message += `✅ Jetzt im Budget\n`;
+  } else if (budgetStatus === 'above') {
+    message += `👀 Weiterhin knapp über dem Budget\n`;
+  }
+  
+  if (listing.url) {
+    message += `\n🔗 <a href="${listing.url}">Zur Anzeige</a>`;
+  }
+  
+  return message;
+}
+
+/**
+ * Zeile für eine erneut eingestellte Anzeige, z.B.
+ * "2 bedroom apartment - €1.100 / Monat (erneut eingestellt, war ID 5012345, online seit 01.09.2026)"
+ */
+function formatRepostLine(listing) {
+  const { repostOf } = listing;
+  const since = repostOf.firstSeenAt
+    ? `, online seit ${new Date(repostOf.firstSeenAt).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' })}`
+    : '';
+  const origin = String(repostOf.id) === String(listing.id) ? 'reaktiviert' : `erneut eingestellt, war ID ${repostOf.id}`;
+  return `${formatListingLink(listing)} (${origin}${since})`;
+}
+
+/**
+ * Verlinkter Titel mit Preis, z.B. "<a href="...">2 bedroom apartment</a> - €1.100 / Monat"
+ */
+function formatListingLink(listing) {
+  const title = (listing.title || 'Keine Beschreibung').substring(0, 50);
+  const price = formatListingPrice(listing);
+  const link = listing.url ? `<a href="${listing.url}">${title}</a>` : title;
+  return `${link}${price ? ` - ${price}` : ''}`;
+}
+
+/**
+ * Formatiert eine Anzahl von Tagen ("1 Tag", "12 Tage")
+ */
+function formatDayCount(days) {
+  return days === 1 ? '1 Tag' : `${days} Tage`;
+}
+
+/**
+ * Berechnet aktuelle, neue und entfernte Anzeigen pro Stadt anhand der city-Markierung
+ * 
+ * @param {Object} changes - Ergebnis von saveAndCompareResults
+ * @returns {Object} - Statistik pro Stadt, leer wenn keine Anzeige einer Stadt zugeordnet ist
+ */
+function computeStatsByCity(changes) {
+  const statsByCity = {};
+  const count = (listings, field) => {
+    (listings || []).forEach(listing => {
+      if (!listing.city) return;
+      if (!statsByCity[listing.city]) statsByCity[listing.city] = { total: 0, new: 0, removed: 0 };
+      statsByCity[listing.city][field]++;
+    });
+  };
+  
+  count(changes.currentListings, 'total');
+  count(changes.newListings, 'new');
+  count(changes.removedListings, 'removed');
+  
+  return statsByCity;
+}
+
+/**
+ * Hält bei STATE_STORE=sqlite fest, welche Anzeigen in einer Nachricht gemeldet wurden (Tabelle notifications)
+ * Fehler beim Protokollieren dürfen die Benachrichtigung nicht abbrechen
+ */
+function recordNotifications(changes, runId, type, listings) {
+  try {
+    const sqlite = getSqliteStore();
+    if (!sqlite || listings.length === 0) return;
+    sqlite.recordNotifications(changes.filterKey || '', runId, type, listings.map(listing => listing.id), TELEGRAM_CHAT_ID);
+  } catch (error) {
+    console.error(`Fehler beim Protokollieren der Benachrichtigungen: ${error.message}`);
+  }
+}
+
 /**
  * Sendet eine Benachrichtigung über Telegram
  */
@@ -1770,11 +4286,26 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
     return false;
   }
   
-  const hasNewListings = changes.newListings?.length > 0;
-  const hasRemovedListings = changes.removedListings?.length > 0;
+  // Anzeigen über dem Budget stammen aus dem Beobachtungsspielraum und werden nicht als neu oder entfernt gemeldet
+  const newListings = (changes.newListings || []).filter(listing => !isAboveBudget(listing, changes.priceMax));
+  const watchedCount = (changes.newListings?.length || 0) - newListings.length;
+  const removedListings = (changes.removedListings || []).filter(listing => !isAboveBudget(listing, changes.priceMax));
+  const possiblyRemovedListings = (changes.possiblyRemovedListings || []).filter(listing => !isAboveBudget(listing, changes.priceMax));
+  const repostedListings = (changes.repostedListings || []).filter(listing => !isAboveBudget(listing, changes.priceMax));
+  const priceDrops = findPriceDrops(changes.priceChangedListings, { priceMax: changes.priceMax });
+  
+  // Neue Anzeigen desselben Objekts (gleiche Fotos bei mehreren Maklern) nur einmal melden
+  const { groups: propertyGroups, knownPropertyListings } = groupListingsByProperty(
+    newListings,
+    (changes.currentListings || []).filter(listing => !isAboveBudget(listing, changes.priceMax))
+  );
+  
+  const hasNewListings = newListings.length > 0;
+  const hasRemovedListings = removedListings.length > 0;
+  const hasPriceDrops = priceDrops.length > 0;
   const hasError = !!changes.error;
   const isFirstRun = changes.isFirstRun === true;
-  const hasChanges = hasNewListings || hasRemovedListings;
+  const hasChanges = hasNewListings || hasRemovedListings || hasPriceDrops || repostedListings.length > 0;
   
   if (isFirstRun && !force) {
     console.log('Erster Lauf: Alle Anzeigen wurden gespeichert, aber keine Benachrichtigung gesendet.');
@@ -1782,7 +4313,7 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
   }
   
   // Ab jetzt immer eine Nachricht senden, auch wenn keine Änderungen vorliegen
-  console.log(`Sende optimierte Telegram-Benachrichtigung: ${hasNewListings ? changes.newListings.length + ' neue, ' : ''}${hasRemovedListings ? changes.removedListings.length + ' entfernte Anzeigen' : ''}${!hasChanges ? 'Keine Änderungen' : ''}${hasError ? ', Fehler aufgetreten' : ''}`);
+  console.log(`Sende optimierte Telegram-Benachrichtigung: ${hasNewListings ? newListings.length + ' neue, ' : ''}${hasRemovedListings ? removedListings.length + ' entfernte Anzeigen, ' : ''}${hasPriceDrops ? priceDrops.length + ' Preissenkungen' : ''}${!hasChanges ? 'Keine Änderungen' : ''}${hasError ? ', Fehler aufgetreten' : ''}`);
   
   try {
     // Aktuelle Zeit für Datum-/Zeitstempel
@@ -1796,7 +4327,8 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
     });
     
     // Start der Zusammenfassungsnachricht mit Emoji für bessere Übersichtlichkeit
-    let summaryMessage = `<b>🏠 Bazaraki Immobilien-Update</b>\n`;
+    const dealLabel = DEAL_TYPES[changes.dealType]?.label;
+    let summaryMessage = `<b>🏠 Bazaraki Immobilien-Update${dealLabel ? ` (${dealLabel})` : ''}</b>\n`;
     summaryMessage += `<i>${dateStr} Uhr</i>\n\n`;
     
     // Optionale Run-ID für Debugging
@@ -1806,9 +4338,9 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
     
     // Zusammenfassung mit verbesserten Statistiken
     const total = changes.currentListings?.length || 0;
-    const newCount = changes.newListings?.length || 0;
-    const removedCount = changes.removedListings?.length || 0;
-    const unchangedCount = total - newCount;
+    const newCount = newListings.length;
+    const removedCount = removedListings.length;
+    const unchangedCount = total - newCount - watchedCount;
     const processingTimeMs = changes.processingTime || 0;
     
     // Haupt-Statistiken mit Emojis für bessere Erkennbarkeit
@@ -1819,14 +4351,47 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
       summaryMessage += `• <b>✨ ${newCount}</b> neue Anzeigen gefunden\n`;
     }
     
+    if (newCount > propertyGroups.length) {
+      summaryMessage += `• <b>🏘️ ${newCount - propertyGroups.length}</b> davon gehören zu Objekten, die bereits unter einer anderen Anzeige gemeldet werden\n`;
+    }
+    
     if (removedCount > 0) {
       summaryMessage += `• <b>🚫 ${removedCount}</b> Anzeigen entfernt\n`;
     }
     
+    if (possiblyRemovedListings.length > 0) {
+      summaryMessage += `• <b>❔ ${possiblyRemovedListings.length}</b> möglicherweise entfernt (noch nicht bestätigt)\n`;
+    }
+    
+    if (repostedListings.length > 0) {
+      summaryMessage += `• <b>♻️ ${repostedListings.length}</b> erneut eingestellte Anzeigen\n`;
+    }
+    
+    if (hasPriceDrops) {
+      summaryMessage += `• <b>📉 ${priceDrops.length}</b> Preissenkungen\n`;
+    }
+    
+    if (watchedCount > 0) {
+      summaryMessage += `• <b>👀 ${watchedCount}</b> neue Anzeigen knapp über dem Budget (nur Preissenkungen werden gemeldet)\n`;
+    }
+    
     if (unchangedCount > 0) {
       summaryMessage += `• <b>📋 ${unchangedCount}</b> unveränderte Anzeigen\n`;
     }
     
+    // Statistik pro Stadt (nur bei Suchen mit Städten), ohne die oben ausgeblendeten Anzeigen über dem Budget
+    const statsByCity = computeStatsByCity({ currentListings: changes.currentListings, newListings, removedListings });
+    if (Object.keys(statsByCity).length > 0) {
+      summaryMessage += `\n<b>🏙️ Pro Stadt:</b>\n`;
+      for (const [city, stats] of Object.entries(statsByCity)) {
+        const cityName = city.charAt(0).toUpperCase() + city.slice(1);
+        summaryMessage += `• <b>${cityName}:</b> ${stats.total} aktuell`;
+        if (stats.new > 0) summaryMessage += `, ✨ ${stats.new} neu`;
+        if (stats.removed > 0) summaryMessage += `, 🚫 ${stats.removed} entfernt`;
+        summaryMessage += `\n`;
+      }
+    }
+    
     // Optimierungs-Statistiken
     if (unchangedCount > 0 && !isFirstRun) {
       const timeSavedPerRequest = 1.5; // ~1,5 Sekunden pro Anfrage gespart (konservative Schätzung)
@@ -1863,6 +4428,39 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
     // Zusammenfassungsnachricht senden
     await sendTelegramMessage(summaryMessage);
     
+    // Preissenkungen als eigene Nachrichten, auch wenn die Detailnachrichten für neue Anzeigen übersprungen werden
+    if (hasPriceDrops) {
+      console.log(`Sende ${priceDrops.length} Nachrichten zu Preissenkungen...`);
+      for (const drop of priceDrops) {
+        await delay(1000);
+        if (await sendTelegramMessage(formatPriceDropMessage(drop))) {
+          recordNotifications(changes, runId, 'price_drop', [drop.listing]);
+        }
+      }
+    }
+    
+    // Erneut eingestellte Anzeigen kurz auflisten statt als neue Anzeigen zu senden
+    if (repostedListings.length > 0) {
+      let repostMessage = `<b>♻️ Erneut eingestellt (${repostedListings.length}):</b>\n`;
+      repostedListings.slice(0, 20).forEach((listing, i) => {
+        repostMessage += `${i + 1}. ${formatRepostLine(listing)}\n`;
+      });
+      if (await sendTelegramMessage(repostMessage, 'HTML', true)) {
+        recordNotifications(changes, runId, 'repost', repostedListings.slice(0, 20));
+      }
+    }
+    
+    // Neue Anzeigen bereits bekannter Objekte kurz auflisten statt erneut als neue Anzeige zu senden
+    if (knownPropertyListings.length > 0) {
+      let propertyMessage = `<b>🏘️ Weitere Anzeigen bekannter Objekte (${knownPropertyListings.length}):</b>\n`;
+      knownPropertyListings.slice(0, 20).forEach(({ listing, knownListings }, i) => {
+        propertyMessage += `${i + 1}. ${formatListingLink(listing)}\n   gleiche Fotos wie ${knownListings.map(formatListingLink).join(', ')}\n`;
+      });
+      if (await sendTelegramMessage(propertyMessage, 'HTML', true)) {
+        recordNotifications(changes, runId, 'known_property', knownPropertyListings.slice(0, 20).map(({ listing }) => listing));
+      }
+    }
+    
     // Bei der ersten Ausführung oder zu vielen neuen Anzeigen keine Detailnachrichten
     const forceNotification = process.env.FORCE_NOTIFICATION === 'true' || force;
     
@@ -1880,42 +4478,73 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
     }
     
     // Ankündigung für neue Anzeigen
-    if (hasNewListings) {
-      if (newCount > 1) {
-        await sendTelegramMessage(`<b>Es folgen ${newCount} neue Immobilienanzeigen:</b>`);
+    if (propertyGroups.length > 0) {
+      if (propertyGroups.length > 1) {
+        await sendTelegramMessage(`<b>Es folgen ${propertyGroups.length} neue Immobilienanzeigen:</b>`);
         await delay(1000); // Kurze Pause vor den Detailnachrichten
       }
       
-      console.log(`Sende ${newCount} Detailnachrichten für neue Anzeigen...`);
+      console.log(`Sende ${propertyGroups.length} Detailnachrichten für neue Anzeigen...`);
       
-      // Für jede neue Anzeige eine separate Nachricht senden
-      for (let i = 0; i < changes.newListings.length; i++) {
-        await sendSingleListingMessage(changes.newListings[i], i+1, changes.newListings.length);
+      // Für jedes neue Objekt eine separate Nachricht senden, weitere Anzeigen desselben Objekts darin auflisten
+      for (let i = 0; i < propertyGroups.length; i++) {
+        if (await sendSingleListingMessage(propertyGroups[i].listing, i+1, propertyGroups.length, propertyGroups[i].alsoListedAs)) {
+          recordNotifications(changes, runId, 'new', [propertyGroups[i].listing, ...propertyGroups[i].alsoListedAs]);
+        }
         
         // Adaptive Pause zwischen Nachrichten um Rate-Limits zu vermeiden
         // Je mehr Nachrichten bereits gesendet wurden, desto länger die Pause
-        if (i < changes.newListings.length - 1) {
+        if (i < propertyGroups.length - 1) {
           const pauseTime = i < 3 ? 1000 : (i < 8 ? 2000 : 3000);
           await delay(pauseTime);
         }
       }
     }
     
-    // Entfernte Anzeigen in einer Zusammenfassungsnachricht
+    // Entfernte Anzeigen in einer Zusammenfassungsnachricht, mit Tagen am Markt (wie schnell gute Wohnungen weg sind)
+    // Nicht mehr passende Anzeigen sind weiter online und zählen nicht zum Durchschnitt
+    const removedDays = removedListings
+      .filter(listing => listing.removalReason !== 'no-longer-matching')
+      .map(listing => listing.daysOnMarket)
+      .filter(days => typeof days === 'number');
+    const averageDaysOnMarket = removedDays.length > 0 ? Math.round(removedDays.reduce((sum, days) => sum + days, 0) / removedDays.length) : null;
+    
     if (hasRemovedListings && removedCount <= 20) {
       let removedMessage = `<b>🚫 Entfernte Anzeigen (${removedCount}):</b>\n`;
       
-      changes.removedListings.forEach((listing, i) => {
+      removedListings.forEach((listing, i) => {
         const title = (listing.title || 'Keine Beschreibung').substring(0, 50);
-        const price = listing.price?.text || '';
+        const price = formatListingPrice(listing);
         const location = listing.location ? ` in ${listing.location}` : '';
-        removedMessage += `${i + 1}. ${title}${price ? ` - ${price}` : ''}${location}\n`;
+        const days = typeof listing.daysOnMarket === 'number' ? ` (${formatDayCount(listing.daysOnMarket)} am Markt)` : '';
+        const reason = listing.removalReason === 'no-longer-matching' ? ' – noch online, passt nicht mehr zur Suche' : '';
+        removedMessage += `${i + 1}. ${title}${price ? ` - ${price}` : ''}${location}${days}${reason}\n`;
       });
       
-      await sendTelegramMessage(removedMessage);
+      if (averageDaysOnMarket !== null) {
+        removedMessage += `\n⏱️ Im Schnitt ${formatDayCount(averageDaysOnMarket)} am Markt\n`;
+      }
+      
+      if (await sendTelegramMessage(removedMessage)) {
+        recordNotifications(changes, runId, 'removed', removedListings);
+      }
     } else if (hasRemovedListings && removedCount > 20) {
       // Nur Anzahl melden bei zu vielen entfernten Anzeigen
-      await sendTelegramMessage(`<b>🚫 ${removedCount} Anzeigen wurden entfernt</b> (zu viele für eine detaillierte Auflistung).`);
+      const average = averageDaysOnMarket !== null ? ` Im Schnitt ${formatDayCount(averageDaysOnMarket)} am Markt.` : '';
+      await sendTelegramMessage(`<b>🚫 ${removedCount} Anzeigen wurden entfernt</b> (zu viele für eine detaillierte Auflistung).${average}`);
+    }
+    
+    // Möglicherweise entfernte Anzeigen: fehlen in der Suche, Entfernung aber noch nicht bestätigt
+    if (possiblyRemovedListings.length > 0 && possiblyRemovedListings.length <= 20) {
+      let possiblyRemovedMessage = `<b>❔ Möglicherweise entfernt (${possiblyRemovedListings.length}):</b>\n`;
+      possiblyRemovedListings.forEach((listing, i) => {
+        const title = (listing.title || 'Keine Beschreibung').substring(0, 50);
+        const price = formatListingPrice(listing);
+        possiblyRemovedMessage += `${i + 1}. ${title}${price ? ` - ${price}` : ''} (fehlt seit ${listing.missingRuns === 1 ? '1 Lauf' : `${listing.missingRuns} Läufen`})\n`;
+      });
+      if (await sendTelegramMessage(possiblyRemovedMessage)) {
+        recordNotifications(changes, runId, 'possibly_removed', possiblyRemovedListings);
+      }
     }
     
     console.log('Optimierte Telegram-Benachrichtigungen erfolgreich gesendet');
@@ -1928,9 +4557,10 @@ async function sendTelegramNotification(changes, force = false, runId = '') {
 
 /**
  * Sendet eine einzelne Nachricht über Telegram
+ * Ohne chatId geht die Nachricht an den normalen Chat (TELEGRAM_CHAT_ID)
  */
-async function sendTelegramMessage(text, parseMode = 'HTML', disablePreview = false) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
+async function sendTelegramMessage(text, parseMode = 'HTML', disablePreview = false, chatId = TELEGRAM_CHAT_ID) {
+  if (!TELEGRAM_BOT_TOKEN || !chatId) {
     return false;
   }
   
@@ -1946,7 +4576,7 @@ async function sendTelegramMessage(text, parseMode = 'HTML', disablePreview = fa
     // Telegram API aufrufen
     const telegramUrl = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
     const payload = {
-      chat_id: TELEGRAM_CHAT_ID,
+      chat_id: chatId,
       text: fullChunk,
       parse_mode: parseMode,
       disable_web_page_preview: disablePreview
@@ -2004,7 +4634,7 @@ function filterDescriptionLanguages(description) {
   return sections.join('\n\n');
 }
 
-async function sendSingleListingMessage(listing, index, total) {
+async function sendSingleListingMessage(listing, index, total, alsoListedAs = []) {
   try {
     console.log(`Sende Einzelnachricht ${index}/${total} für Anzeige: ${listing.id}`);
     
@@ -2027,12 +4657,15 @@ async function sendSingleListingMessage(listing, index, total) {
       apartment: '🏢',
       price: '💰',
       location: '📍',
+      map: '🗺️',
+      city: '🏙️',
       area: '📏',
       bedrooms: '🛏️',
       bathrooms: '🚿',
       pets: '🐕',
       calendar: '📅',
       furniture: '🛋️',
+      cluster: '🏘️',
       link: '🔗'
     };
     
@@ -2048,7 +4681,7 @@ async function sendSingleListingMessage(listing, index, total) {
     
     // Preis mit Emoji hinzufügen
     if (listing.price && listing.price.text) {
-      message += `${emoji.price} <b>${listing.price.text}</b>\n`;
+      message += `${emoji.price} <b>${formatListingPrice(listing)}</b>\n`;
     }
     
     // Standort mit Emoji hinzufügen
@@ -2056,38 +4689,43 @@ async function sendSingleListingMessage(listing, index, total) {
       message += `${emoji.location} ${listing.location}\n`;
     }
     
-    // Zimmerdaten sammeln (entweder aus details oder characteristics)
+    // Kartenposition als Google-Maps-Link
+    if (listing.coordinates) {
+      message += `${emoji.map} <a href="https://www.google.com/maps?q=${listing.coordinates.lat},${listing.coordinates.lng}">Auf der Karte ansehen</a>\n`;
+    }
+    
+    // Stadt, aus deren Suche die Anzeige stammt
+    if (listing.city) {
+      message += `${emoji.city} Suche: ${listing.city.charAt(0).toUpperCase() + listing.city.slice(1)}\n`;
+    }
+    
+    // Typisierte Merkmale der Anzeige (siehe normalizeCharacteristics)
+    const characteristics = listing.characteristics || {};
+    const rawCharacteristics = characteristics.raw || {};
+    
+    // Zimmerdaten sammeln
     let detailsList = [];
     
-    // Schlafzimmer
-    const bedrooms = listing.details?.bedrooms || 
-                     (listing.characteristics && listing.characteristics['bedrooms']) ||
-                     (listing.characteristics && listing.characteristics['number-of-bedrooms']);
-    if (bedrooms) {
-      detailsList.push(`${emoji.bedrooms} ${bedrooms} Schlafzimmer`);
+    // Schlafzimmer (0 = Studio)
+    if (characteristics.bedrooms === 0) {
+      detailsList.push(`${emoji.bedrooms} Studio`);
+    } else if (characteristics.bedrooms) {
+      detailsList.push(`${emoji.bedrooms} ${characteristics.bedrooms} Schlafzimmer`);
     }
     
     // Badezimmer
-    const bathrooms = listing.details?.bathrooms || 
-                      (listing.characteristics && listing.characteristics['bathrooms']) ||
-                      (listing.characteristics && listing.characteristics['number-of-bathrooms']);
-    if (bathrooms) {
-      detailsList.push(`${emoji.bathrooms} ${bathrooms} Badezimmer`);
+    if (characteristics.bathrooms) {
+      detailsList.push(`${emoji.bathrooms} ${characteristics.bathrooms} Badezimmer`);
     }
     
     // Fläche
-    const area = listing.details?.area || 
-                 (listing.characteristics && listing.characteristics['property-area']) ||
-                 (listing.characteristics && listing.characteristics['area']);
-    if (area) {
-      detailsList.push(`${emoji.area} ${area}`);
+    if (characteristics.areaSqm) {
+      detailsList.push(`${emoji.area} ${characteristics.areaSqm.toLocaleString('de-DE')} m²`);
     }
     
     // Grundstücksgröße
-    const plotArea = listing.plotArea || 
-                     (listing.characteristics && listing.characteristics['plot-area']);
-    if (plotArea) {
-      detailsList.push(`Grundstück: ${plotArea}`);
+    if (characteristics.plotAreaSqm) {
+      detailsList.push(`Grundstück: ${characteristics.plotAreaSqm.toLocaleString('de-DE')} m²`);
     }
     
     // Details als Liste anzeigen
@@ -2099,38 +4737,43 @@ async function sendSingleListingMessage(listing, index, total) {
     let additionalDetails = [];
     
     // Einrichtung
-    const furnishing = listing.furnishing || 
-                      (listing.characteristics && listing.characteristics['furnishing']);
-    if (furnishing) {
-      additionalDetails.push(`${emoji.furniture} ${furnishing}`);
+    const furnishingLabels = { 'furnished': 'Möbliert', 'semi-furnished': 'Teilmöbliert', 'unfurnished': 'Unmöbliert' };
+    if (characteristics.furnishing) {
+      additionalDetails.push(`${emoji.furniture} ${furnishingLabels[characteristics.furnishing]}`);
     }
     
-    // Haustiere
-    const petsAllowed = listing.petsAllowed !== undefined ? listing.petsAllowed : 
-                       (listing.characteristics && listing.characteristics['pets'] && 
-                        listing.characteristics['pets'].toLowerCase().includes('allow'));
-    if (petsAllowed !== undefined) {
-      additionalDetails.push(`${emoji.pets} Haustiere: ${petsAllowed ? 'erlaubt' : 'nicht erlaubt'}`);
+    // Haustiere (nur wenn in der Anzeige angegeben)
+    if (typeof characteristics.petsAllowed === 'boolean') {
+      additionalDetails.push(`${emoji.pets} Haustiere: ${characteristics.petsAllowed ? 'erlaubt' : 'nicht erlaubt'}`);
     }
     
     // Baujahr
-    const constructionYear = listing.constructionYear || 
-                            (listing.characteristics && listing.characteristics['construction-year']);
-    if (constructionYear) {
-      additionalDetails.push(`${emoji.calendar} Baujahr: ${constructionYear}`);
-    }
-    
-    // Weitere relevante charakteristische Merkmale
-    if (listing.characteristics) {
-      const relevantKeys = ['type', 'parking', 'energy-efficiency', 'included'];
-      relevantKeys.forEach(key => {
-        if (listing.characteristics[key]) {
-          const niceName = key.replace(/-/g, ' ');
-          additionalDetails.push(`${niceName}: ${listing.characteristics[key]}`);
-        }
-      });
+    if (characteristics.constructionYear) {
+      additionalDetails.push(`${emoji.calendar} Baujahr: ${characteristics.constructionYear}`);
     }
     
+    // Verfügbarkeit
+    if (characteristics.availableFrom) {
+      additionalDetails.push(`Verfügbar ab: ${characteristics.availableFrom.split('-').reverse().join('.')}`);
+    }
+    
+    // Parkplatz und Energieklasse
+    const parkingLabels = { 'covered': 'überdacht', 'uncovered': 'nicht überdacht', 'garage': 'Garage', 'street': 'Straße', 'none': 'keiner' };
+    if (characteristics.parking) {
+      additionalDetails.push(`Parkplatz: ${parkingLabels[characteristics.parking] || characteristics.parking}`);
+    }
+    if (characteristics.energyClass) {
+      additionalDetails.push(`Energieklasse: ${characteristics.energyClass}`);
+    }
+    
+    // Weitere Merkmale ohne festes Schema (Objektart, Ausstattung)
+    const rawLabels = { 'type': 'Objektart', 'included': 'Ausstattung' };
+    Object.entries(rawLabels).forEach(([key, label]) => {
+      if (rawCharacteristics[key]) {
+        additionalDetails.push(`${label}: ${rawCharacteristics[key]}`);
+      }
+    });
+    
     // Zusätzliche Details als Liste anzeigen
     if (additionalDetails.length > 0) {
       message += `\n<b>Weitere Details:</b>\n• ${additionalDetails.join('\n• ')}\n`;
@@ -2149,6 +4792,14 @@ async function sendSingleListingMessage(listing, index, total) {
       }
     }
     
+    // Dasselbe Objekt bei weiteren Maklern (gleiche Fotos, siehe clusterListingsByImages)
+    if (alsoListedAs.length > 0) {
+      message += `\n${emoji.cluster} <b>Dasselbe Objekt auch angeboten als:</b>\n`;
+      alsoListedAs.forEach(other => {
+        message += `• ${formatListingLink(other)}\n`;
+      });
+    }
+    
     // Link zur Anzeige und ID hinzufügen
     message += `\n${emoji.link} <a href="${url}">Anzeige auf Bazaraki ansehen</a> (ID: ${adId})\n`;
     
@@ -2196,7 +4847,7 @@ async function sendSingleListingMessage(listing, index, total) {
           const imagePayload = {
             chat_id: TELEGRAM_CHAT_ID,
             photo: listing.images[0],
-            caption: `${propertyEmoji} ${title}\n${listing.price?.text || ''}`,
+            caption: `${propertyEmoji} ${title}\n${formatListingPrice(listing)}`,
             parse_mode: 'HTML'
           };
           
@@ -2278,35 +4929,101 @@ async function handler(event, context) {
   console.log('Event:', JSON.stringify(event, null, 2));
   
   // Eindeutige Run-ID generieren
-  const runId = `run-${new Date().toISOString().replace(/[^0-9]/g, '').substring(0, 14)}`;
+  const runId = buildRunId(new Date(), context?.awsRequestId);
   console.log(`Run ID: ${runId}`);
   
   try {
     // Benutzerdefinierte Filter aus dem Event-Objekt extrahieren
-    const customFilters = {};
+    // Filter können direkt im Event oder gebündelt unter event.filters angegeben werden
+    const eventFilters = { ...(event || {}), ...(event?.filters || {}) };
+    
+    // Eine eingefügte Such-URL liefert die Basisfilter, einzelne Felder im Event überschreiben sie
+    const customFilters = eventFilters.searchUrl ? parseSearchUrl(eventFilters.searchUrl) : {};
+    if (eventFilters.searchUrl) {
+      console.log(`Filter aus Such-URL übernommen: ${JSON.stringify(customFilters)}`);
+    }
     
     // Preisfilter aus dem Event-Objekt oder Umgebungsvariable
-    if (event?.price_max) {
-      customFilters.price_max = event.price_max;
-      console.log(`Benutzerdefinierter Preisfilter: ${event.price_max}€`);
+    if (eventFilters.price_max) {
+      customFilters.price_max = eventFilters.price_max;
+      console.log(`Benutzerdefinierter Preisfilter: ${eventFilters.price_max}€`);
     }
     
     // Weitere benutzerdefinierte Filter
-    if (event?.propertyType) customFilters.propertyType = event.propertyType;
-    if (event?.district) customFilters.district = event.district;
-    if (event?.radius) customFilters.radius = event.radius;
-    if (event?.bedrooms) customFilters.bedrooms = event.bedrooms;
+    if (eventFilters.price_min) customFilters.price_min = eventFilters.price_min;
+    if (eventFilters.dealType) customFilters.dealType = eventFilters.dealType;
+    if (eventFilters.propertyType) customFilters.propertyType = eventFilters.propertyType;
+    if (eventFilters.propertyTypes) customFilters.propertyTypes = eventFilters.propertyTypes;
+    if (eventFilters.district !== undefined) customFilters.district = eventFilters.district; // '' deaktiviert den Standardbezirk
+    if (eventFilters.city) customFilters.city = eventFilters.city;
+    if (eventFilters.cities) customFilters.cities = eventFilters.cities;
+    if (eventFilters.lat) customFilters.lat = eventFilters.lat;
+    if (eventFilters.lng) customFilters.lng = eventFilters.lng;
+    if (eventFilters.radius) customFilters.radius = eventFilters.radius;
+    if (eventFilters.bedrooms) customFilters.bedrooms = eventFilters.bedrooms;
     
     // Schlüssel für S3-Ergebnisse basierend auf Filtern generieren
-    const filterKey = `price_max_${customFilters.price_max || DEFAULT_PRICE_MAX}`;
+    const dealType = resolveDealType(customFilters);
+    const filterKey = buildFilterKey(customFilters);
     console.log(`Verwende Filter-Schlüssel für S3-Ergebnisse: ${filterKey}`);
     
+    // Admin-Befehl: zurückgehaltenen Lauf übernehmen statt neu zu scrapen (true oder Run-ID des Laufs)
+    if (event?.acceptQuarantine) {
+      const accepted = await acceptQuarantinedRun(filterKey, event.acceptQuarantine === true ? '' : String(event.acceptQuarantine));
+      accepted.dealType = dealType;
+      accepted.filterKey = filterKey;
+      accepted.priceMax = resolvePriceMax(customFilters);
+      await sendTelegramNotification(accepted, event?.force === true, accepted.runId);
+      
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          runId,
+          acceptedRunId: accepted.runId,
+          timestamp: new Date().toISOString(),
+          totalListings: accepted.currentListings.length,
+          newListings: accepted.newListings.length,
+          removedListings: accepted.removedListings.length,
+          success: true
+        })
+      };
+    }
+    
+    // Zustand einmal laden: ID-Scan und Vergleich arbeiten mit demselben Stand
+    // Fehlt er, wird der Zustand unter dem früheren, nur vom Höchstpreis abhängigen Schlüssel übernommen
+    const loadedState = await loadState(filterKey, [buildLegacyFilterKey(customFilters)]);
+    
     // Hauptaufgabe ausführen mit benutzerdefinierten Filtern
-    const listings = await scrapeListings(customFilters);
+    const { listings, newListings, scanStats, availabilityById } = await scrapeListings(customFilters, loadedState);
     console.log(`${listings.length} Anzeigen erfolgreich gescrapt`);
     
+    // Health-Check: Füllraten und Linkanzahl mit früheren Läufen vergleichen
+    const health = await checkScraperHealth(scanStats, newListings, filterKey, runId);
+    await sendScraperHealthAlert(health.issues, runId, filterKey);
+    
     // Ergebnisse speichern und mit vorherigen vergleichen
-    const results = await saveAndCompareResults(listings, filterKey);
+    const results = await saveAndCompareResults(listings, filterKey, availabilityById, runId, loadedState);
+    results.dealType = dealType;
+    results.filterKey = filterKey;
+    results.priceMax = resolvePriceMax(customFilters); // Budget für Preissenkungen knapp darüber
+    
+    // Zurückgehaltener Lauf: nur den Admin benachrichtigen, Nutzer erhalten keine Meldungen
+    if (results.quarantine) {
+      await sendQuarantineAlert(results.quarantine, filterKey);
+      
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          runId,
+          timestamp: new Date().toISOString(),
+          totalListings: listings.length,
+          quarantined: true,
+          anomalies: results.quarantine.anomalies.map(anomaly => anomaly.message),
+          healthIssues: health.issues.map(issue => issue.message),
+          success: true
+        })
+      };
+    }
     
     // Benachrichtigung senden (nur wenn Änderungen vorhanden oder force=true)
     const force = event?.force === true;
@@ -2320,7 +5037,12 @@ async function handler(event, context) {
         totalListings: listings.length,
         newListings: results.newListings.length,
         removedListings: results.removedListings.length,
-        filters: { ...DEFAULT_FILTERS, ...customFilters },
+        possiblyRemovedListings: results.possiblyRemovedListings.length,
+        repostedListings: results.repostedListings.length,
+        priceChangedListings: results.priceChangedListings.length,
+        propertyClusters: results.clusters.length,
+        healthIssues: health.issues.map(issue => issue.message),
+        filters: { ...DEFAULT_FILTERS, price_max: DEAL_TYPES[dealType].defaultPriceMax, ...customFilters },
         success: true
       })
     };
@@ -2418,18 +5140,13 @@ async function sendTestTelegramMessage() {
       id: '12345678',
       title: 'Schöne 3-Schlafzimmer Bungalow in Paphos mit Meerblick',
       url: 'https://www.bazaraki.com/adv/12345678_3-bedroom-detached-house-to-rent/',
-      price: {
-        text: '€2.000',
-        value: 2000
-      },
+      price: parsePriceText('€2.000'),
       location: 'Paphos, Thrinia',
-      details: {
-        bedrooms: '3',
-        bathrooms: '4',
-        area: '180 m²'
-      },
-      characteristics: {
+      characteristics: normalizeCharacteristics({
         'type': 'Detached house',
+        'bedrooms': '3',
+        'bathrooms': '4',
+        'property-area': '180 m²',
         'parking': 'Uncovered',
         'plot-area': '980 m²',
         'furnishing': 'Semi-Furnished',
@@ -2438,7 +5155,7 @@ async function sendTestTelegramMessage() {
         'air-conditioning': 'Full, all rooms',
         'construction-year': '2025',
         'energy-efficiency': 'A'
-      },
+      }),
       description: 'Brand New Luxury 3 bedroom en suite Bungalow in Drinia (Thrinia) village. Live in a Private Haven of Outdoor Beauty & Indoor Luxury, its a 25 minute drive from Paphos.\n\nEllenisch:\nΕλληνικα\n\nEnglish:\nThis is a beautiful house with 3 bedrooms and a nice view.\n\nDeutsch:\nDies ist ein wunderschönes, brandneues Luxus-Bungalow mit 3 Schlafzimmern in der Ortschaft Drinia. Genießen Sie die Schönheit der Natur und den Luxus im Inneren, nur 25 Minuten von Paphos entfernt.\n\nРусский:\nЭто великолепный новый роскошный бунгало с 3 спальнями в деревне Дриния, всего в 25 минутах езды от Пафоса.',
       images: [
         'https://cdn1.bazaraki.com/media/cache1/5d/fc/5dfc29971e9abe42143856f3667a4579.webp',
@@ -2476,7 +5193,7 @@ async function sendTestTelegramMessage() {
       console.log(`Titel: ${testListing.title}`);
       console.log(`Preis: ${testListing.price.text}`);
       console.log(`Ort: ${testListing.location}`);
-      console.log(`Details: ${testListing.details.bedrooms} Schlafzimmer, ${testListing.details.bathrooms} Badezimmer, ${testListing.details.area}`);
+      console.log(`Details: ${testListing.characteristics.bedrooms} Schlafzimmer, ${testListing.characteristics.bathrooms} Badezimmer, ${testListing.characteristics.areaSqm} m²`);
       console.log(`Bilder: ${testListing.images.length} Stück`);
       console.log('====================================\n');
     }
@@ -2575,6 +5292,61 @@ exports.sendTestTelegramMessage = sendTestTelegramMessage;
 exports.testOptimizedScraping = testOptimizedScraping;
 exports.sendTelegramMessage = sendTelegramMessage;
 exports.sendTelegramMediaGroup = sendTelegramMediaGroup;
+exports.buildSearchUrl = buildSearchUrl;
+exports.buildFilterKey = buildFilterKey;
+exports.STATE_SCHEMA_VERSION = STATE_SCHEMA_VERSION;
+exports.migrateState = migrateState;
+exports.storage = storage;
+exports.detectRunAnomalies = detectRunAnomalies;
+exports.acceptQuarantinedRun = acceptQuarantinedRun;
+exports.parseSearchUrl = parseSearchUrl;
+exports.parseBedroomFilter = parseBedroomFilter;
+
+// Parser für die Offline-Tests mit gespeicherten Bazaraki-Seiten
+exports.extractAdId = extractAdId;
+exports.extractListingUrls = extractListingUrls;
+exports.parseListingPage = parseListingPage;
+exports.extractStructuredData = extractStructuredData;
+exports.extractPrice = extractPrice;
+exports.parsePriceText = parsePriceText;
+exports.applyCardPrice = applyCardPrice;
+exports.findPriceDrops = findPriceDrops;
+exports.formatPriceDropMessage = formatPriceDropMessage;
+exports.applyPriceWatchMargin = applyPriceWatchMargin;
+exports.resolvePriceMax = resolvePriceMax;
+exports.isAboveBudget = isAboveBudget;
+exports.applyRefreshedDetails = applyRefreshedDetails;
+exports.createCompactListing = createCompactListing;
+exports.markListingsRemoved = markListingsRemoved;
+exports.confirmRemovals = confirmRemovals;
+exports.checkListingAvailability = checkListingAvailability;
+exports.detectReposts = detectReposts;
+exports.formatRepostLine = formatRepostLine;
+exports.computeDifferenceHash = computeDifferenceHash;
+exports.hammingDistance = hammingDistance;
+exports.hashListingImages = hashListingImages;
+exports.countSharedImages = countSharedImages;
+exports.clusterListingsByImages = clusterListingsByImages;
+exports.groupListingsByProperty = groupListingsByProperty;
+exports.buildSnapshotKey = buildSnapshotKey;
+exports.saveRunSnapshot = saveRunSnapshot;
+exports.buildRunId = buildRunId;
+exports.loadState = loadState;
+exports.saveState = saveState;
+exports.saveAndCompareResults = saveAndCompareResults;
+exports.selectSnapshotsToDelete = selectSnapshotsToDelete;
+exports.selectStaleListings = selectStaleListings;
+exports.extractLocation = extractLocation;
+exports.extractPropertyDetails = extractPropertyDetails;
+exports.extractDescription = extractDescription;
+exports.extractImages = extractImages;
+exports.extractCharacteristics = extractCharacteristics;
+exports.normalizeCharacteristics = normalizeCharacteristics;
+
+// Health-Check für Selektor-Drift
+exports.CSS_SELECTORS = CSS_SELECTORS;
+exports.computeFieldFillRates = computeFieldFillRates;
+exports.evaluateScraperHealth = evaluateScraperHealth;
 
 // Lokales Testen, wenn Skript direkt ausgeführt wird
 if (require.main === module) {
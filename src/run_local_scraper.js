@@ -5,8 +5,28 @@
  * dass Telegram-Benachrichtigungen gesendet werden, auch beim ersten Lauf.
  */
 
+// Lokale Läufe speichern im Verzeichnis local_s3_storage/<Bucket>/ statt in S3
+// Muss vor dem Import gesetzt werden, da der Scraper das Backend beim Laden erzeugt
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
 // Importiere den Scraper
-const { handler, testOptimizedScraping } = require('./bazaraki_lambda_scraper');
+const { handler, testOptimizedScraping, parseSearchUrl } = require('./bazaraki_lambda_scraper');
+
+// Kommandozeilenargumente auswerten
+// --url <Such-URL>        Scraper mit einer im Browser erstellten Bazaraki-Suche ausführen
+// --parse-url <Such-URL>  Nur die daraus abgeleiteten Filter ausgeben (z.B. für das Lambda-Event)
+const args = process.argv.slice(2);
+const getArgValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+const searchUrl = getArgValue('--url');
+const parseOnlyUrl = getArgValue('--parse-url');
+
+if (parseOnlyUrl) {
+  console.log(JSON.stringify(parseSearchUrl(parseOnlyUrl), null, 2));
+  process.exit(0);
+}
 
 // Setze Umgebungsvariablen
 process.env.IS_LOCAL = 'true';
@@ -33,11 +53,16 @@ if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHAT_ID) {
 }
 
 // Konfiguration für den Scraper
-const event = {
+const event = searchUrl ? {
+  // Filter vollständig aus der Such-URL übernehmen
+  searchUrl,
+  forceNotification: true,
+  debug: true
+} : {
   // Standardfilter für Immobilien
   filters: {
     propertyTypes: ['apartments-flats', 'houses'],
-    priceMax: '1500',
+    price_max: '1500',
     cities: ['limassol', 'paphos'],
     bedrooms: '2-3'
   },
@@ -0,0 +1,300 @@
+/**
+ * SQLite-Zustandsspeicher für lokale und selbst gehostete Läufe (STATE_STORE=sqlite)
+ * 
+ * Statt state.json liegt der Zustand jedes Suchfilters in Tabellen, die sich per SQL auswerten lassen:
+ * - listings: Anzeigen mit Status, Preis, Schlafzimmern, Ort, ... und dem vollständigen Eintrag als JSON (data)
+ * - runs: ein Eintrag pro Lauf mit Kennzahlen und den geänderten IDs
+ * - price_history: jeder beobachtete Preis einer Anzeige
+ * - notifications: über Telegram gemeldete Anzeigen
+ * 
+ * Beispiel: alle Wohnungen mit 3 Schlafzimmern in Paphos unter 1.200 €, die diesen Monat gesehen wurden
+ *   SELECT id, title, price_text, url FROM listings
+ *   WHERE property_type = 'apartments-flats' AND bedrooms = 3 AND location LIKE '%Paphos%'
+ *     AND monthly_cents < 120000 AND last_seen_at >= date('now', 'start of month');
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS listings (
+    filter_key TEXT NOT NULL,
+    id TEXT NOT NULL,
+    status TEXT NOT NULL,  -- active, missing (möglicherweise entfernt), removed (im Archiv) oder expired (nicht mehr im Zustand)
+    position INTEGER,      -- Reihenfolge im Zustand
+    title TEXT,
+    url TEXT,
+    location TEXT,
+    city TEXT,
+    deal_type TEXT,
+    property_type TEXT,
+    bedrooms INTEGER,
+    bathrooms INTEGER,
+    area_sqm REAL,
+    price_cents INTEGER,
+    monthly_cents INTEGER,
+    price_text TEXT,
+    cluster_id TEXT,
+    first_seen_at TEXT,
+    last_seen_at TEXT,
+    removed_at TEXT,
+    seen_count INTEGER,
+    days_on_market INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (filter_key, id)
+  );
+  CREATE INDEX IF NOT EXISTS listings_status ON listings (filter_key, status, last_seen_at);
+  
+  CREATE TABLE IF NOT EXISTS runs (
+    filter_key TEXT NOT NULL,
+    run_id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    snapshot_key TEXT,
+    listing_count INTEGER,
+    new_count INTEGER,
+    removed_count INTEGER,
+    possibly_removed_count INTEGER,
+    reposted_count INTEGER,
+    price_changed_count INTEGER,
+    changes TEXT,     -- IDs der Änderungen als JSON
+    state_meta TEXT,  -- Übrige Felder des Zustands als JSON (z.B. clusters)
+    PRIMARY KEY (filter_key, run_id)
+  );
+  
+  CREATE TABLE IF NOT EXISTS price_history (
+    filter_key TEXT NOT NULL,
+    listing_id TEXT NOT NULL,
+    seen_at TEXT NOT NULL,
+    amount_cents INTEGER,
+    price_text TEXT,
+    PRIMARY KEY (filter_key, listing_id, seen_at)
+  );
+  
+  CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filter_key TEXT NOT NULL,
+    run_id TEXT,
+    type TEXT NOT NULL,  -- new, price_drop, repost, known_property, removed oder possibly_removed
+    listing_id TEXT,
+    chat_id TEXT,
+    sent_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS notifications_listing ON notifications (filter_key, listing_id);
+`;
+
+/**
+ * Lädt better-sqlite3 (optionale Abhängigkeit, auf Lambda nicht nötig)
+ */
+function loadSqliteLibrary() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`Für STATE_STORE=sqlite wird better-sqlite3 benötigt (npm install better-sqlite3): ${error.message}`);
+  }
+}
+
+/**
+ * Preis in Cent, auch für ältere Einträge mit price.amount in Euro
+ */
+function priceCents(price) {
+  if (!price) return null;
+  if (typeof price.amountCents === 'number') return price.amountCents;
+  return typeof price.amount === 'number' ? Math.round(price.amount * 100) : null;
+}
+
+/**
+ * Spalten einer Anzeige für die Tabelle listings
+ */
+function toListingRow(filterKey, listing, status, position) {
+  const characteristics = listing.characteristics || {};
+  return {
+    filter_key: filterKey,
+    id: String(listing.id),
+    status,
+    position,
+    title: listing.title || null,
+    url: listing.url || null,
+    location: listing.location || null,
+    city: listing.city || null,
+    deal_type: listing.dealType || null,
+    property_type: listing.propertyType || null,
+    bedrooms: characteristics.bedrooms ?? null,
+    bathrooms: characteristics.bathrooms ?? null,
+    area_sqm: characteristics.areaSqm ?? null,
+    price_cents: priceCents(listing.price),
+    monthly_cents: listing.price?.monthlyCents ?? null,
+    price_text: listing.price?.text || null,
+    cluster_id: listing.clusterId || null,
+    first_seen_at: listing.firstSeenAt || null,
+    last_seen_at: listing.lastSeenAt || null,
+    removed_at: listing.removedAt || null,
+    seen_count: listing.seenCount ?? null,
+    days_on_market: listing.daysOnMarket ?? null,
+    data: JSON.stringify(listing)
+  };
+}
+
+/**
+ * Öffnet (bzw. erstellt) die SQLite-Datenbank
+ * 
+ * @param {Object} options - { file } (':memory:' für eine Datenbank nur im Arbeitsspeicher)
+ * @returns {Object} - { file, loadState, saveState, recordNotifications, query, close }
+ */
+function createSqliteStore({ file } = {}) {
+  if (!file) throw new Error('Für den SQLite-Speicher muss eine Datei angegeben werden.');
+  const Database = loadSqliteLibrary();
+  
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  
+  const statements = {
+    latestRun: db.prepare('SELECT * FROM runs WHERE filter_key = ? ORDER BY timestamp DESC, run_id DESC LIMIT 1'),
+    stateListings: db.prepare("SELECT status, data FROM listings WHERE filter_key = ? AND status != 'expired' ORDER BY position"),
+    expireListings: db.prepare("UPDATE listings SET status = 'expired', position = NULL WHERE filter_key = ? AND status != 'expired'"),
+    upsertListing: db.prepare(`
+      INSERT INTO listings (filter_key, id, status, position, title, url, location, city, deal_type, property_type,
+        bedrooms, bathrooms, area_sqm, price_cents, monthly_cents, price_text, cluster_id,
+        first_seen_at, last_seen_at, removed_at, seen_count, days_on_market, data)
+      VALUES (@filter_key, @id, @status, @position, @title, @url, @location, @city, @deal_type, @property_type,
+        @bedrooms, @bathrooms, @area_sqm, @price_cents, @monthly_cents, @price_text, @cluster_id,
+        @first_seen_at, @last_seen_at, @removed_at, @seen_count, @days_on_market, @data)
+      ON CONFLICT (filter_key, id) DO UPDATE SET
+        status = excluded.status, position = excluded.position, title = excluded.title, url = excluded.url,
+        location = excluded.location, city = excluded.city, deal_type = excluded.deal_type, property_type = excluded.property_type,
+        bedrooms = excluded.bedrooms, bathrooms = excluded.bathrooms, area_sqm = excluded.area_sqm,
+        price_cents = excluded.price_cents, monthly_cents = excluded.monthly_cents, price_text = excluded.price_text,
+        cluster_id = excluded.cluster_id, first_seen_at = excluded.first_seen_at, last_seen_at = excluded.last_seen_at,
+        removed_at = excluded.removed_at, seen_count = excluded.seen_count, days_on_market = excluded.days_on_market,
+        data = excluded.data
+    `),
+    insertPrice: db.prepare(`
+      INSERT OR IGNORE INTO price_history (filter_key, listing_id, seen_at, amount_cents, price_text)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    insertRun: db.prepare(`
+      INSERT OR REPLACE INTO runs (filter_key, run_id, timestamp, snapshot_key, listing_count, new_count, removed_count,
+        possibly_removed_count, reposted_count, price_changed_count, changes, state_meta)
+      VALUES (@filter_key, @run_id, @timestamp, @snapshot_key, @listing_count, @new_count, @removed_count,
+        @possibly_removed_count, @reposted_count, @price_changed_count, @changes, @state_meta)
+    `),
+    insertNotification: db.prepare(`
+      INSERT INTO notifications (filter_key, run_id, type, listing_id, chat_id, sent_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)
+  };
+  
+  // Version des Zustands: letzter gespeicherter Lauf (null = noch kein Lauf)
+  const versionOf = (run) => (run ? `${run.run_id}@${run.timestamp}` : null);
+  
+  // Alle Tabellen eines Laufs in einer Transaktion schreiben, damit ein Abbruch keinen halben Zustand hinterlässt
+  const writeState = db.transaction((filterKey, state, changes, expectedVersion) => {
+    // Bedingtes Schreiben wie bei S3: ein anderer Lauf hat seit dem Laden gespeichert
+    if (expectedVersion !== undefined && versionOf(statements.latestRun.get(filterKey)) !== expectedVersion) {
+      const error = new Error(`Der Zustand von ${filterKey} wurde zwischenzeitlich geändert.`);
+      error.code = 'PreconditionFailed';
+      throw error;
+    }
+    
+    const { listings, removedListings, ...meta } = state;
+    const runId = state.runId || `run-${String(state.timestamp).replace(/[^0-9]/g, '').substring(0, 14)}`;
+    
+    // Anzeigen, die nicht mehr im Zustand sind, bleiben für Auswertungen als expired erhalten
+    statements.expireListings.run(filterKey);
+    [
+      ...listings.map(listing => [listing, listing.missingSince ? 'missing' : 'active']),
+      ...removedListings.map(listing => [listing, 'removed'])
+    ].forEach(([listing, status], position) => {
+      statements.upsertListing.run(toListingRow(filterKey, listing, status, position));
+      (listing.priceHistory || []).forEach(entry => {
+        statements.insertPrice.run(filterKey, String(listing.id), entry.seenAt, entry.amountCents ?? null, entry.text || null);
+      });
+    });
+    
+    const count = (ids) => (Array.isArray(ids) ? ids.length : null);
+    statements.insertRun.run({
+      filter_key: filterKey,
+      run_id: runId,
+      timestamp: state.timestamp,
+      snapshot_key: state.snapshotKey || null,
+      listing_count: listings.length,
+      new_count: count(changes.newIds),
+      removed_count: count(changes.removedIds),
+      possibly_removed_count: count(changes.possiblyRemovedIds),
+      reposted_count: count(changes.repostedIds),
+      price_changed_count: count(changes.priceChangedIds),
+      changes: JSON.stringify(changes),
+      state_meta: JSON.stringify(meta)
+    });
+  });
+  
+  return {
+    file,
+
+    /**
+     * Zustand des letzten Laufs eines Suchfilters im Format von state.json
+     * 
+     * @returns {Object|null} - { state, version } oder null, wenn es noch keinen Lauf gibt
+     */
+    loadState(filterKey) {
+      // Lauf und Anzeigen aus demselben Lesevorgang, damit ein gleichzeitiges Speichern nicht dazwischen liegt
+      return db.transaction(() => {
+        const run = statements.latestRun.get(filterKey);
+        if (!run) return null;
+        
+        const rows = statements.stateListings.all(filterKey);
+        const state = {
+          ...JSON.parse(run.state_meta || '{}'),
+          timestamp: run.timestamp,
+          runId: run.run_id,
+          snapshotKey: run.snapshot_key,
+          listings: rows.filter(row => row.status !== 'removed').map(row => JSON.parse(row.data)),
+          removedListings: rows.filter(row => row.status === 'removed').map(row => JSON.parse(row.data))
+        };
+        return { state, version: versionOf(run) };
+      })();
+    },
+
+    /**
+     * Speichert den Zustand eines Laufs (Anzeigen, Preishistorie, Lauf mit Änderungen)
+     * 
+     * @param {string} filterKey - Schlüssel des Suchfilters
+     * @param {Object} state - Zustand im Format von state.json
+     * @param {Object} [changes={}] - { newIds, removedIds, possiblyRemovedIds, repostedIds, priceChangedIds }
+     * @param {string|null} [expectedVersion] - version aus loadState (null = noch kein Lauf, undefined = ohne Prüfung)
+     */
+    saveState(filterKey, state, changes = {}, expectedVersion = undefined) {
+      // BEGIN IMMEDIATE: Prüfen und Schreiben unter derselben Schreibsperre, auch wenn mehrere Prozesse die Datei nutzen
+      writeState.immediate(filterKey, state, changes, expectedVersion);
+    },
+
+    /**
+     * Hält fest, welche Anzeigen in einer Telegram-Nachricht gemeldet wurden
+     */
+    recordNotifications(filterKey, runId, type, listingIds, chatId = null, sentAt = new Date().toISOString()) {
+      db.transaction(() => {
+        listingIds.forEach(listingId => {
+          statements.insertNotification.run(filterKey, runId || null, type, listingId ? String(listingId) : null, chatId ? String(chatId) : null, sentAt);
+        });
+      })();
+    },
+
+    /**
+     * Direkter Zugriff für eigene Auswertungen
+     */
+    query(sql, ...params) {
+      return db.prepare(sql).all(...params);
+    },
+    
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStore
+};
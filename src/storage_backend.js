@@ -0,0 +1,433 @@
+/**
+ * Speicher-Backends für Zustand, Snapshots und Health-Verlauf
+ * 
+ * Alle Backends bieten dieselbe Schnittstelle (StorageBackend):
+ * - s3: echter S3-Bucket (Lambda)
+ * - local: Verzeichnis, in dem jeder Schlüssel als Datei abgelegt wird (lokale Läufe, Heimserver)
+ * - memory: nur im Arbeitsspeicher (Tests)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} StoredObject
+ * @property {Buffer} body - Inhalt
+ * @property {string} etag - Version des Inhalts (bei S3 der ETag, lokal der MD5-Hash in Anführungszeichen)
+ * @property {Date} lastModified - Zeitpunkt der letzten Änderung
+ */
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {string} type - s3, local oder memory
+ * @property {function(string): Promise<StoredObject|null>} get - Liest ein Objekt, null wenn es nicht existiert
+ * @property {function(string, (string|Buffer), Object=): Promise<{etag: string}>} put - Schreibt ein Objekt ({ contentType })
+ * @property {function(string, (string|Buffer), (string|null), Object=): Promise<{etag: string}>} conditionalPut -
+ *   Schreibt nur, wenn der aktuelle ETag dem erwarteten entspricht (null: nur wenn das Objekt noch nicht existiert),
+ *   sonst Fehler mit code 'PreconditionFailed'
+ * @property {function(string): Promise<Array<{key: string, size: number, etag: (string|undefined), lastModified: Date}>>} list -
+ *   Alle Objekte, deren Schlüssel mit dem Präfix beginnt (das lokale Backend liest dafür keine Inhalte und liefert keinen etag)
+ * @property {function(Array<string>): Promise<Array<string>>} delete - Löscht Objekte, liefert die gelöschten Schlüssel
+ */
+
+const STORAGE_BACKEND_TYPES = ['s3', 'local', 'memory'];
+
+// Sperrdateien des lokalen Backends für bedingtes Schreiben (auch über Prozessgrenzen hinweg)
+const LOCAL_LOCK_TIMEOUT_MS = 10000; // So lange wird auf eine fremde Sperre gewartet
+const LOCAL_LOCK_STALE_MS = 60000;   // Ältere Sperren stammen von einem abgebrochenen Prozess und werden entfernt
+const LOCAL_LOCK_RETRY_MS = 25;
+
+/**
+ * ETag wie bei einfachen S3-Uploads: MD5 des Inhalts in Anführungszeichen
+ */
+function computeEtag(body) {
+  return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+/**
+ * Fehler für einen fehlgeschlagenen bedingten Schreibvorgang (gleicher code wie bei S3)
+ */
+function createPreconditionError(key) {
+  const error = new Error(`Das Objekt ${key} wurde zwischenzeitlich geändert.`);
+  error.code = 'PreconditionFailed';
+  return error;
+}
+
+/**
+ * Prüft, ob der aktuelle ETag eines Objekts der Erwartung eines bedingten Schreibvorgangs entspricht
+ */
+function matchesExpectedEtag(currentEtag, expectedEtag) {
+  return expectedEtag === null ? !currentEtag : currentEtag === expectedEtag;
+}
+
+/**
+ * Backend für einen echten S3-Bucket
+ * 
+ * @param {Object} options - { bucket, s3 } (s3: Client von aws-sdk, ohne Angabe wird einer erzeugt)
+ * @returns {StorageBackend}
+ */
+function createS3Backend({ bucket, s3 } = {}) {
+  if (!bucket) throw new Error('Für das S3-Backend muss ein Bucket angegeben werden.');
+  if (!s3) {
+    const AWS = require('aws-sdk');
+    s3 = new AWS.S3();
+  }
+  
+  const putObject = async (key, body, options = {}, conditionHeaders = {}) => {
+    const request = s3.putObject({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ...(options.contentType ? { ContentType: options.contentType } : {}),
+      ...(conditionHeaders['If-None-Match'] ? { IfNoneMatch: conditionHeaders['If-None-Match'] } : {})
+    });
+    
+    // If-Match für putObject kennt das API-Modell von aws-sdk v2 nicht, daher als Header setzen
+    if (conditionHeaders['If-Match']) {
+      request.on('build', () => {
+        request.httpRequest.headers['If-Match'] = conditionHeaders['If-Match'];
+      });
+    }
+    
+    try {
+      const response = await request.promise();
+      return { etag: response.ETag };
+    } catch (error) {
+      // 409 ConditionalRequestConflict: ein gleichzeitiger bedingter Schreibvorgang war schneller
+      if (error.code === 'PreconditionFailed' || error.code === 'ConditionalRequestConflict') {
+        throw createPreconditionError(key);
+      }
+      throw error;
+    }
+  };
+  
+  return {
+    type: 's3',
+    
+    async get(key) {
+      try {
+        const response = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+        return { body: Buffer.from(response.Body), etag: response.ETag, lastModified: response.LastModified };
+      } catch (error) {
+        if (error.code === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+    
+    put(key, body, options = {}) {
+      return putObject(key, body, options);
+    },
+    
+    conditionalPut(key, body, expectedEtag, options = {}) {
+      return putObject(key, body, options, expectedEtag === null ? { 'If-None-Match': '*' } : { 'If-Match': expectedEtag });
+    },
+    
+    // S3 liefert höchstens 1000 Schlüssel pro Anfrage
+    async list(prefix = '') {
+      const objects = [];
+      let continuationToken;
+      do {
+        const response = await s3.listObjectsV2({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }).promise();
+        objects.push(...(response.Contents || []).map(object => ({
+          key: object.Key,
+          size: object.Size,
+          etag: object.ETag,
+          lastModified: object.LastModified
+        })));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return objects;
+    },
+    
+    // deleteObjects akzeptiert höchstens 1000 Schlüssel pro Anfrage
+    async delete(keys) {
+      const deleted = [];
+      for (let i = 0; i < keys.length; i += 1000) {
+        const response = await s3.deleteObjects({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })) }
+        }).promise();
+        deleted.push(...(response.Deleted || []).map(object => object.Key));
+        (response.Errors || []).forEach(error => console.error(`Fehler beim Löschen von ${error.Key}: ${error.Message}`));
+      }
+      return deleted;
+    }
+  };
+}
+
+/**
+ * Backend für ein lokales Verzeichnis: jeder Schlüssel wird als Datei unter <directory>/<bucket>/<key> abgelegt,
+ * lastModified ist der Änderungszeitpunkt der Datei
+ * Eine vorhandene s3_storage.json des früheren S3-Mocks wird beim ersten Zugriff einmalig in einzelne Dateien übernommen
+ * 
+ * @param {Object} options - { directory, bucket }
+ * @returns {StorageBackend}
+ */
+function createLocalBackend({ directory, bucket = '' } = {}) {
+  if (!directory) throw new Error('Für das lokale Backend muss ein Verzeichnis angegeben werden.');
+  const rootDirectory = path.resolve(directory, bucket);
+  let legacyImported = false;
+  
+  const resolveKeyPath = (key) => {
+    const filePath = path.resolve(rootDirectory, key);
+    if (!key || !filePath.startsWith(rootDirectory + path.sep)) {
+      throw new Error(`Ungültiger Schlüssel für das lokale Backend: ${key}`);
+    }
+    return filePath;
+  };
+  
+  // Früherer S3-Mock: alle Objekte als "bucket/key" in einer JSON-Datei
+  const importLegacyStorageFile = async () => {
+    if (legacyImported) return;
+    legacyImported = true;
+    
+    const legacyFile = path.join(path.resolve(directory), 's3_storage.json');
+    let legacyObjects;
+    try {
+      legacyObjects = JSON.parse(await fs.promises.readFile(legacyFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`[LOCAL-STORAGE] Fehler beim Lesen von ${legacyFile}: ${error.message}`);
+      return;
+    }
+    
+    let importedCount = 0;
+    for (const [fullKey, body] of Object.entries(legacyObjects)) {
+      if (!fullKey.startsWith(`${bucket}/`)) continue;
+      const filePath = resolveKeyPath(fullKey.substring(bucket.length + 1));
+      if (fs.existsSync(filePath)) continue;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      importedCount++;
+    }
+    
+    // Umbenennen, damit später gelöschte Objekte (z.B. aufgeräumte Snapshots) nicht erneut übernommen werden
+    await fs.promises.rename(legacyFile, `${legacyFile}.imported`);
+    console.log(`[LOCAL-STORAGE] ${importedCount} Objekte aus ${legacyFile} übernommen`);
+  };
+  
+  const readEtag = async (filePath) => {
+    try {
+      return computeEtag(await fs.promises.readFile(filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+  
+  // Schreiben über eine temporäre Datei, damit Leser nie eine halb geschriebene Datei sehen
+  const writeFile = async (key, body) => {
+    const filePath = resolveKeyPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, body);
+    await fs.promises.rename(tempPath, filePath);
+    console.log(`[LOCAL-STORAGE] Datei gespeichert: ${key}`);
+    return { etag: computeEtag(Buffer.from(body)) };
+  };
+  
+  // Exklusive Sperrdatei neben dem Objekt ('wx' schlägt fehl, wenn sie existiert), damit Prüfen und Schreiben
+  // auch bei mehreren Prozessen auf demselben Verzeichnis (z.B. überlappende Cron-Läufe) nicht verzahnt werden
+  const withKeyLock = async (key, operation) => {
+    const lockPath = `${resolveKeyPath(key)}.lock`;
+    await fs.promises.mkdir(path.dirname(lockPath), { recursive: true });
+    const deadline = Date.now() + LOCAL_LOCK_TIMEOUT_MS;
+    
+    let handle;
+    while (!handle) {
+      try {
+        handle = await fs.promises.open(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        
+        const stats = await fs.promises.stat(lockPath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs > LOCAL_LOCK_STALE_MS) {
+          console.warn(`[LOCAL-STORAGE] Entferne verwaiste Sperre: ${lockPath}`);
+          await fs.promises.rm(lockPath, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Zeitüberschreitung beim Warten auf die Sperre ${lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCAL_LOCK_RETRY_MS));
+      }
+    }
+    
+    try {
+      await handle.writeFile(String(process.pid));
+      return await operation();
+    } finally {
+      await handle.close();
+      await fs.promises.rm(lockPath, { force: true });
+    }
+  };
+  
+  return {
+    type: 'local',
+    
+    async get(key) {
+      await importLegacyStorageFile();
+      const filePath = resolveKeyPath(key);
+      try {
+        const [body, stats] = await Promise.all([fs.promises.readFile(filePath), fs.promises.stat(filePath)]);
+        console.log(`[LOCAL-STORAGE] Datei geladen: ${key}`);
+        return { body, etag: computeEtag(body), lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    
+    async put(key, body) {
+      await importLegacyStorageFile();
+      return writeFile(key, body);
+    },
+    
+    async conditionalPut(key, body, expectedEtag) {
+      await importLegacyStorageFile();
+      return withKeyLock(key, async () => {
+        if (!matchesExpectedEtag(await readEtag(resolveKeyPath(key)), expectedEtag)) {
+          throw createPreconditionError(key);
+        }
+        return writeFile(key, body);
+      });
+    },
+    
+    async list(prefix = '') {
+      await importLegacyStorageFile();
+      
+      // Nur ab dem Verzeichnis des Präfixes suchen, nicht den ganzen Baum
+      const prefixDirectory = prefix.includes('/') ? prefix.substring(0, prefix.lastIndexOf('/')) : '';
+      const startDirectory = prefixDirectory ? resolveKeyPath(prefixDirectory) : rootDirectory;
+      const objects = [];
+      
+      const walk = async (currentDirectory) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(currentDirectory, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+        
+        for (const entry of entries) {
+          const entryPath = path.join(currentDirectory, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+            continue;
+          }
+          if (entry.name.endsWith('.tmp') || entry.name.endsWith('.lock')) continue;
+          
+          const key = path.relative(rootDirectory, entryPath).split(path.sep).join('/');
+          if (!key.startsWith(prefix)) continue;
+          // Nur Metadaten: der ETag würde jede Datei komplett lesen (z.B. alle Snapshots beim Aufräumen)
+          const stats = await fs.promises.stat(entryPath);
+          objects.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      };
+      
+      await walk(startDirectory);
+      console.log(`[LOCAL-STORAGE] Gefundene Dateien für Präfix '${prefix}': ${objects.length}`);
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+    
+    async delete(keys) {
+      await importLegacyStorageFile();
+      const deleted = [];
+      for (const key of keys) {
+        try {
+          await fs.promises.unlink(resolveKeyPath(key));
+          console.log(`[LOCAL-STORAGE] Datei gelöscht: ${key}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+        deleted.push(key); // Wie bei S3 gilt ein nicht vorhandenes Objekt als gelöscht
+      }
+      return deleted;
+    }
+  };
+}
+
+/**
+ * Backend im Arbeitsspeicher, z.B. für Tests
+ * 
+ * @param {Object} [initialObjects={}] - Vorbelegung { key: body }
+ * @returns {StorageBackend}
+ */
+function createMemoryBackend(initialObjects = {}) {
+  const objects = new Map();
+  const store = (key, body) => {
+    const buffer = Buffer.from(body);
+    const stored = { body: buffer, etag: computeEtag(buffer), lastModified: new Date() };
+    objects.set(key, stored);
+    return { etag: stored.etag };
+  };
+  Object.entries(initialObjects).forEach(([key, body]) => store(key, body));
+  
+  return {
+    type: 'memory',
+    
+    async get(key) {
+      const stored = objects.get(key);
+      return stored ? { ...stored, body: Buffer.from(stored.body) } : null;
+    },
+    
+    async put(key, body) {
+      return store(key, body);
+    },
+    
+    async conditionalPut(key, body, expectedEtag) {
+      const current = objects.get(key);
+      if (!matchesExpectedEtag(current ? current.etag : null, expectedEtag)) {
+        throw createPreconditionError(key);
+      }
+      return store(key, body);
+    },
+    
+    async list(prefix = '') {
+      return [...objects.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, stored]) => ({ key, size: stored.body.length, etag: stored.etag, lastModified: stored.lastModified }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    },
+    
+    async delete(keys) {
+      keys.forEach(key => objects.delete(key));
+      return [...keys];
+    }
+  };
+}
+
+/**
+ * Erzeugt das konfigurierte Backend
+ * 
+ * @param {Object} config - { type, bucket, directory, s3 }
+ * @returns {StorageBackend}
+ */
+function createStorageBackend(config = {}) {
+  const type = String(config.type || 's3').trim().toLowerCase();
+  
+  switch (type) {
+    case 's3':
+      return createS3Backend(config);
+    case 'local':
+      return createLocalBackend(config);
+    case 'memory':
+      return createMemoryBackend();
+    default:
+      throw new Error(`Unbekanntes Speicher-Backend '${config.type}'. Verfügbar: ${STORAGE_BACKEND_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKEND_TYPES,
+  computeEtag,
+  createS3Backend,
+  createLocalBackend,
+  createMemoryBackend,
+  createStorageBackend
+};
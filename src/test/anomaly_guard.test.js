@@ -0,0 +1,114 @@
+/**
+ * Offline-Tests für den Anomalie-Schutz (zurückgehaltene Läufe und deren Übernahme)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryStorage, scrapedListing, scrapedListings, silenceConsole } = require('./helpers');
+
+useMemoryStorage();
+silenceConsole();
+const {
+  detectRunAnomalies,
+  acceptQuarantinedRun,
+  saveAndCompareResults,
+  loadState,
+  storage
+} = require('../bazaraki_lambda_scraper');
+
+const loaded = (listings, isFirstRun = false) => ({ state: { listings, removedListings: [] }, isFirstRun });
+
+test('detectRunAnomalies: Einbruch, viele neue oder fehlende Anzeigen und fehlende Pflichtfelder', () => {
+  const previous = loaded(scrapedListings(40));
+  const types = (listings, state = previous) => detectRunAnomalies(listings, state).map(anomaly => anomaly.type);
+  
+  // Normale Schwankung
+  assert.deepEqual(types(scrapedListings(42, 3)), []);
+  
+  assert.deepEqual(types([]), ['total-drop', 'removed-ratio']);
+  assert.deepEqual(types(scrapedListings(15)), ['total-drop', 'removed-ratio']);
+  assert.deepEqual(types(scrapedListings(40, 25)), ['new-ratio', 'removed-ratio']);
+  
+  // Auch eine kleine Suche darf nicht auf 0 fallen, Anteile gelten erst ab ANOMALY_MIN_CHANGES Anzeigen
+  assert.deepEqual(types([], loaded(scrapedListings(3))), ['total-drop']);
+  assert.deepEqual(types(scrapedListings(6, 3), loaded(scrapedListings(3))), []);
+  
+  // Möglicherweise entfernte Anzeigen zählen nicht mehr zum Bestand
+  const missing = scrapedListings(40).map(listing => ({ ...listing, missingSince: '2026-10-18T08:00:00.000Z' }));
+  assert.deepEqual(types(scrapedListings(5, 40), loaded([...scrapedListings(5), ...missing.slice(5)])), []);
+  
+  // Pflichtfelder werden auch im ersten Lauf geprüft
+  const withoutPrice = scrapedListings(4).map((listing, index) => (index < 3 ? { ...listing, price: { text: 'Preis auf Anfrage' } } : listing));
+  const anomalies = detectRunAnomalies(withoutPrice, loaded([], true));
+  assert.deepEqual(anomalies.map(anomaly => anomaly.field), ['price']);
+  assert.match(anomalies[0].message, /fehlt bei 3 von 4 Anzeigen/);
+  
+  // Folgelauf: verdächtig ist nur ein Rückgang gegenüber dem Bestand
+  assert.deepEqual(types(withoutPrice, loaded(scrapedListings(4))), ['missing-field']);
+  assert.deepEqual(types(withoutPrice, loaded(withoutPrice)), []);
+});
+
+test('detectRunAnomalies: Preise im Format vor amountCents gelten als vorhanden', () => {
+  const legacyPrice = (listing) => ({ ...listing, price: { amount: 1100, currency: '€', text: '€1.100' } });
+  const previous = loaded(scrapedListings(20).map(legacyPrice));
+  
+  // Bekannte Anzeigen behalten das alte Preisobjekt, solange sich der Preis nicht ändert (applyCardPrice)
+  const current = [...scrapedListings(19).map(legacyPrice), scrapedListing(5000021)];
+  assert.deepEqual(detectRunAnomalies(current, previous), []);
+  assert.deepEqual(detectRunAnomalies(current, loaded([], true)), []);
+});
+
+test('saveAndCompareResults: verdächtiger Lauf wird zurückgehalten und erst auf Befehl übernommen', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1500';
+  await saveAndCompareResults(scrapedListings(20), filterKey, {}, 'run-20261019080000');
+  const before = await loadState(filterKey);
+  
+  // Ein kaputter Scrape ohne Anzeigen überschreibt den Zustand nicht und meldet nichts
+  const broken = await saveAndCompareResults([], filterKey, {}, 'run-20261019120000', before);
+  assert.deepEqual(broken.quarantine.anomalies.map(anomaly => anomaly.type), ['total-drop', 'removed-ratio']);
+  assert.equal(broken.possiblyRemovedListings.length, 0);
+  const unchanged = await loadState(filterKey);
+  assert.equal(unchanged.version, before.version);
+  assert.equal(unchanged.state.listings.length, 20);
+  
+  await assert.rejects(acceptQuarantinedRun(filterKey, 'run-20261019080000'), /nicht run-20261019080000/);
+  
+  // Nach Bestätigung gilt der Lauf wie ein normaler, inklusive der Meldungen
+  const accepted = await acceptQuarantinedRun(filterKey, 'run-20261019120000');
+  assert.equal(accepted.runId, 'run-20261019120000');
+  assert.equal(accepted.possiblyRemovedListings.length, 20);
+  const { state } = await loadState(filterKey);
+  assert.equal(state.runId, 'run-20261019120000');
+  assert.ok(state.listings.every(listing => listing.missingSince));
+  
+  await assert.rejects(acceptQuarantinedRun(filterKey), /Kein zurückgehaltener Lauf/);
+});
+
+test('saveAndCompareResults: ein gespeicherter regulärer Lauf verwirft den älteren zurückgehaltenen', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1200';
+  await saveAndCompareResults(scrapedListings(20), filterKey, {}, 'run-20261019080000');
+  
+  const quarantined = await saveAndCompareResults(scrapedListings(5), filterKey, {}, 'run-20261019120000');
+  assert.ok(await storage.get(quarantined.quarantine.key));
+  const regular = await saveAndCompareResults(scrapedListings(21), filterKey, {}, 'run-20261019160000');
+  assert.deepEqual(regular.newListings.map(listing => listing.id), ['5000021']);
+  
+  assert.equal(await storage.get(quarantined.quarantine.key), null);
+  await assert.rejects(acceptQuarantinedRun(filterKey), /Kein zurückgehaltener Lauf/);
+  assert.equal((await loadState(filterKey)).state.runId, 'run-20261019160000');
+});
+
+test('acceptQuarantinedRun: lehnt ab und verwirft den Lauf, wenn seitdem ein anderer Lauf gespeichert hat', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1100';
+  await saveAndCompareResults(scrapedListings(20), filterKey, {}, 'run-20261019080000');
+  const quarantined = await saveAndCompareResults(scrapedListings(5), filterKey, {}, 'run-20261019120000');
+  
+  // Zurückgehalten gegen einen Stand, der inzwischen überholt ist (z.B. Aufräumen fehlgeschlagen)
+  const held = JSON.parse((await storage.get(quarantined.quarantine.key)).body.toString());
+  await storage.put(quarantined.quarantine.key, JSON.stringify({ ...held, stateVersion: '"veraltet"' }));
+  
+  await assert.rejects(acceptQuarantinedRun(filterKey), /wurde seit dem zurückgehaltenen Lauf run-20261019120000 geändert/);
+  assert.equal(await storage.get(quarantined.quarantine.key), null);
+  assert.equal(await storage.get(`results/${filterKey}/runs/run-20261019120000.json`), null);
+  assert.equal((await loadState(filterKey)).state.runId, 'run-20261019080000');
+});
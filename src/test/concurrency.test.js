@@ -0,0 +1,88 @@
+/**
+ * Offline-Tests für gleichzeitige Läufe derselben Suche (bedingtes Schreiben des Zustands)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryStorage, scrapedListing, silenceConsole } = require('./helpers');
+
+useMemoryStorage();
+silenceConsole();
+const { saveAndCompareResults, loadState, storage } = require('../bazaraki_lambda_scraper');
+
+test('saveAndCompareResults: veralteter Zustand führt zu erneutem Vergleich statt Überschreiben', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1500';
+  await saveAndCompareResults(['5000001', '5000002'].map(scrapedListing), filterKey, {}, 'run-20261019080000');
+  
+  // Beide Läufe haben denselben Stand geladen, A speichert zuerst
+  const stale = await loadState(filterKey);
+  assert.equal(typeof stale.version, 'string');
+  
+  const runA = await saveAndCompareResults(['5000001', '5000002', '5000003'].map(scrapedListing), filterKey, {}, 'run-20261019120000', stale);
+  assert.deepEqual(runA.newListings.map(listing => listing.id), ['5000003']);
+  
+  // B scheitert am ETag, lädt den Zustand von A neu und meldet 5000003 nicht ein zweites Mal
+  const runB = await saveAndCompareResults(['5000001', '5000002', '5000003', '5000004'].map(scrapedListing), filterKey, {}, 'run-20261019120500', stale);
+  assert.deepEqual(runB.newListings.map(listing => listing.id), ['5000004']);
+  
+  const { state } = await loadState(filterKey);
+  assert.deepEqual(state.listings.map(listing => listing.id).sort(), ['5000001', '5000002', '5000003', '5000004']);
+  assert.equal(state.runId, 'run-20261019120500');
+  
+  // Der Snapshot von B enthält den erneuten Vergleich, nicht den des gescheiterten Versuchs
+  const snapshot = JSON.parse((await storage.get(state.snapshotKey)).body.toString());
+  assert.deepEqual(snapshot.changes.newIds, ['5000004']);
+});
+
+test('saveAndCompareResults: wirft nach STATE_WRITE_MAX_ATTEMPTS Konflikten, statt keine Änderungen zu melden', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1200';
+  await saveAndCompareResults(['5000001'].map(scrapedListing), filterKey, {}, 'run-20261019080000');
+  
+  // Jeder Schreibversuch verliert gegen einen anderen Lauf
+  const originalConditionalPut = storage.conditionalPut;
+  let attempts = 0;
+  storage.conditionalPut = async (key, ...args) => {
+    if (!key.endsWith('/state.json')) return originalConditionalPut(key, ...args);
+    attempts++;
+    const error = new Error('At least one of the pre-conditions you specified did not hold');
+    error.code = 'PreconditionFailed';
+    throw error;
+  };
+  try {
+    await assert.rejects(
+      saveAndCompareResults(['5000001', '5000002'].map(scrapedListing), filterKey, {}, 'run-20261019120000'),
+      { code: 'PreconditionFailed' }
+    );
+    assert.equal(attempts, 3);
+  } finally {
+    storage.conditionalPut = originalConditionalPut;
+  }
+  
+  assert.equal((await loadState(filterKey)).state.runId, 'run-20261019080000');
+});
+
+test('saveAndCompareResults: ein verlorener Lauf löscht keinen Snapshot, den er nicht selbst angelegt hat', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1100';
+  await saveAndCompareResults(['5000001'].map(scrapedListing), filterKey, {}, 'run-20261019080000');
+  const stale = await loadState(filterKey);
+  
+  // Beide Läufe teilen sich einen Snapshot-Schlüssel, A legt ihn an und speichert zuerst
+  await saveAndCompareResults(['5000001', '5000002'].map(scrapedListing), filterKey, {}, 'run-20261019120000', stale);
+  const { state: committedA } = await loadState(filterKey);
+  
+  const originalDelete = storage.delete;
+  const deletedKeys = [];
+  storage.delete = async (keys) => {
+    deletedKeys.push(...keys);
+    return originalDelete(keys);
+  };
+  try {
+    await saveAndCompareResults(['5000001', '5000003'].map(scrapedListing), filterKey, {}, 'run-20261019120000', stale);
+  } finally {
+    storage.delete = originalDelete;
+  }
+  
+  assert.equal(deletedKeys.includes(committedA.snapshotKey), false);
+  const snapshot = JSON.parse((await storage.get(committedA.snapshotKey)).body.toString());
+  assert.deepEqual(snapshot.changes.newIds, ['5000002']);
+});
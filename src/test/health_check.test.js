@@ -0,0 +1,104 @@
+/**
+ * Offline-Tests für den Health-Check (Erkennung von Markup-Änderungen)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixtureDocument, mockAxiosGet, silenceConsole } = require('./helpers');
+
+silenceConsole();
+const {
+  CSS_SELECTORS,
+  extractListingUrls,
+  parseListingPage,
+  computeFieldFillRates,
+  evaluateScraperHealth
+} = require('../bazaraki_lambda_scraper');
+
+const SEARCH_URL = 'https://www.bazaraki.com/real-estate-to-rent/apartments-flats/number-of-bedrooms---2/number-of-bedrooms---3/pafos-district-paphos/?price_max=1250';
+const LISTING_URL = 'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/';
+
+/**
+ * Führt den ID-Scan aus und baut daraus den Scan-Eintrag wie in scrapeListings
+ */
+async function scanSearch(routes, mockContext) {
+  mockAxiosGet(routes, mockContext);
+  const result = await extractListingUrls(SEARCH_URL, 10);
+  return {
+    label: 'apartments-flats',
+    searchUrl: SEARCH_URL,
+    expectedTotal: result.expectedTotal,
+    found: result.allUrls.length,
+    pagesCrawled: result.pagesCrawled,
+    reachedPageLimit: result.reachedPageLimit,
+    error: result.error || null
+  };
+}
+
+test('evaluateScraperHealth: vollständiger Scan ohne Auffälligkeiten', async (t) => {
+  const scan = await scanSearch({
+    [SEARCH_URL]: 'search_apartments_page1.html',
+    [`${SEARCH_URL}&page=2`]: 'search_apartments_page2.html'
+  }, t.mock);
+  
+  assert.equal(scan.expectedTotal, 3);
+  assert.equal(scan.found, 3);
+  assert.deepEqual(evaluateScraperHealth([scan]), []);
+});
+
+test('evaluateScraperHealth: geänderte Suchseite liefert 0 Links trotz Ergebniszahl', async (t) => {
+  const scan = await scanSearch({ [SEARCH_URL]: 'search_apartments_redesign.html' }, t.mock);
+  
+  assert.deepEqual(evaluateScraperHealth([scan]), [{
+    type: 'no-links',
+    search: 'apartments-flats',
+    message: 'Suche apartments-flats: 0 Anzeigenlinks gefunden, laut Website 24 Anzeigen',
+    selectors: [CSS_SELECTORS.listingLinks]
+  }]);
+});
+
+test('evaluateScraperHealth: zu wenige Links, fehlende Ergebniszahl und Ladefehler', () => {
+  const issues = evaluateScraperHealth([
+    { label: 'a', expectedTotal: 40, found: 20, pagesCrawled: 1, reachedPageLimit: false, error: null },
+    { label: 'b', expectedTotal: 400, found: 200, pagesCrawled: 10, reachedPageLimit: true, error: null },
+    { label: 'c', expectedTotal: null, found: 12, pagesCrawled: 1, reachedPageLimit: false, error: null },
+    { label: 'd', expectedTotal: null, found: 0, pagesCrawled: 0, reachedPageLimit: false, error: 'Konnte keine Anzeigen laden: timeout' }
+  ]);
+  
+  assert.deepEqual(issues.map(issue => [issue.type, issue.search]), [
+    ['too-few-links', 'a'],
+    ['result-count-missing', 'c'],
+    ['search-failed', 'd']
+  ]);
+  assert.deepEqual(issues[1].selectors, [CSS_SELECTORS.resultCount]);
+});
+
+test('evaluateScraperHealth: Einbruch der Füllraten nennt Felder, Selektoren und vorherige Quelle', () => {
+  const healthy = parseListingPage(loadFixtureDocument('detail_5012345.html'), LISTING_URL);
+  const broken = parseListingPage(loadFixtureDocument('detail_5012345_redesign.html'), LISTING_URL);
+  const history = [{ runId: 'run-1', ...computeFieldFillRates([healthy, healthy, healthy]) }];
+  
+  const issues = evaluateScraperHealth([], computeFieldFillRates([broken, broken, broken]), history);
+  
+  assert.deepEqual(issues.map(issue => issue.field), ['title', 'price', 'location', 'description', 'images', 'characteristics', 'coordinates']);
+  assert.deepEqual(issues[1], {
+    type: 'fill-rate-drop',
+    field: 'price',
+    message: 'Feld price: Füllrate 100% → 0% (zuvor meist aus json-ld)',
+    selectors: CSS_SELECTORS.price
+  });
+});
+
+test('computeFieldFillRates: Ladefehler zählen nicht, zu wenige Anzeigen werden nicht verglichen', () => {
+  const healthy = parseListingPage(loadFixtureDocument('detail_5012345.html'), LISTING_URL);
+  const broken = parseListingPage(loadFixtureDocument('detail_5012345_redesign.html'), LISTING_URL);
+  const failed = { id: '5099999', title: 'Fehler beim Laden der Anzeige', error: 'timeout' };
+  
+  const stats = computeFieldFillRates([healthy, broken, failed]);
+  assert.equal(stats.sampleSize, 2);
+  assert.equal(stats.fillRates.price, 0.5);
+  assert.equal(stats.mainSources.price, 'json-ld');
+  
+  const history = [{ ...computeFieldFillRates([healthy, healthy, healthy]) }];
+  assert.deepEqual(evaluateScraperHealth([], computeFieldFillRates([broken, broken]), history), []);
+});
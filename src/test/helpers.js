@@ -0,0 +1,94 @@
+/**
+ * Gemeinsame Hilfsfunktionen für die Offline-Tests
+ * 
+ * Lädt gespeicherte Bazaraki-Seiten aus test/fixtures und stellt
+ * axios.get so um, dass keine echten Netzwerkanfragen stattfinden.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mock } = require('node:test');
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Liest eine Fixture-Datei als String
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Parst eine Fixture-Datei mit JSDOM und gibt das Dokument zurück
+ */
+function loadFixtureDocument(name) {
+  return new JSDOM(readFixture(name)).window.document;
+}
+
+/**
+ * Leitet axios.get auf Fixtures um
+ * 
+ * @param {Object} routes - Mapping URL -> Fixture-Dateiname
+ * @param {Object} [mockContext=mock] - t.mock des Tests, damit der Mock danach zurückgesetzt wird
+ * @returns {Object} - Mock mit den aufgerufenen URLs in mock.calls
+ */
+function mockAxiosGet(routes, mockContext = mock) {
+  return mockContext.method(axios, 'get', async (url) => {
+    if (!routes[url]) {
+      const error = new Error(`Keine Fixture für ${url}`);
+      error.response = { status: 404 };
+      throw error;
+    }
+    return { status: 200, data: readFixture(routes[url]) };
+  });
+}
+
+/**
+ * Zustand, Snapshots und Health-Verlauf des Scrapers nur im Arbeitsspeicher ablegen
+ * Muss vor dem Laden des Scrapers aufgerufen werden, da er das Speicher-Backend beim Laden auswählt
+ */
+function useMemoryStorage() {
+  process.env.STORAGE_BACKEND = 'memory';
+}
+
+/**
+ * Anzeige wie nach dem Scrapen der Detailseite
+ */
+function scrapedListing(id) {
+  return {
+    id: String(id),
+    title: '2 bedroom apartment to rent',
+    url: `https://www.bazaraki.com/adv/${id}_2-bedroom-apartment-to-rent/`,
+    price: { amountCents: 110000, monthlyCents: 110000, period: 'month', text: '€1.100' },
+    location: 'Paphos, Kato Paphos',
+    dealType: 'rent',
+    scrapedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Fortlaufende gescrapte Anzeigen ab ID 5000001 + offset
+ */
+function scrapedListings(count, offset = 0) {
+  return Array.from({ length: count }, (_, index) => scrapedListing(5000001 + offset + index));
+}
+
+/**
+ * Unterdrückt die ausführlichen Konsolenausgaben des Scrapers während der Tests
+ */
+function silenceConsole() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+}
+
+module.exports = {
+  readFixture,
+  loadFixtureDocument,
+  mockAxiosGet,
+  useMemoryStorage,
+  scrapedListing,
+  scrapedListings,
+  silenceConsole
+};
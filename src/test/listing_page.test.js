@@ -0,0 +1,355 @@
+/**
+ * Offline-Tests für die Auswertung von Anzeigenseiten
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadFixtureDocument, silenceConsole } = require('./helpers');
+
+silenceConsole();
+const {
+  parseListingPage,
+  extractStructuredData,
+  extractPrice,
+  parsePriceText,
+  extractLocation,
+  extractPropertyDetails,
+  extractDescription,
+  extractImages,
+  extractCharacteristics,
+  normalizeCharacteristics,
+  applyRefreshedDetails,
+  selectStaleListings
+} = require('../bazaraki_lambda_scraper');
+
+const MODERN_URL = 'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/';
+const LEGACY_URL = 'https://www.bazaraki.com/adv/4987654_2-bedroom-apartment-to-rent/';
+
+/**
+ * Entfernt den Zeitstempel, nachdem sein Format geprüft wurde
+ */
+function withoutTimestamp(listing) {
+  assert.match(listing.scrapedAt, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+  const { scrapedAt, ...rest } = listing;
+  return rest;
+}
+
+test('parseListingPage: aktuelle Seite mit JSON-LD, OpenGraph und Microdata', () => {
+  const document = loadFixtureDocument('detail_5012345.html');
+  
+  assert.deepEqual(withoutTimestamp(parseListingPage(document, MODERN_URL)), {
+    id: '5012345',
+    title: '2 bedroom apartment to rent',
+    fullTitle: '2 bedroom apartment to rent',
+    price: {
+      amount: 1100, amountCents: 110000, maxAmountCents: null, currency: '€',
+      period: 'month', monthlyCents: 110000, onRequest: false, text: '€1.100'
+    },
+    location: 'Pafos, Kato Paphos',
+    coordinates: { lat: 34.755312, lng: 32.413821 },
+    description: 'Spacious 2 bedroom apartment in Kato Paphos, 5 minutes from the harbour. Fully furnished, covered parking, pets allowed.',
+    details: {},
+    images: [
+      'https://cdn1.bazaraki.com/media/cache1/aa/bb/aabb1111.webp',
+      'https://cdn1.bazaraki.com/media/cache1/aa/bb/aabb1112.webp',
+      'https://cdn1.bazaraki.com/media/cache1/aa/bb/aabb1113.webp'
+    ],
+    characteristics: {
+      bedrooms: 2,
+      bathrooms: 1,
+      areaSqm: 95,
+      plotAreaSqm: null,
+      furnishing: 'furnished',
+      petsAllowed: true,
+      parking: 'covered',
+      energyClass: 'B',
+      constructionYear: 2012,
+      availableFrom: null,
+      raw: { 'type': 'Apartment' }
+    },
+    fieldSources: {
+      title: 'json-ld',
+      price: 'json-ld',
+      location: 'microdata',
+      description: 'json-ld',
+      images: 'json-ld',
+      coordinates: 'css',
+      characteristics: 'css'
+    },
+    url: MODERN_URL
+  });
+});
+
+test('parseListingPage: ältere Seite nur mit CSS-Selektoren', () => {
+  const document = loadFixtureDocument('detail_4987654_legacy.html');
+  
+  assert.deepEqual(withoutTimestamp(parseListingPage(document, LEGACY_URL)), {
+    id: '4987654',
+    title: '2 bedroom apartment to rent',
+    fullTitle: '2 bedroom apartment to rent',
+    price: {
+      amount: 950, amountCents: 95000, maxAmountCents: null, currency: '€',
+      period: 'month', monthlyCents: 95000, onRequest: false, text: '950 €'
+    },
+    location: 'Pafos, Universal',
+    coordinates: { lat: 34.7651, lng: 32.4371 },
+    description: 'Quiet 2 bedroom flat close to the university. Air conditioning in all rooms, communal pool. Available from June.',
+    details: { bedrooms: 2, bathrooms: 1, area: 78 },
+    images: [
+      'https://www.bazaraki.com/media/cache1/ee/ff/eeff3333.webp',
+      'https://cdn1.bazaraki.com/media/cache1/ee/ff/eeff3334.webp'
+    ],
+    characteristics: {
+      bedrooms: 2,
+      bathrooms: 1,
+      areaSqm: 78,
+      plotAreaSqm: null,
+      furnishing: null,
+      petsAllowed: null,
+      parking: null,
+      energyClass: null,
+      constructionYear: null,
+      availableFrom: null,
+      raw: {}
+    },
+    fieldSources: {
+      title: 'css',
+      price: 'css',
+      location: 'css',
+      description: 'css',
+      images: 'css',
+      coordinates: 'css',
+      characteristics: 'none'
+    },
+    url: LEGACY_URL
+  });
+});
+
+test('parseListingPage: Kaufpreise werden als Gesamtpreis markiert', () => {
+  const document = loadFixtureDocument('detail_5012345.html');
+  
+  assert.deepEqual(parseListingPage(document, MODERN_URL, 'sale').price, {
+    amount: 1100, amountCents: 110000, maxAmountCents: null, currency: '€',
+    period: 'total', monthlyCents: null, onRequest: false, text: '€1.100'
+  });
+});
+
+test('extractStructuredData: liest JSON-LD-Hauptobjekt, OpenGraph und Microdata', () => {
+  const { jsonLd, jsonLdItems, openGraph, microdata } = extractStructuredData(loadFixtureDocument('detail_5012345.html'));
+  
+  assert.equal(jsonLdItems.length, 2);
+  assert.equal(jsonLd['@type'], 'Product');
+  assert.deepEqual(openGraph, {
+    'og:type': 'website',
+    'og:title': '2 bedroom apartment to rent',
+    'og:description': 'Spacious 2 bedroom apartment in Kato Paphos, 5 minutes from the harbour.',
+    'og:url': MODERN_URL,
+    'og:image': 'https://cdn1.bazaraki.com/media/cache1/aa/bb/aabb1111.webp'
+  });
+  assert.deepEqual(microdata.price, ['1100.00']);
+  assert.deepEqual(microdata.priceCurrency, ['EUR']);
+  assert.deepEqual(microdata.address, ['Pafos, Kato Paphos']);
+});
+
+test('CSS-Extraktoren: ältere Anzeigenseite', () => {
+  const document = loadFixtureDocument('detail_4987654_legacy.html');
+  
+  assert.equal(extractPrice(document).amountCents, 95000);
+  assert.equal(extractLocation(document), 'Pafos, Universal');
+  assert.deepEqual(extractPropertyDetails(document), { bedrooms: 2, bathrooms: 1, area: 78 });
+  assert.equal(
+    extractDescription(document),
+    'Quiet 2 bedroom flat close to the university. Air conditioning in all rooms, communal pool. Available from June.'
+  );
+  assert.deepEqual(extractImages(document), [
+    'https://www.bazaraki.com/media/cache1/ee/ff/eeff3333.webp',
+    'https://cdn1.bazaraki.com/media/cache1/ee/ff/eeff3334.webp'
+  ]);
+  assert.deepEqual(extractCharacteristics(document), {});
+});
+
+test('CSS-Extraktoren: Charakteristiken der aktuellen Anzeigenseite', () => {
+  const document = loadFixtureDocument('detail_5012345.html');
+  
+  assert.equal(extractLocation(document), 'Pafos, Kato Paphos');
+  assert.deepEqual(extractCharacteristics(document), {
+    'type': 'Apartment',
+    'furnishing': 'Fully Furnished',
+    'bedrooms': '2',
+    'bathrooms': '1',
+    'property-area': '95 m²',
+    'parking': 'Covered',
+    'pets': 'Allowed',
+    'energy-efficiency': 'B',
+    'construction-year': '2012'
+  });
+});
+
+test('CSS-Extraktoren: Platzhalter bei fehlenden Elementen', () => {
+  const document = loadFixtureDocument('search_apartments_page2.html');
+  
+  assert.deepEqual(extractPrice(document), {
+    amount: null, amountCents: null, maxAmountCents: null, currency: '€',
+    period: 'month', monthlyCents: null, onRequest: false, text: 'Preis auf Anfrage'
+  });
+  assert.equal(extractLocation(document), 'Standort nicht angegeben');
+  assert.deepEqual(extractPropertyDetails(document), {});
+  assert.equal(extractDescription(document), 'Keine Beschreibung verfügbar');
+});
+
+test('extractPrice: Währung vor dem Betrag (€1.100)', () => {
+  const document = loadFixtureDocument('detail_5012345.html');
+  
+  assert.equal(extractPrice(document).amount, 1100);
+  assert.equal(extractPrice(document, 'sale').period, 'total');
+});
+
+test('parsePriceText: Formate, Perioden, Spannen und Preis auf Anfrage', () => {
+  const cases = [
+    // [Text, amountCents, currency, period, monthlyCents]
+    ['€1.200', 120000, '€', 'month', 120000],
+    ['1 200 €', 120000, '€', 'month', 120000],
+    ['€1.100,50', 110050, '€', 'month', 110050],
+    ['1,200.50 EUR', 120050, '€', 'month', 120050],
+    ['$1,500/mo', 150000, '$', 'month', 150000],
+    ['£900 pcm', 90000, '£', 'month', 90000],
+    ['EUR 350 per week', 35000, '€', 'week', 151667],
+    ['€80 per night', 8000, '€', 'day', 243333],
+    ['€12.000 per year', 1200000, '€', 'year', 100000],
+    ['€2.500/m²', 250000, '€', 'sqm', null],
+    ['1 250 € в месяц', 125000, '€', 'month', 125000],
+    ['Price on request', null, '€', 'month', null]
+  ];
+  
+  for (const [text, amountCents, currency, period, monthlyCents] of cases) {
+    const price = parsePriceText(text);
+    assert.deepEqual(
+      [price.amountCents, price.currency, price.period, price.monthlyCents],
+      [amountCents, currency, period, monthlyCents],
+      `parsePriceText(${JSON.stringify(text)})`
+    );
+  }
+  
+  assert.equal(parsePriceText('Price on request').onRequest, true);
+  assert.equal(parsePriceText('€450.000', 'total').monthlyCents, null);
+  
+  const range = parsePriceText('€1.000 - €1.200 / month');
+  assert.deepEqual([range.amountCents, range.maxAmountCents], [100000, 120000]);
+});
+
+test('normalizeCharacteristics: Schlüsselvarianten, Werte-Typen und raw-Bereich', () => {
+  const referenceDate = new Date('2026-10-19T10:00:00Z');
+  
+  assert.deepEqual(normalizeCharacteristics({
+    'number-of-bedrooms': 'Studio',
+    'number-of-bathrooms': '2',
+    'area': '1,200 m²',
+    'land-area': '540.5 m²',
+    'furnishing': 'Unfurnished',
+    'pets': 'Not allowed',
+    'parking': 'No',
+    'energy-class': 'A+',
+    'year-built': 'Built in 1998',
+    'availability': 'Immediately',
+    'online-viewing': 'Yes'
+  }, {}, referenceDate), {
+    bedrooms: 0,
+    bathrooms: 2,
+    areaSqm: 1200,
+    plotAreaSqm: 540.5,
+    furnishing: 'unfurnished',
+    petsAllowed: false,
+    parking: 'none',
+    energyClass: 'A+',
+    constructionYear: 1998,
+    availableFrom: '2026-10-19',
+    raw: { 'online-viewing': 'Yes' }
+  });
+});
+
+test('normalizeCharacteristics: Detail-Fallback und nicht auswertbare Werte', () => {
+  const characteristics = normalizeCharacteristics({
+    'available-from': '01.11.2026',
+    'furnishing': 'Semi-Furnished',
+    'energy-efficiency': 'Pending'
+  }, { bedrooms: 3, area: 120 });
+  
+  assert.equal(characteristics.bedrooms, 3);
+  assert.equal(characteristics.areaSqm, 120);
+  assert.equal(characteristics.furnishing, 'semi-furnished');
+  assert.equal(characteristics.availableFrom, '2026-11-01');
+  assert.equal(characteristics.energyClass, null);
+  assert.deepEqual(characteristics.raw, { 'energy-efficiency': 'Pending' });
+});
+
+test('parseListingPage: Koordinaten aus strukturierten Daten, Karten-Widget und Kartenbildern', () => {
+  const coordinatesOf = (html) => parseListingPage(new JSDOM(html).window.document, MODERN_URL).coordinates;
+  
+  assert.deepEqual(coordinatesOf(`
+    <script type="application/ld+json">{"@type": "Product", "name": "Flat", "geo": {"@type": "GeoCoordinates", "latitude": 34.68, "longitude": "33.04"}}</script>
+    <div data-lat="1" data-lng="2"></div>`), { lat: 34.68, lng: 33.04 });
+  assert.deepEqual(coordinatesOf('<meta property="place:location:latitude" content="34.9"><meta property="place:location:longitude" content="33.6">'), { lat: 34.9, lng: 33.6 });
+  assert.deepEqual(coordinatesOf('<span itemprop="latitude">34.77</span><span itemprop="longitude">32.42</span>'), { lat: 34.77, lng: 32.42 });
+  assert.deepEqual(coordinatesOf('<img src="https://maps.googleapis.com/maps/api/staticmap?center=34.7720%2C32.4297&zoom=15">'), { lat: 34.772, lng: 32.4297 });
+  assert.equal(coordinatesOf('<div data-lat="0" data-lng="0"></div>'), null);
+  assert.equal(coordinatesOf('<p>Keine Karte</p>'), null);
+});
+
+test('applyRefreshedDetails: Überarbeitungen von Titel, Beschreibung, Fotos und Merkmalen', () => {
+  const details = parseListingPage(loadFixtureDocument('detail_5012345.html'), MODERN_URL);
+  const { raw, ...storedCharacteristics } = details.characteristics;
+  const known = {
+    id: '5012345',
+    url: MODERN_URL,
+    title: details.title,
+    price: details.price,
+    characteristics: storedCharacteristics,
+    scrapedAt: '2026-09-01T08:00:00.000Z'
+  };
+  
+  // Erstes erneutes Laden eines älteren Zustands ohne Fingerabdruck: nur Ausgangswerte speichern
+  const baseline = applyRefreshedDetails(known, details, '2026-10-01T08:00:00.000Z');
+  assert.equal(baseline.revisions, undefined);
+  assert.equal(baseline.detailsFetchedAt, '2026-10-01T08:00:00.000Z');
+  assert.equal(baseline.fingerprint.imageCount, 3);
+  
+  const changed = {
+    ...details,
+    title: '2 bedroom apartment to rent - renovated',
+    description: `${details.description} Newly renovated kitchen.`,
+    images: [...details.images, 'https://cdn1.bazaraki.com/media/cache1/aa/bb/aabb1114.webp'],
+    characteristics: { ...details.characteristics, furnishing: 'semi-furnished', petsAllowed: null }
+  };
+  const revised = applyRefreshedDetails(baseline, changed, '2026-10-19T08:00:00.000Z');
+  
+  assert.deepEqual(revised.revisions, [{
+    revisedAt: '2026-10-19T08:00:00.000Z',
+    changes: [
+      { field: 'title', old: '2 bedroom apartment to rent', new: '2 bedroom apartment to rent - renovated' },
+      { field: 'description', old: null, new: null },
+      { field: 'images', old: 3, new: 4 },
+      { field: 'characteristics.furnishing', old: 'furnished', new: 'semi-furnished' }
+    ]
+  }]);
+  // Fehlende Werte auf der neuen Seite löschen nichts, der Preis bleibt beim Kartenpreis
+  assert.equal(revised.characteristics.petsAllowed, true);
+  assert.equal(revised.price, details.price);
+  
+  // Unveränderte Details erzeugen keine weitere Überarbeitung
+  assert.equal(applyRefreshedDetails(revised, changed, '2026-10-26T08:00:00.000Z').revisions.length, 1);
+});
+
+test('selectStaleListings: älteste zuerst, begrenzt durch Budget und Mindestalter', () => {
+  const listings = [
+    { id: '1', url: 'a', scrapedAt: '2026-10-15T08:00:00.000Z' },
+    { id: '2', url: 'b', scrapedAt: '2026-08-01T08:00:00.000Z', detailsFetchedAt: '2026-10-10T08:00:00.000Z' },
+    { id: '3', url: 'c', scrapedAt: '2026-09-01T08:00:00.000Z' },
+    { id: '4', url: 'd', scrapedAt: '2026-07-01T08:00:00.000Z' }
+  ];
+  const options = { minAgeDays: 7, now: '2026-10-19T08:00:00.000Z' };
+  
+  assert.deepEqual(selectStaleListings(listings, 2, options).map(listing => listing.id), ['4', '3']);
+  assert.deepEqual(selectStaleListings(listings, 10, options).map(listing => listing.id), ['4', '3', '2']);
+  assert.deepEqual(selectStaleListings(listings, 0, options), []);
+});
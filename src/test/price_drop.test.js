@@ -0,0 +1,93 @@
+/**
+ * Offline-Tests für die Benachrichtigung über Preissenkungen
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole } = require('./helpers');
+
+silenceConsole();
+const {
+  applyCardPrice,
+  findPriceDrops,
+  formatPriceDropMessage,
+  applyPriceWatchMargin,
+  resolvePriceMax,
+  isAboveBudget,
+  parseSearchUrl
+} = require('../bazaraki_lambda_scraper');
+
+const NOW = '2026-10-19T08:00:00.000Z';
+
+/**
+ * Bekannte Anzeige, deren Kartenpreis sich im aktuellen Lauf geändert hat
+ */
+function changedListing(id, oldText, newText, firstSeenAt = '2026-09-01T08:00:00.000Z') {
+  return applyCardPrice({
+    id,
+    title: `Anzeige ${id}`,
+    url: `https://www.bazaraki.com/adv/${id}_2-bedroom-apartment-to-rent/`,
+    location: 'Paphos, Kato Paphos',
+    dealType: 'rent',
+    price: { amount: null, text: oldText },
+    scrapedAt: firstSeenAt
+  }, newText, 'rent', NOW);
+}
+
+test('findPriceDrops: nur Senkungen ab Mindestwert, größte zuerst', () => {
+  const listings = [
+    changedListing('5000001', '€1.400', '€1.150'),
+    changedListing('5000002', '€1.000', '€990'),
+    changedListing('5000003', '€1.100', '€1.200'),
+    changedListing('5000004', '€1.250', '€1.150', '2026-10-18T07:00:00.000Z'),
+    { id: '5000005', price: { amountCents: 100000, text: '€1.000' } }
+  ];
+
+  const drops = findPriceDrops(listings, { minPercent: 3, minAmountCents: 0, priceMax: '1250', now: NOW });
+
+  assert.deepEqual(drops.map(drop => [drop.listing.id, drop.changePercent, drop.daysOnline, drop.budgetStatus]), [
+    ['5000001', -17.9, 48, 'entered'],
+    ['5000004', -8, 1, 'within']
+  ]);
+
+  // Mindestbetrag greift zusätzlich zum Prozentwert
+  assert.deepEqual(findPriceDrops(listings, { minPercent: 0, minAmountCents: 15000, now: NOW }).map(drop => drop.listing.id), ['5000001']);
+  assert.equal(findPriceDrops(listings, { minPercent: 0, now: NOW })[2].budgetStatus, null);
+});
+
+test('formatPriceDropMessage: alter und neuer Preis, Änderung, Onlinezeit und Budgetstatus', () => {
+  const [drop] = findPriceDrops([changedListing('5000001', '€1.400', '€1.300')], { minPercent: 0, priceMax: '1250', now: NOW });
+
+  assert.equal(formatPriceDropMessage(drop), [
+    '📉 <b>Preis gesenkt</b>',
+    '<b>Anzeige 5000001</b>',
+    '',
+    '💰 <s>€1.400</s> → <b>€1.300 / Monat</b>',
+    '📊 -7,1% (−€100)',
+    '📅 Online seit 48 Tagen',
+    '📍 Paphos, Kato Paphos',
+    '👀 Weiterhin knapp über dem Budget',
+    '',
+    '🔗 <a href="https://www.bazaraki.com/adv/5000001_2-bedroom-apartment-to-rent/">Zur Anzeige</a>'
+  ].join('\n'));
+});
+
+test('applyPriceWatchMargin: Such-Höchstpreis um den Spielraum erweitern', () => {
+  assert.equal(applyPriceWatchMargin('1250', 10), '1375');
+  assert.equal(applyPriceWatchMargin('1250', 0), '1250');
+  assert.equal(applyPriceWatchMargin('', 10), '');
+});
+
+test('resolvePriceMax: Such-URL ohne Höchstpreis hat kein Budget und keine beobachteten Anzeigen', () => {
+  const expensive = { id: '5000001', price: { amountCents: 250000, text: '€2.500' } };
+  const withoutMax = parseSearchUrl('https://www.bazaraki.com/real-estate-to-rent/apartments-flats/pafos-district-paphos/');
+  
+  assert.equal(resolvePriceMax(withoutMax), '');
+  assert.equal(isAboveBudget(expensive, resolvePriceMax(withoutMax)), false);
+  assert.equal(applyPriceWatchMargin(resolvePriceMax(withoutMax), 10), '');
+  
+  // Ohne Angabe gilt der Standard-Höchstpreis der Angebotsart
+  assert.equal(String(resolvePriceMax({})), '1500');
+  assert.equal(isAboveBudget(expensive, resolvePriceMax({})), true);
+  assert.equal(resolvePriceMax({ price_max: '1300' }), '1300');
+});
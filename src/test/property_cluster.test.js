@@ -0,0 +1,108 @@
+/**
+ * Offline-Tests für Foto-Hashes und Objekt-Cluster (dieselbe Wohnung bei mehreren Maklern)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole } = require('./helpers');
+
+silenceConsole();
+const {
+  computeDifferenceHash,
+  hammingDistance,
+  hashListingImages,
+  countSharedImages,
+  clusterListingsByImages,
+  groupListingsByProperty
+} = require('../bazaraki_lambda_scraper');
+
+/**
+ * 9x8-Graustufenbild, dessen Helligkeit in jeder Zeile nach dem Muster fällt oder steigt
+ */
+function gradientImage(rowPattern, channels = 1) {
+  const pixels = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 9; x++) {
+      const value = rowPattern[y] === '1' ? 255 - x * 20 : x * 20;
+      for (let c = 0; c < channels; c++) pixels.push(value);
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Anzeige mit Foto-Hashes
+ */
+function hashedListing(id, imageHashes, extra = {}) {
+  return { id, title: `Anzeige ${id}`, url: `https://www.bazaraki.com/adv/${id}_flat/`, imageHashes, ...extra };
+}
+
+const PHOTO_A = 'ff00ff00ff00ff00';
+const PHOTO_B = '0f0f0f0f0f0f0f0f';
+const PHOTO_C = 'f0f0f0f0aaaa5555';
+const PHOTO_D = '123456789abcdef0';
+
+test('computeDifferenceHash: 64 Bit aus dem Helligkeitsverlauf, erster Kanal bei mehreren Kanälen', () => {
+  assert.equal(computeDifferenceHash(gradientImage('10101010')), 'ff00ff00ff00ff00');
+  assert.equal(computeDifferenceHash(gradientImage('11111111')), 'ffffffffffffffff');
+  assert.equal(computeDifferenceHash(gradientImage('10101010', 2), { channels: 2 }), 'ff00ff00ff00ff00');
+});
+
+test('hammingDistance: unterschiedliche Bits, nicht vergleichbare Hashes', () => {
+  assert.equal(hammingDistance(PHOTO_A, PHOTO_A), 0);
+  assert.equal(hammingDistance(PHOTO_A, 'ff00ff00ff00ff01'), 1);
+  assert.equal(hammingDistance(PHOTO_A, '00ff00ff00ff00ff'), 64);
+  assert.equal(hammingDistance(PHOTO_A, 'ff00'), Infinity);
+  assert.equal(hammingDistance(null, PHOTO_A), Infinity);
+});
+
+test('countSharedImages: fast identische Fotos zählen einmal, einfarbige Bilder nicht', () => {
+  assert.equal(countSharedImages([PHOTO_A, PHOTO_B, PHOTO_C], ['ff00ff00ff00ff03', PHOTO_B, PHOTO_D], 8), 2);
+  assert.equal(countSharedImages([PHOTO_A, PHOTO_A], [PHOTO_A], 8), 1);
+  assert.equal(countSharedImages(['0000000000000000', PHOTO_A], ['0000000000000000', PHOTO_D], 8), 0);
+  assert.equal(countSharedImages(null, [PHOTO_A], 8), 0);
+});
+
+test('clusterListingsByImages: drei Makler mit denselben Fotos ergeben ein Objekt', () => {
+  const listings = [
+    hashedListing('5012345', [PHOTO_A, PHOTO_B, PHOTO_C]),
+    hashedListing('5099999', [PHOTO_D, 'ff00ff00ff00ff01', PHOTO_B]),
+    hashedListing('5077777', [PHOTO_C, PHOTO_B]),
+    hashedListing('5066666', [PHOTO_A, '5555aaaa33cc33cc']),
+    hashedListing('5055555', null)
+  ];
+  
+  assert.deepEqual(clusterListingsByImages(listings, { minSharedImages: 2, maxDistance: 8 }), [
+    { id: 'cluster-5012345', listingIds: ['5012345', '5077777', '5099999'] }
+  ]);
+  
+  // Die Cluster-ID aus dem vorherigen Lauf bleibt erhalten
+  listings[1].clusterId = 'cluster-5099999';
+  assert.equal(clusterListingsByImages(listings, { minSharedImages: 2, maxDistance: 8 })[0].id, 'cluster-5099999');
+  assert.deepEqual(clusterListingsByImages(listings, { minSharedImages: 3, maxDistance: 8 }), []);
+});
+
+test('groupListingsByProperty: eine Meldung pro Objekt, bekannte Objekte getrennt', () => {
+  const known = hashedListing('5012345', null, { clusterId: 'cluster-5012345' });
+  const newListings = [
+    hashedListing('5099999', null, { clusterId: 'cluster-5077777' }),
+    hashedListing('5088888', null, { clusterId: null }),
+    hashedListing('5077777', null, { clusterId: 'cluster-5077777' }),
+    hashedListing('5066666', null, { clusterId: 'cluster-5012345' })
+  ];
+  
+  const { groups, knownPropertyListings } = groupListingsByProperty(newListings, [known, ...newListings]);
+  
+  assert.deepEqual(groups.map(group => [group.listing.id, group.alsoListedAs.map(listing => listing.id)]), [
+    ['5099999', ['5077777']],
+    ['5088888', []]
+  ]);
+  assert.deepEqual(knownPropertyListings.map(entry => [entry.listing.id, entry.knownListings.map(listing => listing.id)]), [
+    ['5066666', ['5012345']]
+  ]);
+});
+
+test('hashListingImages: ohne Fotos oder mit deaktiviertem Hashing kein Ergebnis', async () => {
+  assert.equal(await hashListingImages({ id: '5012345', images: [] }), null);
+  assert.equal(await hashListingImages({ id: '5012345', images: ['https://www.bazaraki.com/media/1.jpg'] }, 0), null);
+});
@@ -0,0 +1,75 @@
+/**
+ * Offline-Tests für die Erkennung erneut eingestellter Anzeigen
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixtureDocument, silenceConsole } = require('./helpers');
+
+silenceConsole();
+const {
+  parseListingPage,
+  createCompactListing,
+  detectReposts,
+  formatRepostLine
+} = require('../bazaraki_lambda_scraper');
+
+const NOW = '2026-10-19T08:00:00.000Z';
+const ORIGINAL_URL = 'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/';
+const REPOST_URL = 'https://www.bazaraki.com/adv/5099999_2-bedroom-apartment-to-rent/';
+
+/**
+ * Ursprüngliche Anzeige, wie sie nach der Entfernung im Zustand liegt
+ */
+function removedOriginal() {
+  const details = parseListingPage(loadFixtureDocument('detail_5012345.html'), ORIGINAL_URL);
+  return {
+    ...createCompactListing({ ...details, dealType: 'rent', scrapedAt: '2026-09-01T08:00:00.000Z' }, '2026-10-10T08:00:00.000Z'),
+    removedAt: '2026-10-12T08:00:00.000Z'
+  };
+}
+
+test('detectReposts: gleiche Wohnung unter neuer ID wird nicht als neu gemeldet', () => {
+  const details = parseListingPage(loadFixtureDocument('detail_5012345.html'), REPOST_URL);
+  const repost = { ...details, id: '5099999', dealType: 'rent', price: { ...details.price, amountCents: 105000, text: '€1.050' } };
+  const unrelated = {
+    id: '5088888',
+    title: '3 bedroom house to rent',
+    url: 'https://www.bazaraki.com/adv/5088888_3-bedroom-house-to-rent/',
+    dealType: 'rent',
+    price: { amountCents: 110000, text: '€1.100' },
+    location: 'Pafos, Kato Paphos',
+    characteristics: { bedrooms: 3, areaSqm: 140 }
+  };
+  
+  const result = detectReposts([repost, unrelated], [removedOriginal()], { now: NOW });
+  
+  assert.deepEqual(result.newListings.map(listing => listing.id), ['5088888']);
+  assert.deepEqual(result.repostedListings.map(listing => listing.id), ['5099999']);
+  assert.deepEqual(repost.repostOf, {
+    id: '5012345',
+    url: ORIGINAL_URL,
+    firstSeenAt: '2026-09-01T08:00:00.000Z',
+    removedAt: '2026-10-12T08:00:00.000Z',
+    score: 0.95,
+    reasons: ['description', 'title', 'price', 'location', 'area']
+  });
+  assert.equal(
+    formatRepostLine(repost),
+    `<a href="${REPOST_URL}">2 bedroom apartment to rent</a> - €1.050 / Monat (erneut eingestellt, war ID 5012345, online seit 01.09.2026)`
+  );
+});
+
+test('detectReposts: reaktivierte ID, Rückblickzeitraum und Schwellenwert', () => {
+  const original = removedOriginal();
+  const reactivated = { ...original, removedAt: undefined, repostOf: undefined };
+  
+  const { repostedListings } = detectReposts([reactivated], [original], { now: NOW });
+  assert.deepEqual(repostedListings[0].repostOf.reasons, ['id']);
+  assert.match(formatRepostLine(repostedListings[0]), /\(reaktiviert, online seit 01\.09\.2026\)$/);
+  
+  // Zu lange entfernt oder zu wenig Übereinstimmung: neue Anzeige
+  const sameTitleOnly = { id: '5077777', title: original.title, dealType: 'rent', price: { amountCents: 250000, text: '€2.500' } };
+  assert.equal(detectReposts([{ ...reactivated }], [original], { now: NOW, lookbackDays: 3 }).newListings.length, 1);
+  assert.equal(detectReposts([sameTitleOnly], [original], { now: NOW }).newListings.length, 1);
+});
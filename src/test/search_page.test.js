@@ -0,0 +1,196 @@
+/**
+ * Offline-Tests für den ID-Scan der Suchergebnisseiten und das Erzeugen und Einlesen von Such-URLs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockAxiosGet, silenceConsole } = require('./helpers');
+
+silenceConsole();
+const {
+  extractListingUrls,
+  extractAdId,
+  applyCardPrice,
+  buildSearchUrl,
+  parseSearchUrl,
+  parseBedroomFilter
+} = require('../bazaraki_lambda_scraper');
+
+const SEARCH_URL = 'https://www.bazaraki.com/real-estate-to-rent/apartments-flats/number-of-bedrooms---2/number-of-bedrooms---3/pafos-district-paphos/?price_max=1250';
+const SEARCH_ROUTES = {
+  [SEARCH_URL]: 'search_apartments_page1.html',
+  [`${SEARCH_URL}&page=2`]: 'search_apartments_page2.html'
+};
+
+test('extractListingUrls: folgt der Paginierung und überspringt bekannte IDs', async (t) => {
+  const get = mockAxiosGet(SEARCH_ROUTES, t.mock);
+  
+  const result = await extractListingUrls(SEARCH_URL, 10, new Set(['5023456']), true);
+  
+  assert.deepEqual(get.mock.calls.map(call => call.arguments[0]), [SEARCH_URL, `${SEARCH_URL}&page=2`]);
+  assert.deepEqual(result, {
+    allUrls: [
+      'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/',
+      'https://www.bazaraki.com/adv/5023456_3-bedroom-apartment-to-rent/',
+      'https://www.bazaraki.com/adv/4987654_2-bedroom-apartment-to-rent/'
+    ],
+    newUrls: [
+      'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/',
+      'https://www.bazaraki.com/adv/4987654_2-bedroom-apartment-to-rent/'
+    ],
+    skippedIds: new Set(['5023456']),
+    urlsByIdMap: {
+      '5012345': 'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/',
+      '4987654': 'https://www.bazaraki.com/adv/4987654_2-bedroom-apartment-to-rent/'
+    },
+    idsByUrlMap: {
+      'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/': '5012345',
+      'https://www.bazaraki.com/adv/4987654_2-bedroom-apartment-to-rent/': '4987654'
+    },
+    cardPricesById: {
+      '5012345': '€1.100',
+      '5023456': '€1.250',
+      '4987654': '€950'
+    },
+    pagesCrawled: 2,
+    totalFound: 3,
+    expectedTotal: 3,
+    reachedPageLimit: false,
+    skippedCount: 1,
+    savedRequestsCount: 1,
+    estimatedTimeSaved: 1.5
+  });
+});
+
+test('extractListingUrls: maxPages begrenzt den Scan auf die erste Seite', async (t) => {
+  mockAxiosGet(SEARCH_ROUTES, t.mock);
+  
+  const result = await extractListingUrls(SEARCH_URL, 1);
+  
+  assert.equal(result.pagesCrawled, 1);
+  assert.equal(result.reachedPageLimit, true);
+  assert.deepEqual(result.newUrls, [
+    'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/',
+    'https://www.bazaraki.com/adv/5023456_3-bedroom-apartment-to-rent/'
+  ]);
+});
+
+test('extractListingUrls: Fehler auf der ersten Seite liefert ein leeres Ergebnis mit Fehlermeldung', async (t) => {
+  mockAxiosGet({}, t.mock);
+  t.mock.method(console, 'error', () => {});
+  
+  const result = await extractListingUrls(SEARCH_URL);
+  
+  assert.deepEqual(result.allUrls, []);
+  assert.deepEqual(result.newUrls, []);
+  assert.match(result.error, /Konnte keine Anzeigen laden/);
+});
+
+test('extractAdId: unterstützte URL-Formate und Listing-Objekte', () => {
+  const cases = [
+    ['https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/', '5012345'],
+    ['https://www.bazaraki.com/adv/5012345/', '5012345'],
+    ['https://bazaraki.com/adv/5012345', '5012345'],
+    ['/adv/5012345_2-bedroom-apartment-to-rent', '5012345'],
+    ['https://www.bazaraki.com/adv/?id=5012345', '5012345'],
+    ['https://www.bazaraki.com/adv/0005012345_flat/', '5012345'],
+    [{ id: ' 5012345 ' }, '5012345'],
+    [{ url: 'https://www.bazaraki.com/adv/5012345_flat/' }, '5012345'],
+    ['https://www.bazaraki.com/real-estate-to-rent/', null],
+    ['', null],
+    [null, null]
+  ];
+  
+  for (const [input, expected] of cases) {
+    assert.equal(extractAdId(input), expected, `extractAdId(${JSON.stringify(input)})`);
+  }
+});
+
+test('applyCardPrice: Preisänderung bekannter Anzeigen mit Historie', () => {
+  const previous = {
+    id: '5023456',
+    price: { amount: 1400, text: '€1.400' },
+    scrapedAt: '2026-09-01T08:00:00.000Z',
+    priceChanged: { oldAmountCents: 150000, newAmountCents: 140000, oldText: '€1.500', newText: '€1.400', changedAt: '2026-09-01T08:00:00.000Z' }
+  };
+  
+  const changed = applyCardPrice(previous, '€1.150', 'rent', '2026-10-19T08:00:00.000Z');
+  assert.equal(changed.price.amountCents, 115000);
+  assert.deepEqual(changed.priceChanged, {
+    oldAmountCents: 140000,
+    newAmountCents: 115000,
+    oldText: '€1.400',
+    newText: '€1.150',
+    changedAt: '2026-10-19T08:00:00.000Z'
+  });
+  assert.deepEqual(changed.priceHistory, [
+    { amountCents: 140000, text: '€1.400', seenAt: '2026-09-01T08:00:00.000Z' },
+    { amountCents: 115000, text: '€1.150', seenAt: '2026-10-19T08:00:00.000Z' }
+  ]);
+  
+  // Gleicher Preis oder fehlender Kartenpreis: keine Änderung, alte Markierung entfällt
+  const unchanged = applyCardPrice(changed, '€1.150', 'rent', '2026-10-20T08:00:00.000Z');
+  assert.equal(unchanged.priceChanged, undefined);
+  assert.equal(unchanged.priceHistory.length, 2);
+  assert.equal(applyCardPrice(changed, undefined).priceChanged, undefined);
+  assert.equal(applyCardPrice(changed, 'Price on request').price.amountCents, 115000);
+});
+
+test('parseBedroomFilter: Bereiche, Listen und exakte Werte', () => {
+  assert.deepEqual(parseBedroomFilter('2-3'), [2, 3]);
+  assert.deepEqual(parseBedroomFilter('3 - 1'), [1, 2, 3]);
+  assert.deepEqual(parseBedroomFilter('1-2,4'), [1, 2, 4]);
+  assert.deepEqual(parseBedroomFilter([3, '2']), [2, 3]);
+  assert.deepEqual(parseBedroomFilter(2), [2]);
+  assert.deepEqual(parseBedroomFilter(''), []);
+  assert.deepEqual(parseBedroomFilter(undefined), []);
+});
+
+test('parseSearchUrl: Bezirk, Schlafzimmer und Höchstpreis, zurück mit buildSearchUrl', () => {
+  const filters = parseSearchUrl(SEARCH_URL);
+  assert.deepEqual(filters, {
+    dealType: 'rent',
+    propertyType: 'apartments-flats',
+    bedrooms: '2-3',
+    district: 'pafos-district-paphos',
+    city: '',
+    lat: '',
+    lng: '',
+    radius: '',
+    price_min: '',
+    price_max: '1250'
+  });
+  assert.equal(buildSearchUrl(filters), SEARCH_URL);
+});
+
+test('parseSearchUrl: Umkreissuche mit Radius in Metern und nicht zusammenhängenden Schlafzimmern', () => {
+  const searchUrl = 'https://www.bazaraki.com/real-estate-to-rent/houses/number-of-bedrooms---2/number-of-bedrooms---4/?price_min=800&price_max=2000&lat=34.684422&lng=33.037085&radius=10000';
+  const filters = parseSearchUrl(searchUrl);
+  assert.equal(filters.propertyType, 'houses');
+  assert.equal(filters.bedrooms, '2,4');
+  assert.equal(filters.district, '');
+  assert.deepEqual([filters.lat, filters.lng, filters.radius], ['34.684422', '33.037085', '10']);
+  assert.deepEqual([filters.price_min, filters.price_max], ['800', '2000']);
+  assert.equal(buildSearchUrl(filters), searchUrl);
+});
+
+test('parseSearchUrl: Kaufsuche und Suche ohne Preis', () => {
+  const saleUrl = 'https://www.bazaraki.com/real-estate-for-sale/apartments-flats/number-of-bedrooms---3/lemesos-district-limassol/?price_max=350000';
+  const sale = parseSearchUrl(saleUrl);
+  assert.deepEqual([sale.dealType, sale.propertyType, sale.bedrooms, sale.district, sale.price_max], [
+    'sale', 'apartments-flats', '3', 'lemesos-district-limassol', '350000'
+  ]);
+  assert.equal(buildSearchUrl(sale), saleUrl);
+  
+  // Ohne Preis bleiben beide Grenzen leer, damit DEFAULT_FILTERS keinen Höchstpreis einsetzt
+  const withoutPriceUrl = 'https://www.bazaraki.com/real-estate-to-rent/apartments-flats/pafos-district-paphos/';
+  const withoutPrice = parseSearchUrl(withoutPriceUrl);
+  assert.deepEqual([withoutPrice.price_min, withoutPrice.price_max, withoutPrice.bedrooms], ['', '', '']);
+  assert.equal(buildSearchUrl(withoutPrice), withoutPriceUrl);
+});
+
+test('parseSearchUrl: keine Bazaraki-Immobiliensuche', () => {
+  assert.throws(() => parseSearchUrl('keine url'), /Ungültige Such-URL/);
+  assert.throws(() => parseSearchUrl('https://www.example.com/real-estate-to-rent/'), /Keine Bazaraki-URL/);
+  assert.throws(() => parseSearchUrl('https://www.bazaraki.com/car-motorbikes-boats-and-parts/'), /Keine Immobilien-Suche/);
+});
@@ -0,0 +1,132 @@
+/**
+ * Offline-Tests für den SQLite-Zustandsspeicher (STATE_STORE=sqlite)
+ * Werden übersprungen, wenn die optionale Abhängigkeit better-sqlite3 nicht installiert ist
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silenceConsole } = require('./helpers');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-store-'));
+process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Der Scraper wählt den Zustandsspeicher beim Laden aus
+process.env.STATE_STORE = 'sqlite';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.SQLITE_DB_PATH = path.join(directory, 'scraper.sqlite');
+
+let skip = false;
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  skip = 'better-sqlite3 ist nicht installiert';
+}
+
+silenceConsole();
+const { createSqliteStore } = require('../sqlite_store');
+const { saveAndCompareResults, loadState } = require('../bazaraki_lambda_scraper');
+
+/**
+ * Anzeige wie nach dem Scrapen der Detailseite
+ */
+function scrapedListing(id, bedrooms, monthlyCents, location = 'Paphos, Kato Paphos') {
+  return {
+    id,
+    title: `${bedrooms} bedroom apartment to rent`,
+    url: `https://www.bazaraki.com/adv/${id}_${bedrooms}-bedroom-apartment-to-rent/`,
+    price: { amountCents: monthlyCents, monthlyCents, period: 'month', text: `€${monthlyCents / 100}` },
+    location,
+    characteristics: { raw: {}, bedrooms, bathrooms: 1, areaSqm: 90 },
+    propertyType: 'apartments-flats',
+    dealType: 'rent',
+    scrapedAt: new Date().toISOString()
+  };
+}
+
+test('createSqliteStore: Zustand, Preishistorie und Benachrichtigungen in Tabellen', { skip }, () => {
+  const store = createSqliteStore({ file: ':memory:' });
+  const state = {
+    timestamp: '2026-10-19T08:00:00.000Z',
+    runId: 'run-20261019080000',
+    snapshotKey: null,
+    clusters: [{ id: 'cluster-5000001', listingIds: ['5000001', '5000002'] }],
+    listings: [
+      { id: '5000001', title: 'A', priceHistory: [{ amountCents: 120000, text: '€1.200', seenAt: '2026-10-01T08:00:00.000Z' }, { amountCents: 110000, text: '€1.100', seenAt: '2026-10-19T08:00:00.000Z' }] },
+      { id: '5000002', title: 'B', missingSince: '2026-10-19T08:00:00.000Z', missingRuns: 1 }
+    ],
+    removedListings: [{ id: '4999999', title: 'C', removedAt: '2026-10-10T08:00:00.000Z' }]
+  };
+  
+  store.saveState('rent_test', state, { newIds: ['5000001'], removedIds: [] }, null);
+  assert.deepEqual(store.loadState('rent_test'), { state, version: 'run-20261019080000@2026-10-19T08:00:00.000Z' });
+  assert.equal(store.loadState('sale_test'), null);
+  
+  assert.deepEqual(store.query('SELECT id, status FROM listings ORDER BY id'), [
+    { id: '4999999', status: 'removed' },
+    { id: '5000001', status: 'active' },
+    { id: '5000002', status: 'missing' }
+  ]);
+  assert.deepEqual(store.query('SELECT amount_cents FROM price_history WHERE listing_id = ? ORDER BY seen_at', '5000001'), [
+    { amount_cents: 120000 },
+    { amount_cents: 110000 }
+  ]);
+  assert.deepEqual(store.query('SELECT run_id, listing_count, new_count, removed_count FROM runs'), [
+    { run_id: 'run-20261019080000', listing_count: 2, new_count: 1, removed_count: 0 }
+  ]);
+  
+  // Anzeigen, die aus dem Zustand fallen, bleiben für Auswertungen erhalten
+  const { version } = store.loadState('rent_test');
+  store.saveState('rent_test', { ...state, timestamp: '2026-10-20T08:00:00.000Z', runId: 'run-20261020080000', listings: [state.listings[0]], removedListings: [] }, {}, version);
+  assert.deepEqual(store.loadState('rent_test').state.listings.map(listing => listing.id), ['5000001']);
+  
+  // Ein Lauf mit veraltetem Stand darf den neueren Zustand nicht überschreiben
+  assert.throws(() => store.saveState('rent_test', state, {}, version), { code: 'PreconditionFailed' });
+  assert.throws(() => store.saveState('rent_test', state, {}, null), { code: 'PreconditionFailed' });
+  assert.equal(store.loadState('rent_test').state.runId, 'run-20261020080000');
+  assert.deepEqual(store.query("SELECT id FROM listings WHERE status = 'expired' ORDER BY id").map(row => row.id), ['4999999', '5000002']);
+  
+  store.recordNotifications('rent_test', 'run-20261020080000', 'new', ['5000001'], '-100123');
+  assert.deepEqual(store.query('SELECT type, listing_id, chat_id FROM notifications'), [
+    { type: 'new', listing_id: '5000001', chat_id: '-100123' }
+  ]);
+  store.close();
+});
+
+test('saveAndCompareResults: Vergleich gegen den SQLite-Zustand und Abfrage per SQL', { skip }, async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1500';
+  
+  const firstRun = await saveAndCompareResults([
+    scrapedListing('5000001', 3, 110000),
+    scrapedListing('5000002', 2, 95000)
+  ], filterKey, {}, 'run-20261019080000');
+  assert.equal(firstRun.isFirstRun, true);
+  
+  const loaded = await loadState(filterKey);
+  assert.equal(loaded.source, `sqlite:${filterKey}`);
+  assert.deepEqual(loaded.state.listings.map(listing => listing.id), ['5000001', '5000002']);
+  
+  const secondRun = await saveAndCompareResults([
+    scrapedListing('5000001', 3, 110000),
+    scrapedListing('5000003', 3, 125000),
+    scrapedListing('5000004', 3, 115000, 'Limassol, Germasogeia')
+  ], filterKey, {}, 'run-20261019120000', loaded);
+  assert.deepEqual(secondRun.newListings.map(listing => listing.id), ['5000003', '5000004']);
+  assert.deepEqual(secondRun.possiblyRemovedListings.map(listing => listing.id), ['5000002']);
+  
+  // Alle Wohnungen mit 3 Schlafzimmern in Paphos unter 1.200 €, die diesen Monat gesehen wurden
+  const store = createSqliteStore({ file: process.env.SQLITE_DB_PATH });
+  const rows = store.query(`
+    SELECT id FROM listings
+    WHERE property_type = 'apartments-flats' AND bedrooms = 3 AND location LIKE '%Paphos%'
+      AND monthly_cents < 120000 AND last_seen_at >= date('now', 'start of month')
+  `);
+  assert.deepEqual(rows.map(row => row.id), ['5000001']);
+  assert.deepEqual(store.query('SELECT run_id, new_count FROM runs WHERE filter_key = ? ORDER BY run_id', filterKey), [
+    { run_id: 'run-20261019080000', new_count: 0 },
+    { run_id: 'run-20261019120000', new_count: 2 }
+  ]);
+  store.close();
+});
@@ -0,0 +1,262 @@
+/**
+ * Offline-Tests für den kompakten Zustand (Lebenszyklus der Anzeigen)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockAxiosGet, useMemoryStorage, silenceConsole } = require('./helpers');
+
+useMemoryStorage();
+silenceConsole();
+const {
+  createCompactListing,
+  markListingsRemoved,
+  confirmRemovals,
+  checkListingAvailability,
+  buildSnapshotKey,
+  saveRunSnapshot,
+  buildRunId,
+  selectSnapshotsToDelete,
+  buildFilterKey,
+  loadState,
+  saveAndCompareResults,
+  storage
+} = require('../bazaraki_lambda_scraper');
+
+const LISTING = {
+  id: '5012345',
+  title: '2 bedroom apartment to rent',
+  url: 'https://www.bazaraki.com/adv/5012345_2-bedroom-apartment-to-rent/',
+  price: { amount: 1100, amountCents: 110000, text: '€1.100' },
+  dealType: 'rent',
+  scrapedAt: '2026-10-01T08:00:00.000Z'
+};
+
+test('createCompactListing: firstSeenAt, lastSeenAt, seenCount und Tage am Markt', () => {
+  const first = createCompactListing(LISTING, '2026-10-01T08:00:00.000Z');
+  assert.equal(first.firstSeenAt, '2026-10-01T08:00:00.000Z');
+  assert.equal(first.lastSeenAt, '2026-10-01T08:00:00.000Z');
+  assert.equal(first.seenCount, 1);
+  assert.equal(first.daysOnMarket, 0);
+  
+  // Folgeläufe: erster Fund und scrapedAt bleiben, lastSeenAt und Zähler laufen weiter
+  const second = createCompactListing({ ...first, scrapedAt: LISTING.scrapedAt }, '2026-10-11T20:00:00.000Z');
+  assert.equal(second.firstSeenAt, '2026-10-01T08:00:00.000Z');
+  assert.equal(second.scrapedAt, '2026-10-01T08:00:00.000Z');
+  assert.equal(second.lastSeenAt, '2026-10-11T20:00:00.000Z');
+  assert.equal(second.seenCount, 2);
+  assert.equal(second.daysOnMarket, 10);
+  
+  // Ältere Zustände ohne firstSeenAt beginnen mit der Preishistorie
+  const legacy = createCompactListing({ ...LISTING, priceHistory: [{ amountCents: 120000, text: '€1.200', seenAt: '2026-09-01T08:00:00.000Z' }] }, '2026-10-01T08:00:00.000Z');
+  assert.equal(legacy.firstSeenAt, '2026-09-01T08:00:00.000Z');
+  assert.equal(legacy.daysOnMarket, 30);
+});
+
+test('markListingsRemoved: removedAt und endgültige Tage am Markt', () => {
+  const stored = createCompactListing(LISTING, '2026-10-05T08:00:00.000Z');
+  
+  const [removed] = markListingsRemoved([stored], '2026-10-19T07:00:00.000Z');
+  assert.equal(removed.removedAt, '2026-10-19T07:00:00.000Z');
+  assert.equal(removed.daysOnMarket, 17);
+  assert.equal(removed.seenCount, 1);
+});
+
+test('confirmRemovals: fehlende Anzeigen erst nach mehreren Läufen oder bestätigter Detailseite entfernt', () => {
+  const stored = createCompactListing(LISTING, '2026-10-01T08:00:00.000Z');
+  const other = { ...stored, id: '4911111' };
+  
+  // Erster Lauf ohne die Anzeigen: nur "möglicherweise entfernt", außer die Detailseite bestätigt es
+  const firstRun = confirmRemovals([stored, other], { '4911111': 'removed' }, '2026-10-10T08:00:00.000Z', 2);
+  assert.deepEqual(firstRun.removedListings.map(listing => [listing.id, listing.removedAt, listing.daysOnMarket]), [
+    ['4911111', '2026-10-10T08:00:00.000Z', 9]
+  ]);
+  assert.deepEqual(firstRun.possiblyRemovedListings.map(listing => [listing.id, listing.missingSince, listing.missingRuns]), [
+    ['5012345', '2026-10-10T08:00:00.000Z', 1]
+  ]);
+  
+  // Zweiter Lauf in Folge: bestätigt, entfernt seit dem ersten Fehlen
+  const secondRun = confirmRemovals(firstRun.possiblyRemovedListings, {}, '2026-10-10T20:00:00.000Z', 2);
+  assert.deepEqual(secondRun.possiblyRemovedListings, []);
+  assert.equal(secondRun.removedListings[0].removedAt, '2026-10-10T08:00:00.000Z');
+  assert.equal(secondRun.removedListings[0].missingRuns, 2);
+});
+
+test('confirmRemovals: noch aktive Detailseite hält die Zählung fehlender Läufe an', () => {
+  const stored = createCompactListing(LISTING, '2026-10-01T08:00:00.000Z');
+  const firstRun = confirmRemovals([stored], {}, '2026-10-10T08:00:00.000Z', 2);
+  
+  // Die Anzeige fehlt weiter in der Suche, ihre Seite ist aber online: bleibt möglicherweise entfernt
+  const secondRun = confirmRemovals(firstRun.possiblyRemovedListings, { '5012345': 'available' }, '2026-10-10T20:00:00.000Z', 2);
+  assert.deepEqual(secondRun.removedListings, []);
+  assert.deepEqual(secondRun.possiblyRemovedListings.map(listing => [listing.id, listing.missingSince, listing.missingRuns, listing.missingLiveRuns]), [
+    ['5012345', '2026-10-10T08:00:00.000Z', 1, 1]
+  ]);
+  
+  // Ohne Prüfergebnis (z.B. Prüfbudget erschöpft) oder bei Ladefehlern wird weitergezählt
+  const thirdRun = confirmRemovals(secondRun.possiblyRemovedListings, { '5012345': 'unknown' }, '2026-10-11T08:00:00.000Z', 2);
+  assert.equal(thirdRun.removedListings[0].missingRuns, 2);
+  assert.equal(thirdRun.removedListings[0].removalReason, 'removed');
+});
+
+test('confirmRemovals: dauerhaft aktive, aber fehlende Anzeige wird als nicht mehr passend archiviert', () => {
+  // Z.B. Preis über das Budget erhöht: die Anzeige fehlt in jeder Suche, ihre Seite bleibt online
+  let missing = [createCompactListing(LISTING, '2026-10-01T08:00:00.000Z')];
+  const runs = ['2026-10-10T08:00:00.000Z', '2026-10-10T20:00:00.000Z', '2026-10-11T08:00:00.000Z'].map(timestamp => {
+    const run = confirmRemovals(missing, { '5012345': 'available' }, timestamp, 3);
+    missing = run.possiblyRemovedListings;
+    return run;
+  });
+  
+  assert.deepEqual(runs.map(run => run.possiblyRemovedListings.length), [1, 1, 0]);
+  const [archived] = runs[2].removedListings;
+  assert.equal(archived.removalReason, 'no-longer-matching');
+  assert.equal(archived.missingRuns, 0);
+  assert.equal(archived.missingLiveRuns, 3);
+  assert.equal(archived.removedAt, '2026-10-10T08:00:00.000Z');
+  
+  // Danach taucht sie nicht mehr unter "möglicherweise entfernt" auf und belegt kein Prüfbudget
+  assert.deepEqual(confirmRemovals(missing, {}, '2026-10-11T20:00:00.000Z', 3), { removedListings: [], possiblyRemovedListings: [] });
+});
+
+test('checkListingAvailability: 404, Hinweisseite und aktive Anzeige', async (t) => {
+  mockAxiosGet({
+    'https://www.bazaraki.com/adv/4911111_3-bedroom-house-to-rent/': 'detail_4911111_unavailable.html',
+    [LISTING.url]: 'detail_5012345.html'
+  }, t.mock);
+  t.mock.method(console, 'error', () => {});
+  
+  assert.equal(await checkListingAvailability('https://www.bazaraki.com/adv/4911111_3-bedroom-house-to-rent/'), 'removed');
+  assert.equal(await checkListingAvailability(LISTING.url), 'available');
+  assert.equal(await checkListingAvailability('https://www.bazaraki.com/adv/4900000_flat/'), 'removed');
+});
+
+test('buildSnapshotKey: unveränderlicher Schlüssel pro Lauf neben state.json', () => {
+  assert.equal(buildSnapshotKey('price_max_1500', 'run-20261019080000'), 'results/price_max_1500/runs/run-20261019080000.json');
+  assert.equal(buildSnapshotKey('', 'run-20261019080000'), 'results/runs/run-20261019080000.json');
+});
+
+test('saveRunSnapshot: ein vorhandener Snapshot desselben Laufs wird nicht überschrieben', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_max-1300';
+  const snapshotKey = buildSnapshotKey(filterKey, 'run-20261019080000');
+  assert.deepEqual(await saveRunSnapshot(filterKey, 'run-20261019080000', { listings: [{ id: '5000001' }] }), { snapshotKey, created: true });
+  
+  // Erneuter Aufruf desselben Laufs: Schlüssel zurück, aber nicht angelegt; Inhalt bleibt der zuerst geschriebene
+  assert.deepEqual(await saveRunSnapshot(filterKey, 'run-20261019080000', { listings: [] }), { snapshotKey, created: false });
+  assert.deepEqual(JSON.parse((await storage.get(snapshotKey)).body.toString()).listings, [{ id: '5000001' }]);
+});
+
+test('buildRunId: Läufe derselben Sekunde erhalten verschiedene IDs', () => {
+  const now = new Date('2026-10-19T08:00:00.000Z');
+  assert.equal(buildRunId(now, '3F2A9C1B-77d4-4e0a-9b1e-5c0d8e2f6a10'), 'run-20261019080000-3f2a9c1b');
+  assert.match(buildRunId(now), /^run-20261019080000-[0-9a-f]{8}$/);
+  assert.notEqual(buildRunId(now), buildRunId(now));
+  assert.equal(buildSnapshotKey('', buildRunId(now, 'abc')), 'results/runs/run-20261019080000-abc.json');
+});
+
+test('selectSnapshotsToDelete: neuester Snapshot pro Stunde, Tag und Woche, ältere werden gelöscht', () => {
+  const snapshots = [
+    '2026-10-19T08:00:00.000Z',
+    '2026-10-19T07:40:00.000Z',
+    '2026-10-19T07:10:00.000Z',
+    '2026-10-18T20:00:00.000Z',
+    '2026-10-18T08:00:00.000Z',
+    '2026-10-17T20:00:00.000Z',
+    '2026-10-16T08:00:00.000Z',
+    '2026-10-13T08:00:00.000Z',
+    '2026-10-10T08:00:00.000Z',
+    '2026-09-01T08:00:00.000Z'
+  ].map(createdAt => ({ key: `runs/${createdAt}.json`, createdAt }));
+  
+  const toDelete = selectSnapshotsToDelete(snapshots, { now: '2026-10-19T08:00:00.000Z', hourlyHours: 2, dailyDays: 2, weeklyWeeks: 2 });
+  
+  assert.deepEqual(toDelete, [
+    'runs/2026-10-19T07:10:00.000Z.json',
+    'runs/2026-10-18T08:00:00.000Z.json',
+    'runs/2026-10-13T08:00:00.000Z.json',
+    'runs/2026-09-01T08:00:00.000Z.json'
+  ]);
+  
+  // Der neueste Snapshot bleibt auch außerhalb aller Stufen erhalten
+  assert.deepEqual(selectSnapshotsToDelete(snapshots.slice(-2), { now: '2027-10-19T08:00:00.000Z', hourlyHours: 2, dailyDays: 2, weeklyWeeks: 2 }), [
+    'runs/2026-09-01T08:00:00.000Z.json'
+  ]);
+});
+
+test('buildFilterKey: lesbarer Schlüssel aus allen Filtern, stabil bei Reihenfolge und Standardwerten', () => {
+  const defaultKey = 'rent_apartments-flats+houses_pafos-district-paphos_bed-2-3_max-1500';
+  assert.equal(buildFilterKey({}), defaultKey);
+  assert.equal(buildFilterKey({ propertyTypes: ['houses', 'apartments-flats'], bedrooms: '2-3', price_max: 1500 }), defaultKey);
+  
+  assert.equal(buildFilterKey({ cities: 'Paphos,limassol', radius: '10' }), 'rent_apartments-flats+houses_limassol+paphos_r10_bed-2-3_max-1500');
+  assert.equal(buildFilterKey({ cities: ['limassol', 'paphos'], radius: 10 }), buildFilterKey({ cities: 'paphos, limassol', radius: '10' }));
+  assert.equal(buildFilterKey({ dealType: 'sale', propertyType: '', bedrooms: '2,4', price_min: '50000' }), 'sale_alle-typen_pafos-district-paphos_bed-2+4_min-50000');
+  
+  // Unterschiedliche Suchen mit gleichem Höchstpreis teilen sich keinen Zustand mehr
+  const keys = new Set([
+    buildFilterKey({}),
+    buildFilterKey({ bedrooms: '1' }),
+    buildFilterKey({ propertyType: 'houses' }),
+    buildFilterKey({ district: 'limassol-district-lemesos' }),
+    buildFilterKey({ city: 'paphos' })
+  ]);
+  assert.equal(keys.size, 5);
+});
+
+test('loadState: Lesefehler brechen den Lauf ab, nur ein fehlender Zustand gilt als erster Lauf', async () => {
+  const missing = await loadState('rent_apartments-flats_alle-orte');
+  assert.equal(missing.isFirstRun, true);
+  assert.equal(missing.version, null);
+  
+  // Abgeschnittenes Objekt: kein leerer Zustand, der das Archiv überschreiben würde
+  await storage.put('results/rent_apartments-flats_pafos-district-paphos_max-1500/state.json', '{"listings":[{"id":"5000001"');
+  await assert.rejects(loadState('rent_apartments-flats_pafos-district-paphos_max-1500'), SyntaxError);
+  
+  const originalGet = storage.get;
+  storage.get = async () => {
+    const error = new Error('Rate exceeded');
+    error.code = 'ThrottlingException';
+    throw error;
+  };
+  try {
+    await assert.rejects(loadState('rent_apartments-flats_pafos-district-paphos_max-1500'), { code: 'ThrottlingException' });
+  } finally {
+    storage.get = originalGet;
+  }
+});
+
+test('loadState: übernimmt die neueste Tagesdatei des alten Formats als vorherigen Zustand', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_max-1400';
+  const legacyListing = (id) => ({ id, title: 'Flat', url: `https://www.bazaraki.com/adv/${id}_flat/`, price: { amount: 900, currency: '€', text: '€900' } });
+  await storage.put(`results/${filterKey}/2026-10-17.json`, JSON.stringify({ listings: [legacyListing(4999999)] }));
+  await storage.put(`results/${filterKey}/2026-10-18.json`, JSON.stringify({ listings: [legacyListing(5000001), legacyListing(5000002)] }));
+  await storage.put(`results/${filterKey}/health.json`, JSON.stringify({ runs: [] }));
+  
+  const loaded = await loadState(filterKey);
+  assert.equal(loaded.isFirstRun, false);
+  assert.equal(loaded.source, `results/${filterKey}/2026-10-18.json`);
+  assert.equal(loaded.version, null);
+  assert.equal(loaded.state.timestamp, '2026-10-18T00:00:00.000Z');
+  assert.deepEqual(loaded.state.listings.map(listing => [listing.id, listing.price.amountCents]), [['5000001', 90000], ['5000002', 90000]]);
+  assert.deepEqual(loaded.state.removedListings, []);
+  
+  // Der erste Lauf danach legt state.json an, ab dann wird nur noch sie gelesen
+  const listing = { ...legacyListing('5000001'), price: { amountCents: 90000, text: '€900' } };
+  await saveAndCompareResults([listing], filterKey, {}, 'run-20261019080000', loaded);
+  const reloaded = await loadState(filterKey);
+  assert.equal(reloaded.source, `results/${filterKey}/state.json`);
+  assert.equal(typeof reloaded.version, 'string');
+  assert.deepEqual(reloaded.state.listings.map(stored => [stored.id, stored.missingRuns]), [['5000001', undefined], ['5000002', 1]]);
+});
+
+test('saveAndCompareResults: vergleicht mit dem übergebenen Zustand des ID-Scans, ohne erneut zu laden', async (t) => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_max-1600';
+  const listing = (id) => ({ id, title: 'Flat', url: `https://www.bazaraki.com/adv/${id}_flat/`, price: { amountCents: 90000, text: '€900' } });
+  await saveAndCompareResults([listing('5000001')], filterKey, {}, 'run-20261019080000');
+  const loaded = await loadState(filterKey);
+  
+  const get = t.mock.method(storage, 'get');
+  const result = await saveAndCompareResults([listing('5000001'), listing('5000002')], filterKey, {}, 'run-20261019120000', loaded);
+  assert.deepEqual(result.newListings.map(newListing => newListing.id), ['5000002']);
+  assert.deepEqual(get.mock.calls.map(call => call.arguments[0]).filter(key => key.endsWith('state.json')), []);
+});
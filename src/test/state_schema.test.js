@@ -0,0 +1,126 @@
+/**
+ * Offline-Tests für die Schema-Version des Zustands und die Migrationen beim Laden
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silenceConsole } = require('./helpers');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'state-schema-'));
+process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Der Scraper wählt das Speicher-Backend beim Laden aus, Zustände werden hier direkt als Dateien angelegt
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = directory;
+process.env.S3_BUCKET_NAME = 'test-bucket';
+process.env.RESULTS_PREFIX = 'results/';
+
+silenceConsole();
+const {
+  STATE_SCHEMA_VERSION,
+  migrateState,
+  loadState,
+  saveAndCompareResults
+} = require('../bazaraki_lambda_scraper');
+
+test('migrateState: Zustand ohne schemaVersion mit numerischen IDs', () => {
+  const state = migrateState({
+    listings: [{ id: 5000001, title: 'A' }, { id: ' 05000002 ', title: 'B' }],
+    removedListings: [{ id: 4999999, removedAt: '2026-10-10T08:00:00.000Z' }]
+  }, '2026-10-18T00:00:00.000Z');
+  
+  assert.equal(state.schemaVersion, STATE_SCHEMA_VERSION);
+  assert.equal(state.timestamp, '2026-10-18T00:00:00.000Z');
+  assert.deepEqual(state.listings.map(listing => listing.id), ['5000001', '5000002']);
+  assert.deepEqual(state.removedListings.map(listing => listing.id), ['4999999']);
+  
+  // Ohne removedListings und bei ungültigem Inhalt
+  assert.deepEqual(migrateState({ schemaVersion: STATE_SCHEMA_VERSION, listings: [] }).removedListings, []);
+  assert.equal(migrateState({ items: [] }), null);
+});
+
+test('migrateState: unbekannte Schema-Versionen werden abgelehnt', () => {
+  assert.throws(() => migrateState({ schemaVersion: STATE_SCHEMA_VERSION + 1, listings: [] }), { code: 'UnsupportedStateSchema' });
+  assert.throws(() => migrateState({ schemaVersion: '1', listings: [] }), { code: 'UnsupportedStateSchema' });
+});
+
+/**
+ * Legt state.json eines Suchfilters im Verzeichnis des lokalen Backends an
+ */
+function writeStateFile(filterKey, state) {
+  const file = path.join(directory, 'test-bucket', 'results', filterKey, 'state.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state));
+}
+
+test('loadState: migriert alte Zustände, damit der Vergleich numerische IDs wiedererkennt', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_bed-2-3_max-1500';
+  writeStateFile(filterKey, {
+    timestamp: '2026-10-18T08:00:00.000Z',
+    listings: [{ id: 5000001, title: 'A', firstSeenAt: '2026-10-01T08:00:00.000Z', seenCount: 3 }]
+  });
+  
+  const loaded = await loadState(filterKey);
+  assert.equal(loaded.state.schemaVersion, STATE_SCHEMA_VERSION);
+  assert.deepEqual(loaded.state.listings.map(listing => listing.id), ['5000001']);
+  
+  const result = await saveAndCompareResults([
+    { id: '5000001', title: 'A', url: 'https://www.bazaraki.com/adv/5000001_a/', dealType: 'rent' },
+    { id: '05000002', title: 'B', url: 'https://www.bazaraki.com/adv/5000002_b/', dealType: 'rent' }
+  ], filterKey, {}, 'run-20261019080000', loaded);
+  assert.deepEqual(result.newListings.map(listing => listing.id), ['5000002']);
+  
+  const { state } = await loadState(filterKey);
+  assert.equal(state.schemaVersion, STATE_SCHEMA_VERSION);
+  assert.deepEqual(state.listings.map(listing => listing.id), ['5000001', '5000002']);
+});
+
+test('loadState: state.json im Format vor der Schema-Version mit Preisen in ganzen Euro', async () => {
+  const filterKey = 'rent_apartments-flats_pafos-district-paphos_max-1200';
+  // Wie von createCompactListing der ersten Version geschrieben
+  writeStateFile(filterKey, {
+    timestamp: '2026-10-18T08:00:00.000Z',
+    listings: [
+      {
+        id: '5000001',
+        title: '2 bedroom apartment to rent',
+        url: 'https://www.bazaraki.com/adv/5000001_2-bedroom-apartment-to-rent/',
+        price: { amount: 1100, currency: '€', text: '€1.100' },
+        location: 'Paphos, Kato Paphos',
+        details: { bedrooms: 2 },
+        propertyType: 'apartments-flats',
+        scrapedAt: '2026-10-01T08:00:00.000Z'
+      },
+      {
+        id: '5000002',
+        title: '3 bedroom house to rent',
+        url: 'https://www.bazaraki.com/adv/5000002_3-bedroom-house-to-rent/',
+        price: { amount: null, currency: '€', text: 'Preis auf Anfrage' },
+        location: 'Paphos, Chloraka',
+        details: { bedrooms: 3 },
+        propertyType: 'houses',
+        scrapedAt: '2026-10-01T08:00:00.000Z'
+      }
+    ]
+  });
+  
+  const { state } = await loadState(filterKey);
+  assert.equal(state.schemaVersion, STATE_SCHEMA_VERSION);
+  const [flat, house] = state.listings;
+  assert.equal(flat.price.amountCents, 110000);
+  assert.equal(flat.price.monthlyCents, 110000);
+  assert.equal(flat.price.period, 'month');
+  assert.equal(flat.price.text, '€1.100');
+  assert.equal(house.price.amountCents, null);
+  assert.equal(house.price.text, 'Preis auf Anfrage');
+});
+
+test('loadState: Zustand einer neueren Version bricht den Lauf ab, statt ihn zu überschreiben', async () => {
+  const filterKey = 'sale_apartments-flats_pafos-district-paphos_max-500000';
+  writeStateFile(filterKey, { schemaVersion: STATE_SCHEMA_VERSION + 1, timestamp: '2026-10-18T08:00:00.000Z', listings: [] });
+  
+  await assert.rejects(loadState(filterKey), { code: 'UnsupportedStateSchema' });
+});
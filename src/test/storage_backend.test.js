@@ -0,0 +1,182 @@
+/**
+ * Offline-Tests für die Speicher-Backends (Arbeitsspeicher, lokales Verzeichnis, S3 mit Client-Attrappe)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { silenceConsole } = require('./helpers');
+
+silenceConsole();
+const {
+  computeEtag,
+  createS3Backend,
+  createLocalBackend,
+  createMemoryBackend,
+  createStorageBackend
+} = require('../storage_backend');
+
+/**
+ * Gemeinsames Verhalten aller Backends: get, put, list, delete und bedingtes Schreiben
+ */
+async function assertBackendContract(storage) {
+  assert.equal(await storage.get('results/rent/state.json'), null);
+  
+  const { etag } = await storage.put('results/rent/state.json', '{"listings":[]}', { contentType: 'application/json' });
+  assert.equal(etag, computeEtag(Buffer.from('{"listings":[]}')));
+  await storage.put('results/rent/runs/run-20261019080000.json', '{}');
+  await storage.put('results/sale/state.json', '{}');
+  
+  const stored = await storage.get('results/rent/state.json');
+  assert.equal(stored.body.toString(), '{"listings":[]}');
+  assert.equal(stored.etag, etag);
+  assert.ok(stored.lastModified instanceof Date);
+  
+  assert.deepEqual((await storage.list('results/rent/')).map(object => object.key), [
+    'results/rent/runs/run-20261019080000.json',
+    'results/rent/state.json'
+  ]);
+  assert.deepEqual((await storage.list('results/rent/runs/run-2026')).map(object => object.key), ['results/rent/runs/run-20261019080000.json']);
+  
+  // Bedingtes Schreiben: nur mit aktuellem ETag bzw. nur für neue Objekte
+  const updated = await storage.conditionalPut('results/rent/state.json', '{"listings":[1]}', etag);
+  await assert.rejects(storage.conditionalPut('results/rent/state.json', '{"listings":[2]}', etag), { code: 'PreconditionFailed' });
+  await assert.rejects(storage.conditionalPut('results/rent/state.json', '{}', null), { code: 'PreconditionFailed' });
+  assert.equal((await storage.get('results/rent/state.json')).etag, updated.etag);
+  await storage.conditionalPut('results/rent/lock.json', '{}', null);
+  
+  assert.deepEqual(await storage.delete(['results/rent/runs/run-20261019080000.json', 'results/rent/lock.json']), [
+    'results/rent/runs/run-20261019080000.json',
+    'results/rent/lock.json'
+  ]);
+  assert.deepEqual((await storage.list('results/')).map(object => object.key), ['results/rent/state.json', 'results/sale/state.json']);
+}
+
+test('createMemoryBackend: Schnittstelle vollständig im Arbeitsspeicher', async () => {
+  await assertBackendContract(createMemoryBackend());
+});
+
+test('createLocalBackend: ein Schlüssel pro Datei mit echtem Änderungszeitpunkt', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-backend-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  
+  const storage = createLocalBackend({ directory, bucket: 'test-bucket' });
+  await assertBackendContract(storage);
+  
+  const filePath = path.join(directory, 'test-bucket', 'results', 'rent', 'state.json');
+  assert.equal(fs.readFileSync(filePath, 'utf8'), '{"listings":[1]}');
+  const mtime = new Date('2026-10-01T08:00:00.000Z');
+  fs.utimesSync(filePath, mtime, mtime);
+  assert.deepEqual((await storage.get('results/rent/state.json')).lastModified, mtime);
+  
+  await assert.rejects(storage.put('../ausserhalb.json', '{}'), /Ungültiger Schlüssel/);
+  
+  // Auflisten liest nur Metadaten, keine Dateiinhalte
+  const readFile = t.mock.method(fs.promises, 'readFile');
+  assert.deepEqual(await storage.list('results/rent/'), [
+    { key: 'results/rent/state.json', size: '{"listings":[1]}'.length, lastModified: mtime }
+  ]);
+  assert.equal(readFile.mock.callCount(), 0);
+});
+
+test('createLocalBackend: bedingtes Schreiben über Prozessgrenzen hinweg', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-backend-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const storage = createLocalBackend({ directory, bucket: 'test-bucket' });
+  const { etag } = await storage.put('results/rent/state.json', '{"listings":[]}');
+  
+  // Mehrere Läufe haben denselben Stand geladen und schreiben gleichzeitig: genau einer darf gewinnen
+  const script = `
+    const { createLocalBackend } = require(${JSON.stringify(require.resolve('../storage_backend'))});
+    console.log = () => {};
+    createLocalBackend({ directory: process.argv[1], bucket: 'test-bucket' })
+      .conditionalPut('results/rent/state.json', JSON.stringify({ run: process.argv[2] }), process.argv[3])
+      .then(() => { process.exitCode = 0; }, (error) => { process.exitCode = error.code === 'PreconditionFailed' ? 3 : 1; });
+  `;
+  const exitCodes = await Promise.all([1, 2, 3, 4].map(run => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script, directory, String(run), etag], { timeout: 30000 }, (error) => {
+      if (error && typeof error.code !== 'number') reject(error);
+      else resolve(error ? error.code : 0);
+    });
+  })));
+  assert.deepEqual(exitCodes.sort(), [0, 3, 3, 3]);
+  assert.deepEqual((await storage.list('results/')).map(object => object.key), ['results/rent/state.json']);
+  
+  // Eine verwaiste Sperre eines abgebrochenen Prozesses blockiert nicht dauerhaft
+  const lockPath = path.join(directory, 'test-bucket', 'results', 'rent', 'state.json.lock');
+  fs.writeFileSync(lockPath, '12345');
+  const staleTime = new Date(Date.now() - 120000);
+  fs.utimesSync(lockPath, staleTime, staleTime);
+  const current = await storage.get('results/rent/state.json');
+  await storage.conditionalPut('results/rent/state.json', '{"listings":[1]}', current.etag);
+  assert.ok(!fs.existsSync(lockPath));
+});
+
+test('createLocalBackend: übernimmt s3_storage.json des früheren S3-Mocks einmalig', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-backend-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(directory, 's3_storage.json'), JSON.stringify({
+    'test-bucket/results/price_max_1500/state.json': '{"listings":[]}',
+    'anderer-bucket/results/state.json': '{}'
+  }));
+  
+  const storage = createLocalBackend({ directory, bucket: 'test-bucket' });
+  assert.deepEqual((await storage.list('')).map(object => object.key), ['results/price_max_1500/state.json']);
+  assert.ok(fs.existsSync(path.join(directory, 's3_storage.json.imported')));
+  assert.ok(!fs.existsSync(path.join(directory, 's3_storage.json')));
+});
+
+test('createS3Backend: fehlende Objekte, Paginierung und If-Match für bedingtes Schreiben', async () => {
+  const calls = [];
+  const request = (operation, params, respond) => {
+    const handlers = {};
+    const awsRequest = {
+      httpRequest: { headers: {} },
+      on: (event, handler) => { handlers[event] = handler; return awsRequest; },
+      promise: async () => {
+        if (handlers.build) handlers.build();
+        calls.push({ operation, params, headers: awsRequest.httpRequest.headers });
+        return respond(params, awsRequest.httpRequest.headers);
+      }
+    };
+    return awsRequest;
+  };
+  const s3 = {
+    getObject: (params) => request('getObject', params, () => {
+      const error = new Error('The specified key does not exist.');
+      error.code = 'NoSuchKey';
+      throw error;
+    }),
+    putObject: (params) => request('putObject', params, (_, headers) => {
+      if (headers['If-Match'] === '"alt"') {
+        const error = new Error('At least one of the pre-conditions you specified did not hold');
+        error.code = 'PreconditionFailed';
+        throw error;
+      }
+      return { ETag: '"neu"' };
+    }),
+    listObjectsV2: (params) => request('listObjectsV2', params, () => (params.ContinuationToken
+      ? { Contents: [{ Key: 'results/b.json', Size: 2, ETag: '"b"', LastModified: new Date(0) }], IsTruncated: false }
+      : { Contents: [{ Key: 'results/a.json', Size: 2, ETag: '"a"', LastModified: new Date(0) }], IsTruncated: true, NextContinuationToken: 'seite-2' }))
+  };
+  
+  const storage = createS3Backend({ bucket: 'test-bucket', s3 });
+  assert.equal(await storage.get('results/state.json'), null);
+  assert.deepEqual((await storage.list('results/')).map(object => object.key), ['results/a.json', 'results/b.json']);
+  
+  assert.deepEqual(await storage.conditionalPut('results/state.json', '{}', '"aktuell"'), { etag: '"neu"' });
+  assert.equal(calls.at(-1).headers['If-Match'], '"aktuell"');
+  await storage.conditionalPut('results/lock.json', '{}', null);
+  assert.equal(calls.at(-1).params.IfNoneMatch, '*');
+  await assert.rejects(storage.conditionalPut('results/state.json', '{}', '"alt"'), { code: 'PreconditionFailed' });
+});
+
+test('createStorageBackend: Auswahl über die Konfiguration', () => {
+  assert.equal(createStorageBackend({ type: 'memory' }).type, 'memory');
+  assert.equal(createStorageBackend({ type: 'local', directory: os.tmpdir(), bucket: 'test-bucket' }).type, 'local');
+  assert.throws(() => createStorageBackend({ type: 'ftp' }), /Unbekanntes Speicher-Backend 'ftp'/);
+  assert.throws(() => createStorageBackend({ type: 's3' }), /Bucket/);
+});
@@ -91,6 +91,7 @@ resource "aws_iam_policy" "s3_access" {
         Action = [
           "s3:PutObject",
           "s3:GetObject",
+          "s3:DeleteObject", # Aufräumen alter Snapshots unter runs/
           "s3:ListBucket"
         ]
         Effect = "Allow"
@@ -128,8 +129,10 @@ resource "aws_lambda_function" "scraper" {
     variables = {
       S3_BUCKET_NAME = aws_s3_bucket.scraper_results.bucket,
       RESULTS_PREFIX = "results/",
+      STORAGE_BACKEND = "s3",
       TELEGRAM_BOT_TOKEN = var.telegram_bot_token,
       TELEGRAM_CHAT_ID = var.telegram_chat_id,
+      TELEGRAM_ADMIN_CHAT_ID = var.telegram_admin_chat_id, # Health-Alarme bei Markup-Änderungen
       DEBUG_MODE = "false",
       FORCE_NOTIFICATION = "false" # Nur für den ersten Lauf auf "true" setzen
     }
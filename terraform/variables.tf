@@ -50,6 +50,12 @@ variable "telegram_chat_id" {
   default     = ""  # Dies muss bei der Anwendung von Terraform überschrieben werden
 }
 
+variable "telegram_admin_chat_id" {
+  description = "Telegram Chat-ID für Scraper-Health-Alarme"
+  type        = string
+  default     = ""  # Leer = Alarme gehen an telegram_chat_id
+}
+
 # EC2-Scraper Konfiguration
 variable "ec2_instance_type" {
   description = "EC2-Instance-Typ für den Scraper"